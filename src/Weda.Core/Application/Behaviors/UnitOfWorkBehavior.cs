@@ -1,4 +1,7 @@
+using ErrorOr;
 using Mediator;
+using Weda.Core.Application.Errors;
+using Weda.Core.Application.Exceptions;
 using Weda.Core.Application.Interfaces;
 
 namespace Weda.Core.Application.Behaviors;
@@ -6,6 +9,7 @@ namespace Weda.Core.Application.Behaviors;
 /// <summary>
 /// Pipeline behavior that automatically saves changes after command execution.
 /// Only triggers SaveChanges for Command requests (not Queries).
+/// A concurrency conflict on save becomes <see cref="UnitOfWorkErrors.ConcurrencyConflict"/> for ErrorOr responses.
 /// </summary>
 public class UnitOfWorkBehavior<TRequest, TResponse>(IUnitOfWork unitOfWork)
     : IPipelineBehavior<TRequest, TResponse>
@@ -21,7 +25,14 @@ public class UnitOfWorkBehavior<TRequest, TResponse>(IUnitOfWork unitOfWork)
         // Only save changes for Commands, not Queries
         if (IsCommand())
         {
-            await unitOfWork.SaveChangesAsync(cancellationToken);
+            try
+            {
+                await unitOfWork.SaveChangesAsync(cancellationToken);
+            }
+            catch (ConcurrencyConflictException) when (response is IErrorOr)
+            {
+                return (dynamic)UnitOfWorkErrors.ConcurrencyConflict;
+            }
         }
 
         return response;
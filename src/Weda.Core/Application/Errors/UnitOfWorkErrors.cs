@@ -0,0 +1,13 @@
+using ErrorOr;
+
+namespace Weda.Core.Application.Errors;
+
+/// <summary>
+/// Errors reported by the unit of work when a command's changes can't be saved.
+/// </summary>
+public static class UnitOfWorkErrors
+{
+    public static readonly Error ConcurrencyConflict = Error.Conflict(
+        code: "UnitOfWork.ConcurrencyConflict",
+        description: "The data was changed by someone else since it was loaded.");
+}
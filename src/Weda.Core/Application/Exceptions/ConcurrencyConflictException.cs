@@ -0,0 +1,8 @@
+namespace Weda.Core.Application.Exceptions;
+
+/// <summary>
+/// Thrown when a save finds that an entity was changed or deleted by someone else since it was read,
+/// i.e. its concurrency token no longer matches the stored one. Nothing of that save is applied.
+/// </summary>
+public class ConcurrencyConflictException(string message, Exception? innerException = null)
+    : Exception(message, innerException);
@@ -7,7 +7,14 @@ public interface IUnitOfWork
 {
     /// <summary>
     /// Saves all changes made in this unit of work to the database.
+    /// Throws <see cref="Exceptions.ConcurrencyConflictException"/> when an entity changed since it was read.
     /// </summary>
     /// <returns></returns>
     Task<int> SaveChangesAsync(CancellationToken cancellationToken = default);
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Starts a transaction for work that needs several saves to succeed or fail together.
+    /// Only one can be open at a time.
+    /// </summary>
+    Task<IUnitOfWorkTransaction> BeginTransactionAsync(CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,13 @@
+namespace Weda.Core.Application.Interfaces;
+
+/// <summary>
+/// A transaction started by <see cref="IUnitOfWork.BeginTransactionAsync"/>.
+/// Disposing it without committing rolls back everything saved since it began.
+/// </summary>
+public interface IUnitOfWorkTransaction : IAsyncDisposable
+{
+    /// <summary>
+    /// Commits the saves made since the transaction began.
+    /// </summary>
+    Task CommitAsync(CancellationToken cancellationToken = default);
+}
@@ -14,6 +14,12 @@ public interface IJetStreamClient
     /// </summary>
     Task PublishAsync<T>(string subject, T data, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Publishes a message using Core NATS with additional headers (fire-and-forget).
+    /// Headers with the same key as a trace header override the injected value.
+    /// </summary>
+    Task PublishAsync<T>(string subject, T data, NatsHeaders headers, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Sends a request and waits for a response (Request-Reply pattern).
     /// </summary>
@@ -28,8 +34,23 @@ public interface IJetStreamClient
         TimeSpan timeout,
         CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Sends a request with additional headers and timeout, and returns the full NatsMsg including reply headers.
+    /// </summary>
+    Task<NatsMsg<TReply>> RequestAsync<TRequest, TReply>(
+        string subject,
+        TRequest data,
+        NatsHeaders headers,
+        TimeSpan timeout,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Publishes a message to JetStream for persistent delivery.
     /// </summary>
     Task<PubAckResponse> JsPublishAsync<T>(string subject, T data, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Publishes a message with additional headers to JetStream for persistent delivery.
+    /// </summary>
+    Task<PubAckResponse> JsPublishAsync<T>(string subject, T data, NatsHeaders headers, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
@@ -8,4 +8,16 @@ public interface IJwtTokenGenerator
         string email,
         List<string> permissions,
         List<string> roles);
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Generates a long-lived token that can only be exchanged for a new token pair, not used as a bearer token.
+    /// The family and token ids let the server rotate and revoke it.
+    /// </summary>
+    string GenerateRefreshToken(Guid id, Guid familyId, Guid tokenId);
+
+    /// <summary>
+    /// Validates a refresh token's signature and lifetime and returns its claims, or null if it is invalid or expired.
+    /// Whether it has been rotated or revoked is up to the caller.
+    /// </summary>
+    RefreshTokenClaims? ValidateRefreshToken(string refreshToken);
+}
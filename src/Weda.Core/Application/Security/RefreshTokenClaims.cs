@@ -0,0 +1,10 @@
+namespace Weda.Core.Application.Security;
+
+/// <summary>
+/// What a valid refresh token identifies: the user, the login session it belongs to (the family,
+/// kept across rotations) and the token itself within that session.
+/// </summary>
+public record RefreshTokenClaims(
+    Guid UserId,
+    Guid FamilyId,
+    Guid TokenId);
@@ -26,4 +26,10 @@ public abstract class AggregateRoot<TId> : Entity<TId>, IAggregateRoot
     {
         _domainEvents.Add(domainEvent);
     }
+
+    protected bool HasDomainEvent<TEvent>()
+        where TEvent : IDomainEvent
+    {
+        return _domainEvents.OfType<TEvent>().Any();
+    }
 }
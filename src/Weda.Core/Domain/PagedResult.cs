@@ -0,0 +1,23 @@
+namespace Weda.Core.Domain;
+
+/// <summary>
+/// One page of a larger result set.
+/// </summary>
+/// <typeparam name="T">Item type.</typeparam>
+/// <param name="Items">Items on this page.</param>
+/// <param name="Page">1-based page number.</param>
+/// <param name="PageSize">Maximum number of items per page.</param>
+/// <param name="TotalCount">Number of items across all pages.</param>
+public record PagedResult<T>(
+    IReadOnlyList<T> Items,
+    int Page,
+    int PageSize,
+    int TotalCount)
+{
+    public int TotalPages => PageSize > 0 ? (int)Math.Ceiling(TotalCount / (double)PageSize) : 0;
+
+    public bool HasNextPage => Page < TotalPages;
+
+    public PagedResult<TResult> Map<TResult>(Func<T, TResult> selector) =>
+        new(Items.Select(selector).ToList(), Page, PageSize, TotalCount);
+}
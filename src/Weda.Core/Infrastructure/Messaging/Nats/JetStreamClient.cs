@@ -35,6 +35,16 @@ public class JetStreamClient : IJetStreamClient
         await _connection.PublishAsync(subject, data, headers: headers, cancellationToken: cancellationToken);
     }
 
+    public async Task PublishAsync<T>(
+        string subject,
+        T data,
+        NatsHeaders headers,
+        CancellationToken cancellationToken = default)
+    {
+        var tracedHeaders = CreateTracedHeaders(headers);
+        await _connection.PublishAsync(subject, data, headers: tracedHeaders, cancellationToken: cancellationToken);
+    }
+
     public async Task<TReply> RequestAsync<TRequest, TReply>(
         string subject,
         TRequest data,
@@ -50,7 +60,17 @@ public class JetStreamClient : IJetStreamClient
         TimeSpan timeout,
         CancellationToken cancellationToken = default)
     {
-        var headers = CreateTracedHeaders();
+        return await RequestAsync<TRequest, TReply>(subject, data, new NatsHeaders(), timeout, cancellationToken);
+    }
+
+    public async Task<NatsMsg<TReply>> RequestAsync<TRequest, TReply>(
+        string subject,
+        TRequest data,
+        NatsHeaders headers,
+        TimeSpan timeout,
+        CancellationToken cancellationToken = default)
+    {
+        var tracedHeaders = CreateTracedHeaders(headers);
         using var cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
         if (timeout != Timeout.InfiniteTimeSpan)
         {
@@ -58,7 +78,7 @@ public class JetStreamClient : IJetStreamClient
         }
 
         return await _connection.RequestAsync<TRequest, TReply>(
-            subject, data, headers: headers, cancellationToken: cts.Token);
+            subject, data, headers: tracedHeaders, cancellationToken: cts.Token);
     }
 
     public async Task<PubAckResponse> JsPublishAsync<T>(
@@ -66,16 +86,36 @@ public class JetStreamClient : IJetStreamClient
         T data,
         CancellationToken cancellationToken = default)
     {
-        var headers = CreateTracedHeaders();
+        return await JsPublishAsync(subject, data, new NatsHeaders(), cancellationToken);
+    }
+
+    public async Task<PubAckResponse> JsPublishAsync<T>(
+        string subject,
+        T data,
+        NatsHeaders headers,
+        CancellationToken cancellationToken = default)
+    {
+        var tracedHeaders = CreateTracedHeaders(headers);
 
         return await _resiliencePipeline.ExecuteAsync(
-            async ct => await _jetStream.PublishAsync(subject, data, headers: headers, cancellationToken: ct),
+            async ct => await _jetStream.PublishAsync(subject, data, headers: tracedHeaders, cancellationToken: ct),
             cancellationToken);
     }
 
-    private static NatsHeaders CreateTracedHeaders()
+    private static NatsHeaders CreateTracedHeaders(NatsHeaders? headers = null)
     {
         var context = AuditContextAccessor.Current;
-        return new NatsHeaders().WithTraceContext(TraceContext.Create(context?.TraceId));
+        var tracedHeaders = new NatsHeaders().WithTraceContext(TraceContext.Create(context?.TraceId));
+
+        if (headers is not null)
+        {
+            // Caller-supplied headers win, so a caller can pin its own X-Trace-Id
+            foreach (var (key, value) in headers)
+            {
+                tracedHeaders[key] = value;
+            }
+        }
+
+        return tracedHeaders;
     }
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+using Microsoft.EntityFrameworkCore.Storage;
+using Weda.Core.Application.Interfaces;
+
+namespace Weda.Core.Infrastructure.Persistence;
+
+/// <summary>
+/// <see cref="IUnitOfWorkTransaction"/> over an EF Core transaction. Inside a transaction that is already
+/// open (e.g. the request transaction of the eventual consistency middleware) it is a savepoint of that
+/// transaction; where the provider has no savepoints, rolling back rolls back that whole transaction.
+/// </summary>
+internal sealed class UnitOfWorkTransaction(
+    WedaDbContext dbContext,
+    IDbContextTransaction transaction,
+    bool ownsTransaction,
+    string? savepoint) : IUnitOfWorkTransaction
+{
+    private bool _completed;
+
+    public async Task CommitAsync(CancellationToken cancellationToken = default)
+    {
+        if (ownsTransaction)
+        {
+            await transaction.CommitAsync(cancellationToken);
+        }
+        else if (savepoint is not null)
+        {
+            await transaction.ReleaseSavepointAsync(savepoint, cancellationToken);
+        }
+
+        _completed = true;
+        await dbContext.CompleteTransactionAsync(committed: true);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (!_completed)
+        {
+            _completed = true;
+            if (savepoint is not null)
+            {
+                await transaction.RollbackToSavepointAsync(savepoint);
+            }
+            else
+            {
+                await transaction.RollbackAsync();
+            }
+
+            await dbContext.CompleteTransactionAsync(committed: false);
+        }
+
+        if (ownsTransaction)
+        {
+            await transaction.DisposeAsync();
+        }
+    }
+}
@@ -1,6 +1,7 @@
 using Mediator;
 using Microsoft.AspNetCore.Http;
 using Microsoft.EntityFrameworkCore;
+using Weda.Core.Application.Exceptions;
 using Weda.Core.Application.Interfaces;
 using Weda.Core.Domain;
 using Weda.Core.Infrastructure.Middleware;
@@ -15,22 +16,92 @@ public abstract class WedaDbContext(
     private readonly IHttpContextAccessor _httpContextAccessor = httpContextAccessor;
     private readonly IPublisher _publisher = publisher;
 
+    // Domain events of saves inside an open unit of work transaction, dispatched once it commits
+    private List<IDomainEvent>? _transactionDomainEvents;
+
     public override async Task<int> SaveChangesAsync(CancellationToken cancellationToken = default)
     {
         var domainEvents = ChangeTracker.Entries<IAggregateRoot>()
            .SelectMany(entry => entry.Entity.PopDomainEvents())
            .ToList();
 
+        // Save first to ensure database-generated IDs are populated, and that a failed save announces nothing
+        int result;
+        try
+        {
+            result = await base.SaveChangesAsync(cancellationToken);
+        }
+        catch (DbUpdateConcurrencyException exception)
+        {
+            // The tracked entities hold the rejected changes (and versions already bumped in memory); stop
+            // tracking them so the next read, e.g. of the "current" employee for a 412, comes from the database
+            ChangeTracker.Clear();
+            throw new ConcurrencyConflictException(exception.Message, exception);
+        }
+
+        if (_transactionDomainEvents is not null)
+        {
+            _transactionDomainEvents.AddRange(domainEvents);
+            return result;
+        }
+
+        await DispatchDomainEvents(domainEvents);
+        return result;
+    }
+
+    public async Task<IUnitOfWorkTransaction> BeginTransactionAsync(CancellationToken cancellationToken = default)
+    {
+        if (_transactionDomainEvents is not null)
+        {
+            throw new InvalidOperationException("A unit of work transaction is already open.");
+        }
+
+        UnitOfWorkTransaction transaction;
+        if (Database.CurrentTransaction is not { } current)
+        {
+            transaction = new(this, await Database.BeginTransactionAsync(cancellationToken), ownsTransaction: true, savepoint: null);
+        }
+        else if (current.SupportsSavepoints)
+        {
+            var savepoint = $"UnitOfWork{Guid.NewGuid():N}";
+            await current.CreateSavepointAsync(savepoint, cancellationToken);
+            transaction = new(this, current, ownsTransaction: false, savepoint);
+        }
+        else
+        {
+            transaction = new(this, current, ownsTransaction: false, savepoint: null);
+        }
+
+        _transactionDomainEvents = [];
+        return transaction;
+    }
+
+    // A rollback also stops tracking every entity: what was saved or added in the meantime no longer matches
+    // the database, and must not be saved again by a later SaveChanges (e.g. the UnitOfWorkBehavior's)
+    internal async Task CompleteTransactionAsync(bool committed)
+    {
+        var domainEvents = _transactionDomainEvents ?? [];
+        _transactionDomainEvents = null;
+
+        if (!committed)
+        {
+            ChangeTracker.Clear();
+            return;
+        }
+
+        await DispatchDomainEvents(domainEvents);
+    }
+
+    // While a user waits on the request, events are published after it (EventualConsistencyMiddleware)
+    private async Task DispatchDomainEvents(List<IDomainEvent> domainEvents)
+    {
         if (IsUserWaitingOnline())
         {
             AddDomainEventsToOfflineProcessingQueue(domainEvents);
-            return await base.SaveChangesAsync(cancellationToken);
+            return;
         }
 
-        // Save first to ensure database-generated IDs are populated before publishing events
-        var result = await base.SaveChangesAsync(cancellationToken);
         await PublishDomainEvents(domainEvents);
-        return result;
     }
 
     private bool IsUserWaitingOnline() => _httpContextAccessor.HttpContext is not null;
@@ -0,0 +1,269 @@
+using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+using Weda.Core.Presentation.Wedally.Contracts;
+
+namespace Weda.Core.Presentation.Wedally.AsyncApi;
+
+/// <summary>
+/// Converts the Wedally spec into an AsyncAPI 3.0 document.
+/// Every discovered endpoint is a handler, so each one becomes a "receive" operation on its channel;
+/// Request endpoints also declare a reply, and JetStream endpoints carry their stream/consumer as x-jetstream.
+/// </summary>
+public static partial class AsyncApiDocumentBuilder
+{
+    public const string AsyncApiVersion = "3.0.0";
+
+    private const string DefaultNatsHost = "localhost:4222";
+
+    public static JsonObject Build(NatsSpecDto spec)
+    {
+        var channels = new JsonObject();
+        var operations = new JsonObject();
+        var messages = new JsonObject();
+
+        foreach (var endpoint in spec.Paths.Values.SelectMany(e => e).OrderBy(e => e.OperationId))
+        {
+            var channelKey = ComponentKey(endpoint.OperationId);
+
+            channels[channelKey] = BuildChannel(endpoint, messages);
+
+            var operation = new JsonObject
+            {
+                ["action"] = "receive",
+                ["channel"] = Ref($"#/channels/{channelKey}"),
+                ["summary"] = endpoint.Summary,
+                ["tags"] = new JsonArray(new JsonObject { ["name"] = endpoint.Tag }),
+                ["x-action"] = endpoint.Action,
+                ["x-connection"] = endpoint.Connection
+            };
+
+            if (endpoint.Stream is not null || endpoint.Consumer is not null)
+            {
+                operation["x-jetstream"] = new JsonObject
+                {
+                    ["stream"] = endpoint.Stream,
+                    ["consumer"] = endpoint.Consumer
+                };
+            }
+
+            if (endpoint.Action == "Request" && endpoint.Response is not null)
+            {
+                var replyKey = $"{channelKey}Reply";
+                var replyMessage = AddMessage(endpoint.Response, messages);
+
+                // Replies go to the requester's inbox, so the channel has no fixed address
+                channels[replyKey] = new JsonObject
+                {
+                    ["address"] = null,
+                    ["messages"] = new JsonObject { [replyMessage] = Ref($"#/components/messages/{replyMessage}") }
+                };
+                operation["reply"] = new JsonObject
+                {
+                    ["address"] = new JsonObject { ["location"] = "$message.header#/replyTo" },
+                    ["channel"] = Ref($"#/channels/{replyKey}")
+                };
+            }
+
+            operations[channelKey] = operation;
+        }
+
+        var servers = new JsonObject();
+        foreach (var server in spec.Servers)
+        {
+            servers[ComponentKey(server.Name)] = new JsonObject
+            {
+                ["host"] = server.Url ?? "{host}",
+                ["protocol"] = "nats",
+                ["description"] = server.Description,
+                ["variables"] = server.Url is null
+                    ? new JsonObject
+                    {
+                        ["host"] = new JsonObject
+                        {
+                            ["default"] = DefaultNatsHost,
+                            ["description"] = $"NATS server for the '{server.Name}' connection"
+                        }
+                    }
+                    : null
+            };
+        }
+
+        var schemas = new JsonObject();
+        foreach (var (name, definition) in spec.Definitions.OrderBy(d => d.Key))
+        {
+            schemas[ComponentKey(name)] = BuildSchema(definition);
+        }
+
+        return RemoveNulls(new JsonObject
+        {
+            ["asyncapi"] = AsyncApiVersion,
+            ["info"] = new JsonObject
+            {
+                ["title"] = spec.Info.Title,
+                ["version"] = spec.Info.Version,
+                ["description"] = spec.Info.Description
+            },
+            ["defaultContentType"] = "application/json",
+            ["servers"] = servers,
+            ["channels"] = channels,
+            ["operations"] = operations,
+            ["components"] = new JsonObject
+            {
+                ["messages"] = messages,
+                ["schemas"] = schemas
+            }
+        });
+    }
+
+    /// <summary>
+    /// Builds the channel address from the resolved subject, putting named parameters back
+    /// where the wildcards are (e.g., "employee.v1.*.get" → "employee.v1.{id}.get").
+    /// </summary>
+    private static JsonObject BuildChannel(NatsEndpointSpecDto endpoint, JsonObject messages)
+    {
+        var subjectParams = endpoint.Parameters.Where(p => p.In == "subject").ToList();
+        var paramIndex = 0;
+        var address = string.Join('.', endpoint.ResolvedSubject.Split('.').Select(part =>
+            part == "*" && paramIndex < subjectParams.Count ? $"{{{subjectParams[paramIndex++].Name}}}" : part));
+
+        var channel = new JsonObject
+        {
+            ["address"] = address,
+            ["description"] = $"{endpoint.Tag}.{endpoint.Method} ({endpoint.Version})"
+        };
+
+        if (subjectParams.Count > 0)
+        {
+            var parameters = new JsonObject();
+            foreach (var param in subjectParams)
+            {
+                parameters[param.Name] = new JsonObject { ["description"] = param.Description };
+            }
+            channel["parameters"] = parameters;
+        }
+
+        if (endpoint.RequestBody is not null)
+        {
+            var messageKey = AddMessage(endpoint.RequestBody, messages);
+            channel["messages"] = new JsonObject { [messageKey] = Ref($"#/components/messages/{messageKey}") };
+        }
+
+        return channel;
+    }
+
+    private static string AddMessage(NatsSchemaRefDto schema, JsonObject messages)
+    {
+        var key = ComponentKey(schema.Schema);
+        if (!messages.ContainsKey(key))
+        {
+            messages[key] = new JsonObject
+            {
+                ["name"] = key,
+                ["title"] = schema.Schema,
+                ["payload"] = TypeSchema(schema.Schema)
+            };
+        }
+
+        return key;
+    }
+
+    private static JsonObject BuildSchema(TypeDefinitionDto definition)
+    {
+        if (definition.Kind == "enum")
+        {
+            return new JsonObject
+            {
+                ["type"] = "string",
+                ["enum"] = new JsonArray((definition.EnumValues ?? []).Select(v => (JsonNode?)JsonValue.Create(v)).ToArray())
+            };
+        }
+
+        var properties = new JsonObject();
+        foreach (var property in definition.Properties)
+        {
+            var propertySchema = TypeSchema(property.Type);
+            if (property.Description is not null)
+            {
+                propertySchema["description"] = property.Description;
+            }
+            properties[property.Name] = propertySchema;
+        }
+
+        var required = definition.Properties.Where(p => p.Required).Select(p => (JsonNode?)JsonValue.Create(p.Name)).ToArray();
+
+        return new JsonObject
+        {
+            ["type"] = "object",
+            ["properties"] = properties,
+            ["required"] = required.Length > 0 ? new JsonArray(required) : null
+        };
+    }
+
+    /// <summary>
+    /// Maps a Wedally type name (e.g., "int", "Guid?", "AddressDto[]") to a JSON schema.
+    /// </summary>
+    private static JsonObject TypeSchema(string typeName)
+    {
+        if (typeName.EndsWith('?'))
+        {
+            return new JsonObject
+            {
+                ["oneOf"] = new JsonArray(TypeSchema(typeName[..^1]), new JsonObject { ["type"] = "null" })
+            };
+        }
+
+        if (typeName.EndsWith("[]"))
+        {
+            return new JsonObject { ["type"] = "array", ["items"] = TypeSchema(typeName[..^2]) };
+        }
+
+        return typeName switch
+        {
+            "string" => new JsonObject { ["type"] = "string" },
+            "bool" => new JsonObject { ["type"] = "boolean" },
+            "int" => new JsonObject { ["type"] = "integer", ["format"] = "int32" },
+            "long" => new JsonObject { ["type"] = "integer", ["format"] = "int64" },
+            "float" => new JsonObject { ["type"] = "number", ["format"] = "float" },
+            "double" or "decimal" => new JsonObject { ["type"] = "number", ["format"] = "double" },
+            "Guid" => new JsonObject { ["type"] = "string", ["format"] = "uuid" },
+            "DateTime" or "DateTimeOffset" => new JsonObject { ["type"] = "string", ["format"] = "date-time" },
+            _ => Ref($"#/components/schemas/{ComponentKey(typeName)}")
+        };
+    }
+
+    private static JsonObject Ref(string path) => new() { ["$ref"] = path };
+
+    /// <summary>
+    /// AsyncAPI component keys must match ^[a-zA-Z0-9.\-_]+$ (e.g., "PagedResult&lt;EmployeeDto&gt;" → "PagedResult_EmployeeDto").
+    /// </summary>
+    public static string ComponentKey(string name) =>
+        InvalidKeyChars().Replace(name.Replace("[]", "Array"), "_").Trim('_');
+
+    private static JsonObject RemoveNulls(JsonObject obj)
+    {
+        foreach (var key in obj.Where(p => p.Value is null && p.Key != "address").Select(p => p.Key).ToList())
+        {
+            obj.Remove(key);
+        }
+
+        foreach (var (_, value) in obj)
+        {
+            if (value is JsonObject child)
+            {
+                RemoveNulls(child);
+            }
+            else if (value is JsonArray array)
+            {
+                foreach (var item in array.OfType<JsonObject>())
+                {
+                    RemoveNulls(item);
+                }
+            }
+        }
+
+        return obj;
+    }
+
+    [GeneratedRegex(@"[^A-Za-z0-9.\-_]+")]
+    private static partial Regex InvalidKeyChars();
+}
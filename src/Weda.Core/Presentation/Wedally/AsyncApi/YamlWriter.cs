@@ -0,0 +1,128 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+
+namespace Weda.Core.Presentation.Wedally.AsyncApi;
+
+/// <summary>
+/// Minimal YAML emitter for JSON documents (block style, two-space indent).
+/// Strings are double-quoted whenever a plain scalar could be misread, so the output round-trips to the same JSON.
+/// </summary>
+public static class YamlWriter
+{
+    private static readonly JsonSerializerOptions StringOptions = new()
+    {
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    public static string Write(JsonNode? node)
+    {
+        var sb = new StringBuilder();
+        WriteNode(sb, node, 0, inSequence: false);
+        return sb.ToString();
+    }
+
+    private static void WriteNode(StringBuilder sb, JsonNode? node, int indent, bool inSequence)
+    {
+        switch (node)
+        {
+            case JsonObject obj when obj.Count > 0:
+                var first = true;
+                foreach (var (key, value) in obj)
+                {
+                    // The first key of a sequence item shares the line with "- "
+                    if (!(first && inSequence))
+                    {
+                        sb.Append(' ', indent);
+                    }
+                    first = false;
+
+                    sb.Append(Scalar(key)).Append(':');
+                    WriteValue(sb, value, indent);
+                }
+                break;
+
+            case JsonArray array when array.Count > 0:
+                var firstItem = true;
+                foreach (var item in array)
+                {
+                    if (!(firstItem && inSequence))
+                    {
+                        sb.Append(' ', indent);
+                    }
+                    firstItem = false;
+
+                    sb.Append('-');
+                    if (IsCollection(item))
+                    {
+                        sb.Append(' ');
+                        WriteNode(sb, item, indent + 2, inSequence: true);
+                    }
+                    else
+                    {
+                        sb.Append(' ').Append(Scalar(item)).Append('\n');
+                    }
+                }
+                break;
+
+            default:
+                sb.Append(Scalar(node)).Append('\n');
+                break;
+        }
+    }
+
+    private static void WriteValue(StringBuilder sb, JsonNode? value, int indent)
+    {
+        if (IsCollection(value))
+        {
+            sb.Append('\n');
+            WriteNode(sb, value, indent + 2, inSequence: false);
+        }
+        else
+        {
+            sb.Append(' ').Append(Scalar(value)).Append('\n');
+        }
+    }
+
+    private static bool IsCollection(JsonNode? node) =>
+        node is JsonObject { Count: > 0 } or JsonArray { Count: > 0 };
+
+    private static string Scalar(JsonNode? node) => node switch
+    {
+        null => "null",
+        JsonObject => "{}",
+        JsonArray => "[]",
+        JsonValue value when value.GetValueKind() == JsonValueKind.String => Scalar(value.GetValue<string>()),
+        JsonValue value when value.GetValueKind() is JsonValueKind.True or JsonValueKind.False =>
+            value.GetValue<bool>() ? "true" : "false",
+        _ => node.ToJsonString()
+    };
+
+    private static string Scalar(string text)
+    {
+        if (text.Length > 0 && IsPlainSafe(text))
+        {
+            return text;
+        }
+
+        // JSON string escaping is valid YAML double-quoted style
+        return JsonSerializer.Serialize(text, StringOptions);
+    }
+
+    private static bool IsPlainSafe(string text)
+    {
+        if (char.IsWhiteSpace(text[0]) || char.IsWhiteSpace(text[^1])) return false;
+        if ("-?:,[]{}#&*!|>'\"%@`".Contains(text[0])) return false;
+        if (text.Contains(": ") || text.Contains(" #") || text.EndsWith(':')) return false;
+        if (text.Any(c => char.IsControl(c))) return false;
+
+        // Would be read back as another type
+        var lower = text.ToLowerInvariant();
+        if (lower is "true" or "false" or "yes" or "no" or "on" or "off" or "null" or "~") return false;
+        if (double.TryParse(text, NumberStyles.Float, CultureInfo.InvariantCulture, out _)) return false;
+
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+using System.Text.Json;
+
+namespace Weda.Core.Presentation.Wedally.Contracts;
+
+/// <summary>
+/// A message stored in a JetStream stream, read by sequence number.
+/// </summary>
+public record JetStreamMessageDto
+{
+    /// <summary>
+    /// Stream sequence number.
+    /// </summary>
+    public ulong Seq { get; init; }
+
+    /// <summary>
+    /// The subject the message was published to.
+    /// </summary>
+    public required string Subject { get; init; }
+
+    /// <summary>
+    /// Time the message was stored.
+    /// </summary>
+    public DateTimeOffset Time { get; init; }
+
+    /// <summary>
+    /// Message headers (if any).
+    /// </summary>
+    public Dictionary<string, string>? Headers { get; init; }
+
+    /// <summary>
+    /// Payload size in bytes.
+    /// </summary>
+    public int Size { get; init; }
+
+    /// <summary>
+    /// How the payload is represented: "json", "text", "base64" or "empty".
+    /// </summary>
+    public required string PayloadEncoding { get; init; }
+
+    /// <summary>
+    /// Parsed payload when PayloadEncoding is "json".
+    /// </summary>
+    public JsonElement? Payload { get; init; }
+
+    /// <summary>
+    /// Raw payload when PayloadEncoding is "text" or "base64".
+    /// </summary>
+    public string? PayloadText { get; init; }
+}
@@ -0,0 +1,118 @@
+namespace Weda.Core.Presentation.Wedally.Contracts;
+
+/// <summary>
+/// Configuration and state of a JetStream stream, with its consumers.
+/// </summary>
+public record JetStreamStreamDto
+{
+    /// <summary>
+    /// Stream name (e.g., "employee_stream").
+    /// </summary>
+    public required string Name { get; init; }
+
+    /// <summary>
+    /// NATS connection the stream was read from.
+    /// </summary>
+    public required string Connection { get; init; }
+
+    /// <summary>
+    /// Subjects bound to the stream.
+    /// </summary>
+    public List<string> Subjects { get; init; } = [];
+
+    /// <summary>
+    /// Retention policy: Limits, Interest or Workqueue.
+    /// </summary>
+    public required string Retention { get; init; }
+
+    /// <summary>
+    /// Storage type: File or Memory.
+    /// </summary>
+    public required string Storage { get; init; }
+
+    /// <summary>
+    /// Number of messages currently stored.
+    /// </summary>
+    public long Messages { get; init; }
+
+    /// <summary>
+    /// Total size of the stored messages in bytes.
+    /// </summary>
+    public long Bytes { get; init; }
+
+    /// <summary>
+    /// Sequence of the oldest stored message.
+    /// </summary>
+    public ulong FirstSeq { get; init; }
+
+    /// <summary>
+    /// Sequence of the newest stored message.
+    /// </summary>
+    public ulong LastSeq { get; init; }
+
+    /// <summary>
+    /// Time the stream was created.
+    /// </summary>
+    public DateTimeOffset Created { get; init; }
+
+    /// <summary>
+    /// Consumers of the stream.
+    /// </summary>
+    public List<JetStreamConsumerDto> Consumers { get; init; } = [];
+}
+
+/// <summary>
+/// Configuration and delivery state of a JetStream consumer.
+/// </summary>
+public record JetStreamConsumerDto
+{
+    /// <summary>
+    /// Consumer name (e.g., "employee_export_handler").
+    /// </summary>
+    public required string Name { get; init; }
+
+    /// <summary>
+    /// Subject filter, if the consumer only receives part of the stream.
+    /// </summary>
+    public string? FilterSubject { get; init; }
+
+    /// <summary>
+    /// Ack policy: None, All or Explicit.
+    /// </summary>
+    public required string AckPolicy { get; init; }
+
+    /// <summary>
+    /// Where delivery starts when the consumer is created (e.g., All, New).
+    /// </summary>
+    public required string DeliverPolicy { get; init; }
+
+    /// <summary>
+    /// Messages in the stream not yet delivered to the consumer.
+    /// </summary>
+    public ulong NumPending { get; init; }
+
+    /// <summary>
+    /// Messages delivered but not yet acknowledged.
+    /// </summary>
+    public long NumAckPending { get; init; }
+
+    /// <summary>
+    /// Messages delivered more than once.
+    /// </summary>
+    public long NumRedelivered { get; init; }
+
+    /// <summary>
+    /// Pull requests waiting for messages.
+    /// </summary>
+    public long NumWaiting { get; init; }
+
+    /// <summary>
+    /// Stream sequence of the last delivered message.
+    /// </summary>
+    public ulong DeliveredStreamSeq { get; init; }
+
+    /// <summary>
+    /// Stream sequence up to which all messages are acknowledged.
+    /// </summary>
+    public ulong AckFloorStreamSeq { get; init; }
+}
@@ -22,6 +22,11 @@ public record NatsPublishRequest
     /// </summary>
     public JsonElement? Payload { get; init; }
 
+    /// <summary>
+    /// Optional NATS headers to send with the message (e.g., correlation ID, tenant ID, auth token).
+    /// </summary>
+    public Dictionary<string, string>? Headers { get; init; }
+
     /// <summary>
     /// Timeout in milliseconds for Request-Reply operations.
     /// </summary>
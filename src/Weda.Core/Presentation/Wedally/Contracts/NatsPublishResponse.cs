@@ -22,6 +22,11 @@ public record NatsPublishResponse
     /// </summary>
     public JsonElement? ResponseData { get; init; }
 
+    /// <summary>
+    /// Headers of the reply message from Request-Reply operation (if any).
+    /// </summary>
+    public Dictionary<string, string>? ResponseHeaders { get; init; }
+
     /// <summary>
     /// Error code if the operation failed.
     /// </summary>
@@ -0,0 +1,49 @@
+using System.Text.Json;
+
+namespace Weda.Core.Presentation.Wedally.Contracts;
+
+/// <summary>
+/// A message received on a Wedally subscription, streamed to the UI as a server-sent event.
+/// </summary>
+public record NatsSubscriptionMessageDto
+{
+    /// <summary>
+    /// The concrete subject the message was published to (e.g., "employee.v1.123.doc").
+    /// </summary>
+    public required string Subject { get; init; }
+
+    /// <summary>
+    /// Reply subject if the message is a request.
+    /// </summary>
+    public string? ReplyTo { get; init; }
+
+    /// <summary>
+    /// Message headers (if any).
+    /// </summary>
+    public Dictionary<string, string>? Headers { get; init; }
+
+    /// <summary>
+    /// Payload size in bytes.
+    /// </summary>
+    public int Size { get; init; }
+
+    /// <summary>
+    /// Time the message was received by the server.
+    /// </summary>
+    public DateTimeOffset ReceivedAt { get; init; }
+
+    /// <summary>
+    /// How the payload is represented: "json", "text", "base64" or "empty".
+    /// </summary>
+    public required string PayloadEncoding { get; init; }
+
+    /// <summary>
+    /// Parsed payload when PayloadEncoding is "json".
+    /// </summary>
+    public JsonElement? Payload { get; init; }
+
+    /// <summary>
+    /// Raw payload when PayloadEncoding is "text" or "base64".
+    /// </summary>
+    public string? PayloadText { get; init; }
+}
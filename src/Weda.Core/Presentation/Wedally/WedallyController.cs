@@ -1,17 +1,25 @@
 using System.Diagnostics;
 using System.Reflection;
+using System.Text;
+using System.Text.Encodings.Web;
 using System.Text.Json;
 using Asp.Versioning;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Cors;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 using NATS.Client.Core;
+using NATS.Client.JetStream;
+using NATS.Client.JetStream.Models;
 using Swashbuckle.AspNetCore.Filters;
 using Weda.Core.Application.Interfaces.Messaging;
+using Weda.Core.Application.Security.Models;
+using Weda.Core.Infrastructure.Messaging.Nats.Configuration;
 using Weda.Core.Infrastructure.Messaging.Nats.Discovery;
 using Weda.Core.Infrastructure.Messaging.Nats.Enums;
 using Weda.Core.Infrastructure.Middleware;
+using Weda.Core.Presentation.Wedally.AsyncApi;
 using Weda.Core.Presentation.Wedally.Contracts;
 
 namespace Weda.Core.Presentation.Wedally;
@@ -19,27 +27,78 @@ namespace Weda.Core.Presentation.Wedally;
 /// <summary>
 /// Wedally - NATS EventController testing UI API.
 /// Provides endpoints for discovering and testing NATS message handlers.
+/// Requires an authenticated user; destructive JetStream operations require Admin or above.
 /// </summary>
 [ApiVersion("1.0")]
 [Route("api/v{version:apiVersion}/wedally")]
 [ApiExplorerSettings(IgnoreApi = true)]
 [SkipTransaction]
+[EnableCors(CorsPolicy)]
 public class WedallyController(
     EventControllerDiscovery discovery,
     IJetStreamClientFactory clientFactory,
+    INatsConnectionProvider connectionProvider,
     IServiceProvider serviceProvider,
     ILogger<WedallyController> logger) : ApiController
 {
+    /// <summary>
+    /// CORS policy for Wedally pages on other origins (see "Wedally:AllowedOrigins").
+    /// </summary>
+    public const string CorsPolicy = "Wedally";
+
+    private const int MaxBrowseMessages = 100;
+
     private static readonly HashSet<Type> ProcessedTypes = [];
 
+    private static readonly JsonSerializerOptions AsyncApiJsonOptions = new()
+    {
+        WriteIndented = true,
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
     /// <summary>
     /// Returns the NATS API specification (similar to OpenAPI/Swagger spec).
     /// </summary>
     /// <returns>Complete NATS API specification.</returns>
     [HttpGet("spec")]
     [ProducesResponseType(typeof(NatsSpecDto), StatusCodes.Status200OK)]
-    [AllowAnonymous]
     public ActionResult<NatsSpecDto> GetSpec()
+    {
+        return Ok(BuildSpec());
+    }
+
+    /// <summary>
+    /// Exports the NATS API specification as an AsyncAPI 3.0 document.
+    /// </summary>
+    /// <param name="format">"json" (default) or "yaml".</param>
+    /// <param name="download">Whether to send the document as a file attachment.</param>
+    /// <returns>AsyncAPI 3.0 document.</returns>
+    [HttpGet("asyncapi")]
+    [Produces("application/json", "application/yaml")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public IActionResult GetAsyncApi([FromQuery] string format = "json", [FromQuery] bool download = false)
+    {
+        var normalizedFormat = format.ToLowerInvariant();
+        if (normalizedFormat is not ("json" or "yaml" or "yml"))
+        {
+            return BadRequest($"Unsupported format '{format}'. Use 'json' or 'yaml'.");
+        }
+
+        var document = AsyncApiDocumentBuilder.Build(BuildSpec());
+        var isYaml = normalizedFormat != "json";
+        var content = isYaml ? YamlWriter.Write(document) : document.ToJsonString(AsyncApiJsonOptions);
+        var contentType = isYaml ? "application/yaml" : "application/json";
+
+        if (download)
+        {
+            return File(Encoding.UTF8.GetBytes(content), contentType, isYaml ? "asyncapi.yaml" : "asyncapi.json");
+        }
+
+        return Content(content, contentType, Encoding.UTF8);
+    }
+
+    private NatsSpecDto BuildSpec()
     {
         ProcessedTypes.Clear();
         var definitions = new Dictionary<string, TypeDefinitionDto>();
@@ -97,7 +156,7 @@ public class WedallyController(
             Tags = tags
         };
 
-        return Ok(spec);
+        return spec;
     }
 
     /// <summary>
@@ -106,7 +165,6 @@ public class WedallyController(
     /// <returns>All NATS endpoints grouped by controller.</returns>
     [HttpGet("endpoints")]
     [ProducesResponseType(typeof(NatsEndpointsResponse), StatusCodes.Status200OK)]
-    [AllowAnonymous]
     public ActionResult<NatsEndpointsResponse> GetEndpoints()
     {
         var endpoints = discovery.Endpoints
@@ -131,7 +189,6 @@ public class WedallyController(
     [ProducesResponseType(typeof(NatsPublishResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
-    [AllowAnonymous]
     public async Task<ActionResult<NatsPublishResponse>> Publish(
         [FromBody] NatsPublishRequest request,
         CancellationToken cancellationToken)
@@ -150,6 +207,12 @@ public class WedallyController(
                 $"This endpoint is {endpoint.Mode}. Messages will be sent but no response is expected.");
         }
 
+        var invalidHeader = request.Headers?.Keys.FirstOrDefault(k => !IsValidHeaderName(k));
+        if (invalidHeader is not null)
+        {
+            return BadRequest($"Invalid header name '{invalidHeader}'");
+        }
+
         var stopwatch = Stopwatch.StartNew();
 
         try
@@ -161,14 +224,16 @@ public class WedallyController(
                 ? JsonSerializer.SerializeToUtf8Bytes(request.Payload.Value, WedaJsonDefaults.Options)
                 : null;
 
-            logger.LogInformation("Sending request to {Subject}, payload bytes: {Length}",
+            logger.LogInformation("Sending request to {Subject}, payload bytes: {Length}, headers: {HeaderCount}",
                 request.Subject,
-                payloadBytes?.Length ?? -1);
+                payloadBytes?.Length ?? -1,
+                request.Headers?.Count ?? 0);
 
             // Use IJetStreamClient which auto-injects trace headers
             var response = await client.RequestAsync<byte[]?, JsonElement?>(
                 request.Subject,
                 payloadBytes,
+                ToNatsHeaders(request.Headers),
                 TimeSpan.FromMilliseconds(request.TimeoutMs),
                 cancellationToken);
 
@@ -179,6 +244,7 @@ public class WedallyController(
                 Success = true,
                 Subject = request.Subject,
                 ResponseData = response.Data,
+                ResponseHeaders = response.Headers?.ToDictionary(h => h.Key, h => h.Value.ToString()),
                 ElapsedMs = stopwatch.ElapsedMilliseconds
             });
         }
@@ -238,7 +304,6 @@ public class WedallyController(
     [HttpPost("fire")]
     [ProducesResponseType(typeof(NatsPublishResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
-    [AllowAnonymous]
     public async Task<ActionResult<NatsPublishResponse>> Fire(
         [FromBody] NatsPublishRequest request,
         CancellationToken cancellationToken)
@@ -251,11 +316,18 @@ public class WedallyController(
             return NotFound($"Endpoint '{request.EndpointId}' not found");
         }
 
+        var invalidHeader = request.Headers?.Keys.FirstOrDefault(k => !IsValidHeaderName(k));
+        if (invalidHeader is not null)
+        {
+            return BadRequest($"Invalid header name '{invalidHeader}'");
+        }
+
         var stopwatch = Stopwatch.StartNew();
 
         try
         {
             var client = clientFactory.Create(endpoint.ConnectionName);
+            var headers = ToNatsHeaders(request.Headers);
 
             // For JetStream endpoints, use JetStream publish to ensure message persistence
             var isJetStream = endpoint.Mode == EndpointMode.JetStreamConsume ||
@@ -275,11 +347,11 @@ public class WedallyController(
             // Use IJetStreamClient which auto-injects trace headers
             if (isJetStream)
             {
-                await client.JsPublishAsync(request.Subject, payloadBytes, cancellationToken);
+                await client.JsPublishAsync(request.Subject, payloadBytes, headers, cancellationToken);
             }
             else
             {
-                await client.PublishAsync(request.Subject, payloadBytes, cancellationToken);
+                await client.PublishAsync(request.Subject, payloadBytes, headers, cancellationToken);
             }
 
             stopwatch.Stop();
@@ -308,9 +380,476 @@ public class WedallyController(
         }
     }
 
+    /// <summary>
+    /// Subscribes to a subject (wildcards allowed) and streams every message as server-sent events.
+    /// Emits a "subscribed" event once the subscription is active, then one "message" event per message.
+    /// The subscription ends when the client disconnects.
+    /// </summary>
+    /// <param name="subject">Subject or wildcard to subscribe to (e.g., "employee.v1.*.doc").</param>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="cancellationToken">Cancellation token, triggered when the client disconnects.</param>
+    [HttpGet("subscribe")]
+    [Produces("text/event-stream")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> Subscribe(
+        [FromQuery] string subject,
+        [FromQuery] string? connection,
+        CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(subject) || subject.Any(char.IsWhiteSpace))
+        {
+            return BadRequest("A subject without whitespace is required");
+        }
+
+        INatsConnection natsConnection;
+        try
+        {
+            natsConnection = connectionProvider.GetConnection(connection);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        logger.LogInformation("Wedally subscription started on {Subject} ({Connection})",
+            subject, connection ?? "default");
+
+        try
+        {
+            await WriteServerSentEventAsync("subscribed", new { subject, connection }, cancellationToken);
+
+            await foreach (var msg in natsConnection.SubscribeAsync<byte[]>(subject, cancellationToken: cancellationToken))
+            {
+                await WriteServerSentEventAsync("message", MapSubscriptionMessage(msg), cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+
+        logger.LogInformation("Wedally subscription on {Subject} closed", subject);
+
+        return new EmptyResult();
+    }
+
+    private async Task WriteServerSentEventAsync(string eventName, object data, CancellationToken cancellationToken)
+    {
+        var json = JsonSerializer.Serialize(data, WedaJsonDefaults.Options);
+        await Response.WriteAsync($"event: {eventName}\ndata: {json}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    private static NatsSubscriptionMessageDto MapSubscriptionMessage(NatsMsg<byte[]> msg)
+    {
+        var data = msg.Data ?? [];
+        var headers = msg.Headers?.ToDictionary(h => h.Key, h => h.Value.ToString());
+
+        if (data.Length == 0)
+        {
+            return new NatsSubscriptionMessageDto
+            {
+                Subject = msg.Subject,
+                ReplyTo = msg.ReplyTo,
+                Headers = headers,
+                ReceivedAt = DateTimeOffset.UtcNow,
+                PayloadEncoding = "empty"
+            };
+        }
+
+        var (encoding, payload, payloadText) = DecodePayload(data);
+
+        return new NatsSubscriptionMessageDto
+        {
+            Subject = msg.Subject,
+            ReplyTo = msg.ReplyTo,
+            Headers = headers,
+            Size = data.Length,
+            ReceivedAt = DateTimeOffset.UtcNow,
+            PayloadEncoding = encoding,
+            Payload = payload,
+            PayloadText = payloadText
+        };
+    }
+
+    /// <summary>
+    /// Lists the JetStream streams of a connection with their state and consumers.
+    /// </summary>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Streams ordered by name.</returns>
+    [HttpGet("jetstream/streams")]
+    [ProducesResponseType(typeof(List<JetStreamStreamDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status503ServiceUnavailable)]
+    public Task<IActionResult> GetStreams(
+        [FromQuery] string? connection,
+        CancellationToken cancellationToken) =>
+        ExecuteJetStreamAsync(connection, async js =>
+        {
+            var streams = new List<JetStreamStreamDto>();
+            await foreach (var stream in js.ListStreamsAsync(cancellationToken: cancellationToken))
+            {
+                streams.Add(await MapStreamAsync(js, stream.Info, connection, cancellationToken));
+            }
+
+            return Ok(streams.OrderBy(s => s.Name).ToList());
+        });
+
+    /// <summary>
+    /// Gets the state and consumers of a single JetStream stream.
+    /// </summary>
+    /// <param name="stream">Stream name.</param>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    [HttpGet("jetstream/streams/{stream}")]
+    [ProducesResponseType(typeof(JetStreamStreamDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public Task<IActionResult> GetStream(
+        string stream,
+        [FromQuery] string? connection,
+        CancellationToken cancellationToken) =>
+        ExecuteJetStreamAsync(connection, async js =>
+        {
+            var jsStream = await js.GetStreamAsync(stream, cancellationToken: cancellationToken);
+            return Ok(await MapStreamAsync(js, jsStream.Info, connection, cancellationToken));
+        });
+
+    /// <summary>
+    /// Reads stored messages in sequence order, starting at (or after, if deleted) the given sequence.
+    /// </summary>
+    /// <param name="stream">Stream name.</param>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="startSeq">First sequence to read.</param>
+    /// <param name="count">Maximum number of messages (1-100).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Up to <paramref name="count"/> messages; fewer when the end of the stream is reached.</returns>
+    [HttpGet("jetstream/streams/{stream}/messages")]
+    [ProducesResponseType(typeof(List<JetStreamMessageDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> GetStreamMessages(
+        string stream,
+        [FromQuery] string? connection,
+        [FromQuery] ulong startSeq = 1,
+        [FromQuery] int count = 20,
+        CancellationToken cancellationToken = default)
+    {
+        if (count is < 1 or > MaxBrowseMessages)
+        {
+            return BadRequest($"Count must be between 1 and {MaxBrowseMessages}");
+        }
+
+        return await ExecuteJetStreamAsync(connection, async js =>
+        {
+            var jsStream = await js.GetStreamAsync(stream, cancellationToken: cancellationToken);
+            var messages = new List<JetStreamMessageDto>();
+            var seq = Math.Max(startSeq, 1);
+
+            while (messages.Count < count && seq <= jsStream.Info.State.LastSeq)
+            {
+                StreamMsgGetResponse response;
+                try
+                {
+                    // next_by_subj returns the first message at or after seq, skipping deleted sequences
+                    response = await jsStream.GetAsync(
+                        new StreamMsgGetRequest { Seq = seq, NextBySubj = ">" },
+                        cancellationToken);
+                }
+                catch (NatsJSApiException ex) when (ex.Error.Code == 404)
+                {
+                    break;
+                }
+
+                messages.Add(MapStreamMessage(response.Message));
+                seq = response.Message.Seq + 1;
+            }
+
+            return Ok(messages);
+        });
+    }
+
+    /// <summary>
+    /// Removes all messages from a stream. The stream name must be repeated in <paramref name="confirm"/>.
+    /// </summary>
+    /// <param name="stream">Stream name.</param>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="confirm">Must equal the stream name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The stream state after the purge.</returns>
+    [HttpPost("jetstream/streams/{stream}/purge")]
+    [ProducesResponseType(typeof(JetStreamStreamDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [Authorize(Policy = Policy.AdminOrAbove)]
+    public async Task<IActionResult> PurgeStream(
+        string stream,
+        [FromQuery] string? connection,
+        [FromQuery] string? confirm,
+        CancellationToken cancellationToken)
+    {
+        if (confirm != stream)
+        {
+            return BadRequest("Confirm the purge by passing the stream name as 'confirm'");
+        }
+
+        return await ExecuteJetStreamAsync(connection, async js =>
+        {
+            var result = await js.PurgeStreamAsync(stream, new StreamPurgeRequest(), cancellationToken);
+            logger.LogWarning("Wedally purged {Purged} messages from stream {Stream}", result.Purged, stream);
+
+            var jsStream = await js.GetStreamAsync(stream, cancellationToken: cancellationToken);
+            return Ok(await MapStreamAsync(js, jsStream.Info, connection, cancellationToken));
+        });
+    }
+
+    /// <summary>
+    /// Resets a consumer by deleting and recreating it with its current configuration,
+    /// so delivery starts over according to its deliver policy and pending acks are dropped.
+    /// The configuration is re-applied before the delete, so a configuration the server no longer
+    /// accepts fails the reset while the consumer still exists.
+    /// The consumer name must be repeated in <paramref name="confirm"/>.
+    /// </summary>
+    /// <param name="stream">Stream name.</param>
+    /// <param name="consumer">Consumer name.</param>
+    /// <param name="connection">NATS connection name, or null for the default connection.</param>
+    /// <param name="confirm">Must equal the consumer name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The recreated consumer.</returns>
+    [HttpPost("jetstream/streams/{stream}/consumers/{consumer}/reset")]
+    [ProducesResponseType(typeof(JetStreamConsumerDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [Authorize(Policy = Policy.AdminOrAbove)]
+    public async Task<IActionResult> ResetConsumer(
+        string stream,
+        string consumer,
+        [FromQuery] string? connection,
+        [FromQuery] string? confirm,
+        CancellationToken cancellationToken)
+    {
+        if (confirm != consumer)
+        {
+            return BadRequest("Confirm the reset by passing the consumer name as 'confirm'");
+        }
+
+        return await ExecuteJetStreamAsync(connection, async js =>
+        {
+            var existing = await js.GetConsumerAsync(stream, consumer, cancellationToken);
+            var config = existing.Info.Config;
+
+            // An update with the unchanged configuration is a no-op, but is rejected if it is no longer valid
+            await js.CreateOrUpdateConsumerAsync(stream, config, cancellationToken);
+
+            // From here on the request is not cancelled, so the consumer is not left deleted
+            await js.DeleteConsumerAsync(stream, consumer, CancellationToken.None);
+            var recreated = await RecreateConsumerAsync(js, stream, config);
+            logger.LogWarning("Wedally reset consumer {Consumer} on stream {Stream}", consumer, stream);
+
+            return Ok(MapConsumer(recreated.Info));
+        });
+    }
+
+    /// <summary>
+    /// Creates a just-deleted consumer again, retrying once since there is no consumer until it succeeds.
+    /// </summary>
+    private async Task<INatsJSConsumer> RecreateConsumerAsync(NatsJSContext js, string stream, ConsumerConfig config)
+    {
+        try
+        {
+            return await js.CreateOrUpdateConsumerAsync(stream, config, CancellationToken.None);
+        }
+        catch (NatsException ex)
+        {
+            logger.LogError(ex, "Recreating consumer {Consumer} on stream {Stream} failed, retrying", config.Name, stream);
+            return await js.CreateOrUpdateConsumerAsync(stream, config, CancellationToken.None);
+        }
+    }
+
+    /// <summary>
+    /// Runs a JetStream API call: unknown connections become 400, missing streams or consumers 404,
+    /// and other NATS failures (e.g., JetStream not enabled on the server) 503.
+    /// </summary>
+    private async Task<IActionResult> ExecuteJetStreamAsync(
+        string? connection,
+        Func<NatsJSContext, Task<IActionResult>> action)
+    {
+        NatsJSContext js;
+        try
+        {
+            js = connectionProvider.GetJetStreamContext(connection);
+        }
+        catch (InvalidOperationException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+
+        try
+        {
+            return await action(js);
+        }
+        catch (NatsJSApiException ex) when (ex.Error.Code == 404)
+        {
+            return NotFound(ex.Message);
+        }
+        catch (NatsException ex)
+        {
+            logger.LogError(ex, "JetStream request on {Connection} failed", connection ?? "default");
+            return StatusCode(StatusCodes.Status503ServiceUnavailable, ex.Message);
+        }
+    }
+
+    private static async Task<JetStreamStreamDto> MapStreamAsync(
+        NatsJSContext js,
+        StreamInfo info,
+        string? connection,
+        CancellationToken cancellationToken)
+    {
+        var name = info.Config.Name ?? string.Empty;
+        var consumers = new List<JetStreamConsumerDto>();
+        await foreach (var consumer in js.ListConsumersAsync(name, cancellationToken))
+        {
+            consumers.Add(MapConsumer(consumer.Info));
+        }
+
+        return new JetStreamStreamDto
+        {
+            Name = name,
+            Connection = connection ?? "default",
+            Subjects = info.Config.Subjects?.ToList() ?? [],
+            Retention = info.Config.Retention.ToString(),
+            Storage = info.Config.Storage.ToString(),
+            Messages = info.State.Messages,
+            Bytes = info.State.Bytes,
+            FirstSeq = info.State.FirstSeq,
+            LastSeq = info.State.LastSeq,
+            Created = info.Created,
+            Consumers = consumers.OrderBy(c => c.Name).ToList()
+        };
+    }
+
+    private static JetStreamConsumerDto MapConsumer(ConsumerInfo info) => new()
+    {
+        Name = info.Name,
+        FilterSubject = info.Config.FilterSubject,
+        AckPolicy = info.Config.AckPolicy.ToString(),
+        DeliverPolicy = info.Config.DeliverPolicy.ToString(),
+        NumPending = info.NumPending,
+        NumAckPending = info.NumAckPending,
+        NumRedelivered = info.NumRedelivered,
+        NumWaiting = info.NumWaiting,
+        DeliveredStreamSeq = info.Delivered.StreamSeq,
+        AckFloorStreamSeq = info.AckFloor.StreamSeq
+    };
+
+    private static JetStreamMessageDto MapStreamMessage(StreamMessage message)
+    {
+        var data = message.Data.ToArray();
+        var headers = ParseStoredHeaders(message.Hdrs);
+
+        if (data.Length == 0)
+        {
+            return new JetStreamMessageDto
+            {
+                Seq = message.Seq,
+                Subject = message.Subject,
+                Time = message.Time,
+                Headers = headers,
+                PayloadEncoding = "empty"
+            };
+        }
+
+        var (encoding, payload, payloadText) = DecodePayload(data);
+
+        return new JetStreamMessageDto
+        {
+            Seq = message.Seq,
+            Subject = message.Subject,
+            Time = message.Time,
+            Headers = headers,
+            Size = data.Length,
+            PayloadEncoding = encoding,
+            Payload = payload,
+            PayloadText = payloadText
+        };
+    }
+
+    /// <summary>
+    /// Parses the base64 header block ("NATS/1.0\r\nName: value\r\n...") returned by the stream message API.
+    /// Repeated headers are joined with ',' like <see cref="NatsHeaders"/> values.
+    /// </summary>
+    private static Dictionary<string, string>? ParseStoredHeaders(string? encoded)
+    {
+        if (string.IsNullOrEmpty(encoded)) return null;
+
+        var lines = Encoding.UTF8.GetString(Convert.FromBase64String(encoded))
+            .Split("\r\n", StringSplitOptions.RemoveEmptyEntries);
+
+        var headers = new Dictionary<string, string>();
+        foreach (var line in lines.Skip(1))
+        {
+            var separator = line.IndexOf(':');
+            if (separator <= 0) continue;
+
+            var name = line[..separator].Trim();
+            var value = line[(separator + 1)..].Trim();
+            headers[name] = headers.TryGetValue(name, out var existing) ? $"{existing},{value}" : value;
+        }
+
+        return headers.Count > 0 ? headers : null;
+    }
+
+    /// <summary>
+    /// Decodes a raw payload as JSON, falling back to UTF-8 text and finally base64 (e.g., Protobuf).
+    /// </summary>
+    private static (string Encoding, JsonElement? Payload, string? PayloadText) DecodePayload(byte[] data)
+    {
+        try
+        {
+            return ("json", JsonSerializer.Deserialize<JsonElement>(data), null);
+        }
+        catch (JsonException)
+        {
+        }
+
+        try
+        {
+            var text = new UTF8Encoding(false, true).GetString(data);
+            return ("text", null, text);
+        }
+        catch (DecoderFallbackException)
+        {
+            return ("base64", null, Convert.ToBase64String(data));
+        }
+    }
+
     private static string GetEndpointId(EndpointDescriptor e) =>
         $"{e.ControllerType.Name}_{e.Method.Name}";
 
+    /// <summary>
+    /// NATS header names must be non-empty and cannot contain whitespace or ':'.
+    /// </summary>
+    private static bool IsValidHeaderName(string name) =>
+        !string.IsNullOrEmpty(name) && !name.Any(c => char.IsWhiteSpace(c) || c == ':');
+
+    private static NatsHeaders ToNatsHeaders(Dictionary<string, string>? headers)
+    {
+        var natsHeaders = new NatsHeaders();
+        if (headers is null) return natsHeaders;
+
+        foreach (var (key, value) in headers)
+        {
+            natsHeaders[key] = value;
+        }
+
+        return natsHeaders;
+    }
+
     private NatsEndpointSpecDto MapToSpecDto(EndpointDescriptor e, Dictionary<string, TypeDefinitionDto> definitions)
     {
         var placeholders = TemplateResolver.GetPlaceholderNames(e.SubjectPattern);
@@ -398,6 +937,9 @@ public class WedallyController(
     {
         if (type is null || IsPrimitiveType(type)) return;
 
+        // Nullable<T> shares the definition of T
+        type = Nullable.GetUnderlyingType(type) ?? type;
+
         var typeName = GetTypeName(type);
         if (definitions.ContainsKey(typeName)) return;
         if (ProcessedTypes.Contains(type)) return;
@@ -463,7 +1005,7 @@ public class WedallyController(
                     Required = !isNullable,
                     Nullable = isNullable,
                     Description = description,
-                    Ref = isComplex ? $"#/definitions/{propTypeName}" : null,
+                    Ref = isComplex ? $"#/definitions/{GetTypeName(Nullable.GetUnderlyingType(p.PropertyType) ?? p.PropertyType)}" : null,
                     Example = propExample
                 };
             })
@@ -14,6 +14,7 @@ using Weda.Core.Infrastructure.Middleware;
 using Weda.Core.Infrastructure.Messaging.Nats.Configuration;
 using Weda.Core.Presentation.Swagger;
 using Weda.Core.Presentation.Filters;
+using Weda.Core.Presentation.Wedally;
 using Weda.Core.Infrastructure.Observability;
 
 namespace Weda.Core;
@@ -47,6 +48,7 @@ public static class WedaCoreModule
         services.AddValidatorsFromAssemblyContaining<TApplicationMarker>();
 
         services.AddPresentation<TContractsMarker>(options);
+        services.AddWedallyCors(configuration);
 
         return services;
     }
@@ -104,6 +106,7 @@ public static class WedaCoreModule
             // Only use HTTPS redirection in non-development environments
             app.UseHttpsRedirection();
         }
+        app.UseCors();
         app.UseAuthentication();
         app.UseAuthorization();
         app.MapControllers();
@@ -168,6 +171,24 @@ public static class WedaCoreModule
         return services;
     }
 
+    /// <summary>
+    /// Lets Wedally pages served from other origins (environment profiles) call this deployment's Wedally API.
+    /// Origins come from "Wedally:AllowedOrigins"; none are allowed by default.
+    /// </summary>
+    private static IServiceCollection AddWedallyCors(
+        this IServiceCollection services,
+        IConfiguration configuration)
+    {
+        var allowedOrigins = configuration.GetSection("Wedally:AllowedOrigins").Get<string[]>() ?? [];
+
+        services.AddCors(cors => cors.AddPolicy(WedallyController.CorsPolicy, policy =>
+            policy.WithOrigins(allowedOrigins)
+                .AllowAnyHeader()
+                .AllowAnyMethod()));
+
+        return services;
+    }
+
     private static IServiceCollection AddMessaging<TAssemblyMarker>(
         this IServiceCollection services,
         IConfiguration configuration,
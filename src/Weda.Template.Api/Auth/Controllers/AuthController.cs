@@ -38,4 +38,38 @@ public class AuthController(ISender _mediator) : ApiController
 
         return result.Match(Ok, Problem);
     }
+
+    /// <summary>
+    /// Exchange a refresh token for a new access token and refresh token.
+    /// </summary>
+    /// <param name="request">The refresh token from a previous login or refresh.</param>
+    /// <returns>The authentication response with new tokens and the user's current roles and permissions.</returns>
+    /// <response code="200">Refresh successful, returns new tokens.</response>
+    /// <response code="401">Refresh token invalid or expired, or account not active.</response>
+    [HttpPost("refresh")]
+    [ProducesResponseType(typeof(AuthResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<IActionResult> Refresh([FromBody] RefreshTokenRequest request)
+    {
+        var command = new RefreshTokenCommand(request.RefreshToken);
+        var result = await _mediator.Send(command);
+
+        return result.Match(Ok, Problem);
+    }
+
+    /// <summary>
+    /// Log out by revoking the refresh token's session, so neither it nor tokens rotated from it can be used again.
+    /// Access tokens already issued stay valid until they expire.
+    /// </summary>
+    /// <param name="request">The current refresh token.</param>
+    /// <response code="204">Session ended (also when the token was already invalid or expired).</response>
+    [HttpPost("logout")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    public async Task<IActionResult> Logout([FromBody] LogoutRequest request)
+    {
+        var command = new LogoutCommand(request.RefreshToken);
+        var result = await _mediator.Send(command);
+
+        return result.Match(_ => NoContent(), Problem);
+    }
 }
\ No newline at end of file
@@ -1,4 +1,7 @@
+using System.Text.Json;
+
 using Asp.Versioning;
+using ErrorOr;
 
 
 using Mediator;
@@ -7,13 +10,23 @@ using Mediator;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 
+using NATS.Client.Core;
+
 
 using Weda.Template.Contracts.Employees;
 using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
 using Weda.Template.Contracts.Employees.Requests;
 using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Contracts.Employees.Events;
 using Weda.Template.Contracts.Employees.Queries;
 using Weda.Template.Api.Employees.Mappings;
+using Weda.Core;
+using Weda.Core.Application.Errors;
+using Weda.Core.Domain;
+using Weda.Core.Infrastructure.Messaging.Nats.Configuration;
+using Weda.Core.Infrastructure.Middleware;
 using Weda.Core.Presentation;
 
 namespace Weda.Template.Api.Employees.Controllers;
@@ -22,23 +35,81 @@ namespace Weda.Template.Api.Employees.Controllers;
 /// Manages employee operations including CRUD and organizational hierarchy.
 /// </summary>
 [ApiVersion("1.0")]
-public class EmployeesController(IMediator mediator) : ApiController
+public class EmployeesController(
+    IMediator mediator,
+    INatsConnectionProvider connectionProvider) : ApiController
 {
+    // Payload type of each employee NATS event, keyed by the event name at the end of the subject
+    private static readonly Dictionary<string, Type> EventPayloadTypes = new()
+    {
+        [EmployeeNatsSubjects.EventNames.Created] = typeof(CreateEmployeeNatsEvent),
+        [EmployeeNatsSubjects.EventNames.Updated] = typeof(EmployeeUpdatedNatsEvent),
+        [EmployeeNatsSubjects.EventNames.Deleted] = typeof(EmployeeDeletedNatsEvent),
+        [EmployeeNatsSubjects.EventNames.Reparented] = typeof(EmployeeReparentedNatsEvent),
+        [EmployeeNatsSubjects.EventNames.StatusChanged] = typeof(EmployeeStatusChangedNatsEvent),
+    };
+
     /// <summary>
-    /// Retrieves all employees.
+    /// Retrieves one page of employees, optionally filtered and sorted.
     /// </summary>
-    /// <returns>A list of all employees in the system.</returns>
-    /// <response code="200">Returns the list of employees.</response>
+    /// <param name="page">1-based page number.</param>
+    /// <param name="pageSize">Employees per page (1-500).</param>
+    /// <param name="search">Case-insensitive text matched against name, email, position and department.</param>
+    /// <param name="department">Only employees in this department.</param>
+    /// <param name="status">Only employees with this status (Active, Inactive, OnLeave).</param>
+    /// <param name="supervisorId">Only direct reports of this supervisor.</param>
+    /// <param name="rootsOnly">Only employees without a supervisor.</param>
+    /// <param name="sortBy">Sort field (Name, Department, Position, HireDate, Id).</param>
+    /// <param name="desc">Sort descending.</param>
+    /// <returns>The requested page, with each employee's direct report count.</returns>
+    /// <response code="200">Returns the page of employees.</response>
+    /// <response code="400">Invalid paging, filter or sort parameters.</response>
     [HttpGet]
-    [ProducesResponseType(typeof(IEnumerable<EmployeeResponse>), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(PagedResult<EmployeeResponse>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [AllowAnonymous]
-    public async Task<IActionResult> GetAll()
+    public async Task<IActionResult> GetAll(
+        [FromQuery] int page = 1,
+        [FromQuery] int pageSize = ListEmployeesQuery.DefaultPageSize,
+        [FromQuery] string? search = null,
+        [FromQuery] string? department = null,
+        [FromQuery] string? status = null,
+        [FromQuery] int? supervisorId = null,
+        [FromQuery] bool rootsOnly = false,
+        [FromQuery] string? sortBy = null,
+        [FromQuery] bool desc = false)
     {
-        var query = new ListEmployeesQuery();
+        EmployeeStatus? statusFilter = null;
+        if (status is not null)
+        {
+            if (!Enum.TryParse<EmployeeStatus>(status, ignoreCase: true, out var parsedStatus))
+            {
+                return BadRequest($"Invalid status: {status}");
+            }
+
+            statusFilter = parsedStatus;
+        }
+
+        var sortField = EmployeeSortField.Name;
+        if (sortBy is not null && !Enum.TryParse(sortBy, ignoreCase: true, out sortField))
+        {
+            return BadRequest($"Invalid sortBy: {sortBy}");
+        }
+
+        var query = new ListEmployeesQuery(
+            page,
+            pageSize,
+            search,
+            department,
+            statusFilter,
+            supervisorId,
+            rootsOnly,
+            sortField,
+            desc);
         var result = await mediator.Send(query);
 
         return result.Match(
-            employees => Ok(EmployeeMapper.ToResponseList(employees)),
+            employees => Ok(EmployeeMapper.ToResponsePage(employees)),
             errors => Problem(errors));
     }
 
@@ -47,7 +118,7 @@ public class EmployeesController(IMediator mediator) : ApiController
     /// </summary>
     /// <param name="id">The unique identifier of the employee.</param>
     /// <returns>The employee details.</returns>
-    /// <response code="200">Returns the employee.</response>
+    /// <response code="200">Returns the employee, with its version as the ETag.</response>
     /// <response code="404">Employee not found.</response>
     [HttpGet("{id:int}")]
     [ProducesResponseType(typeof(EmployeeResponse), StatusCodes.Status200OK)]
@@ -59,7 +130,7 @@ public class EmployeesController(IMediator mediator) : ApiController
         var result = await mediator.Send(query);
 
         return result.Match(
-            employee => Ok(EmployeeMapper.ToResponse(employee)),
+            employee => OkWithETag(employee),
             errors => Problem(errors));
     }
 
@@ -93,26 +164,135 @@ public class EmployeesController(IMediator mediator) : ApiController
             errors => Problem(errors));
     }
 
+    /// <summary>
+    /// Creates many employees at once, e.g. from a CSV import. Either all are created or none.
+    /// </summary>
+    /// <param name="request">The employees to create; supervisors are referenced by email.</param>
+    /// <returns>The created employees, or only the row count for a validate-only preview.</returns>
+    /// <response code="200">Import validated (validateOnly) or created.</response>
+    /// <response code="400">One or more rows are invalid; errors are keyed by row (Employees[i]).</response>
+    [HttpPost("bulk")]
+    [ProducesResponseType(typeof(BulkCreateEmployeesResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> BulkCreate([FromBody] BulkCreateEmployeesRequest request)
+    {
+        var command = new BulkCreateEmployeesCommand(
+            request.Employees
+                .Select(row => new BulkCreateEmployeeItem(
+                    row.Name,
+                    row.Email,
+                    row.Department,
+                    row.Position,
+                    row.HireDate,
+                    row.SupervisorEmail))
+                .ToList(),
+            request.ValidateOnly);
+
+        var result = await mediator.Send(command);
+
+        return result.Match(
+            imported => Ok(EmployeeMapper.ToResponse(imported)),
+            errors => Problem(errors));
+    }
+
+    /// <summary>
+    /// Applies one action to several employees at once: move them to a new supervisor, change their
+    /// department, change their status, or delete them. Either all of them change or none does.
+    /// When employees are deleted or become Inactive, their direct reports go where the orphan policy says.
+    /// </summary>
+    /// <param name="request">The selected employees, the action and its values.</param>
+    /// <returns>Every employee that changed, and the IDs of deleted employees.</returns>
+    /// <response code="200">The action was applied to every selected employee.</response>
+    /// <response code="400">
+    /// Invalid action or values, or the change would break the hierarchy; errors are keyed by
+    /// employee (EmployeeIds[i]) or by the request field they are about.
+    /// </response>
+    /// <response code="412">
+    /// Employees changed since the versions sent; the body's <c>conflicts</c> lists each with its index and current state.
+    /// </response>
+    [HttpPost("batch")]
+    [ProducesResponseType(typeof(BatchEmployeesResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(typeof(ProblemDetails), StatusCodes.Status412PreconditionFailed)]
+    public async Task<IActionResult> Batch([FromBody] BatchEmployeesRequest request)
+    {
+        if (!Enum.TryParse<BatchEmployeeAction>(request.Action, ignoreCase: true, out var action))
+        {
+            return BadRequest($"Invalid action: {request.Action}");
+        }
+
+        EmployeeStatus? status = null;
+        if (request.Status is not null)
+        {
+            if (!Enum.TryParse<EmployeeStatus>(request.Status, ignoreCase: true, out var parsedStatus))
+            {
+                return BadRequest($"Invalid status: {request.Status}");
+            }
+
+            status = parsedStatus;
+        }
+
+        var orphanPolicy = OrphanPolicy.ReassignToManager;
+        if (request.OrphanPolicy is not null && !Enum.TryParse(request.OrphanPolicy, ignoreCase: true, out orphanPolicy))
+        {
+            return BadRequest($"Invalid orphanPolicy: {request.OrphanPolicy}");
+        }
+
+        var command = new BatchEmployeesCommand(
+            request.EmployeeIds,
+            action,
+            request.SupervisorId,
+            request.Department,
+            status,
+            request.Reason,
+            request.EffectiveDate,
+            orphanPolicy,
+            request.ReassignOrphansTo,
+            request.Versions);
+
+        var result = await mediator.Send(command);
+        if (result.IsError && result.Errors.All(IsConcurrencyConflict))
+        {
+            return await BatchPreconditionFailedAsync(result.Errors);
+        }
+
+        return result.Match(
+            batch => Ok(EmployeeMapper.ToResponse(batch)),
+            errors => Problem(errors));
+    }
+
     /// <summary>
     /// Updates an existing employee.
+    /// Send the ETag (or <c>version</c>) from the last read in If-Match to make sure nobody changed the employee since.
     /// </summary>
     /// <param name="id">The unique identifier of the employee to update.</param>
     /// <param name="request">The updated employee details.</param>
+    /// <param name="ifMatch">The version the change is based on; omit or use * to update unconditionally.</param>
     /// <returns>The updated employee.</returns>
     /// <response code="200">Employee updated successfully.</response>
-    /// <response code="400">Invalid request data.</response>
+    /// <response code="400">Invalid request data, or a status other than the current one (use PUT {id}/status).</response>
     /// <response code="404">Employee not found.</response>
+    /// <response code="412">The employee was changed since that version; the body's <c>current</c> holds it as it is now.</response>
     [HttpPut("{id:int}")]
     [ProducesResponseType(typeof(EmployeeResponse), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
-    public async Task<IActionResult> Update(int id, [FromBody] UpdateEmployeeRequest request)
+    [ProducesResponseType(typeof(ProblemDetails), StatusCodes.Status412PreconditionFailed)]
+    public async Task<IActionResult> Update(
+        int id,
+        [FromBody] UpdateEmployeeRequest request,
+        [FromHeader(Name = "If-Match")] string? ifMatch = null)
     {
         if (!Enum.TryParse<EmployeeStatus>(request.Status, ignoreCase: true, out var status))
         {
             return BadRequest($"Invalid status: {request.Status}");
         }
 
+        if (!TryParseIfMatch(ifMatch, out var expectedVersion))
+        {
+            return BadRequest($"Invalid If-Match header: {ifMatch}");
+        }
+
         var command = new UpdateEmployeeCommand(
             id,
             request.Name,
@@ -120,12 +300,71 @@ public class EmployeesController(IMediator mediator) : ApiController
             request.Department,
             request.Position,
             status,
-            request.SupervisorId);
+            request.SupervisorId,
+            expectedVersion);
 
         var result = await mediator.Send(command);
+        if (result.IsError && IsConcurrencyConflict(result.FirstError))
+        {
+            return await PreconditionFailedAsync(id);
+        }
 
         return result.Match(
-            employee => Ok(EmployeeMapper.ToResponse(employee)),
+            employee => OkWithETag(employee),
+            errors => Problem(errors));
+    }
+
+    /// <summary>
+    /// Changes an employee's status (Active, OnLeave, Inactive).
+    /// When the employee becomes Inactive, their direct reports move to the chosen manager,
+    /// or to the employee's own manager when none is given.
+    /// </summary>
+    /// <param name="id">The unique identifier of the employee.</param>
+    /// <param name="request">The new status, reason, effective date and reassignment target.</param>
+    /// <param name="ifMatch">The version the change is based on; omit or use * to change it unconditionally.</param>
+    /// <returns>The updated employee.</returns>
+    /// <response code="200">Status changed successfully.</response>
+    /// <response code="400">Invalid status, missing reason, future effective date or invalid reassignment target.</response>
+    /// <response code="404">Employee or reassignment target not found.</response>
+    /// <response code="409">The employee already has this status.</response>
+    /// <response code="412">The employee was changed since that version; the body's <c>current</c> holds it as it is now.</response>
+    [HttpPut("{id:int}/status")]
+    [ProducesResponseType(typeof(EmployeeResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(typeof(ProblemDetails), StatusCodes.Status412PreconditionFailed)]
+    public async Task<IActionResult> ChangeStatus(
+        int id,
+        [FromBody] ChangeEmployeeStatusRequest request,
+        [FromHeader(Name = "If-Match")] string? ifMatch = null)
+    {
+        if (!Enum.TryParse<EmployeeStatus>(request.Status, ignoreCase: true, out var status))
+        {
+            return BadRequest($"Invalid status: {request.Status}");
+        }
+
+        if (!TryParseIfMatch(ifMatch, out var expectedVersion))
+        {
+            return BadRequest($"Invalid If-Match header: {ifMatch}");
+        }
+
+        var command = new ChangeEmployeeStatusCommand(
+            id,
+            status,
+            request.Reason,
+            request.EffectiveDate,
+            request.ReassignSubordinatesTo,
+            expectedVersion);
+
+        var result = await mediator.Send(command);
+        if (result.IsError && IsConcurrencyConflict(result.FirstError))
+        {
+            return await PreconditionFailedAsync(id);
+        }
+
+        return result.Match(
+            employee => OkWithETag(employee),
             errors => Problem(errors));
     }
 
@@ -155,19 +394,165 @@ public class EmployeesController(IMediator mediator) : ApiController
     /// Retrieves all subordinates (direct and indirect reports) of an employee.
     /// </summary>
     /// <param name="id">The unique identifier of the supervisor.</param>
-    /// <returns>A list of all subordinates.</returns>
+    /// <param name="directOnly">Only direct reports, sorted by name and with their own report counts.</param>
+    /// <returns>A list of subordinates.</returns>
     /// <response code="200">Returns the list of subordinates.</response>
     /// <response code="404">Supervisor not found.</response>
     [HttpGet("{id:int}/subordinates")]
     [ProducesResponseType(typeof(IEnumerable<EmployeeResponse>), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status404NotFound)]
-    public async Task<IActionResult> GetSubordinates(int id)
+    public async Task<IActionResult> GetSubordinates(int id, [FromQuery] bool directOnly = false)
     {
-        var query = new GetSubordinatesQuery(id);
+        var query = new GetSubordinatesQuery(id, directOnly);
         var result = await mediator.Send(query);
 
         return result.Match(
             subordinates => Ok(EmployeeMapper.ToResponseList(subordinates)),
             errors => Problem(errors));
     }
+
+    /// <summary>
+    /// Streams employee changes as server-sent events, relayed from the employee NATS events.
+    /// Emits a "subscribed" event once listening, then one event per change named after it
+    /// (created, updated, deleted, reparented, status) with data { employeeId, payload }.
+    /// Browsers pass the token in the access_token query parameter, since EventSource cannot send headers.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token, triggered when the client disconnects.</param>
+    /// <response code="200">Event stream; ends when the client disconnects.</response>
+    /// <response code="503">NATS is not configured.</response>
+    [HttpGet("events")]
+    [SkipTransaction]
+    [Produces("text/event-stream")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status503ServiceUnavailable)]
+    public async Task<IActionResult> StreamEvents(CancellationToken cancellationToken)
+    {
+        INatsConnection natsConnection;
+        try
+        {
+            natsConnection = connectionProvider.GetConnection();
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Problem(detail: ex.Message, statusCode: StatusCodes.Status503ServiceUnavailable);
+        }
+
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        try
+        {
+            await WriteServerSentEventAsync("subscribed", new { subject = EmployeeNatsSubjects.AllEvents }, cancellationToken);
+
+            await foreach (var msg in natsConnection.SubscribeAsync<byte[]>(EmployeeNatsSubjects.AllEvents, cancellationToken: cancellationToken))
+            {
+                if (msg.Data is null ||
+                    !EmployeeNatsSubjects.TryParseEventSubject(msg.Subject, out var employeeId, out var eventName) ||
+                    !EventPayloadTypes.TryGetValue(eventName, out var payloadType))
+                {
+                    continue;
+                }
+
+                object? payload;
+                try
+                {
+                    payload = JsonSerializer.Deserialize(msg.Data, payloadType, WedaJsonDefaults.Options);
+                }
+                catch (JsonException)
+                {
+                    continue;
+                }
+
+                await WriteServerSentEventAsync(eventName, new { employeeId, payload }, cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+
+        return new EmptyResult();
+    }
+
+    private async Task WriteServerSentEventAsync(string eventName, object data, CancellationToken cancellationToken)
+    {
+        var json = JsonSerializer.Serialize(data, WedaJsonDefaults.Options);
+        await Response.WriteAsync($"event: {eventName}\ndata: {json}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    // 200 with the employee's version as the ETag, to send back in If-Match on the next update
+    private OkObjectResult OkWithETag(EmployeeDto employee)
+    {
+        Response.Headers.ETag = $"\"{employee.Version}\"";
+        return Ok(EmployeeMapper.ToResponse(employee));
+    }
+
+    // 412 with the employee as it is now, so the client can merge its change and retry with the new ETag
+    private async Task<IActionResult> PreconditionFailedAsync(int id)
+    {
+        var current = await mediator.Send(new GetEmployeeQuery(id));
+        if (current.IsError)
+        {
+            return Problem(current.Errors);
+        }
+
+        Response.Headers.ETag = $"\"{current.Value.Version}\"";
+        var problem = ProblemDetailsFactory.CreateProblemDetails(
+            HttpContext,
+            statusCode: StatusCodes.Status412PreconditionFailed,
+            title: EmployeeErrors.ConcurrencyConflict.Description);
+        problem.Extensions["current"] = EmployeeMapper.ToResponse(current.Value);
+
+        return new ObjectResult(problem) { StatusCode = StatusCodes.Status412PreconditionFailed };
+    }
+
+    // 412 listing the selected employees that changed, each as it is now, so the client can refresh and retry.
+    // A conflict found only on save doesn't say which employee it was, so the list is empty then.
+    private async Task<IActionResult> BatchPreconditionFailedAsync(List<Error> errors)
+    {
+        var conflicts = new List<BatchEmployeeConflictResponse>();
+        foreach (var metadata in errors.Select(error => error.Metadata).OfType<Dictionary<string, object>>())
+        {
+            var id = (int)metadata["employeeId"];
+            var current = await mediator.Send(new GetEmployeeQuery(id));
+            conflicts.Add(new BatchEmployeeConflictResponse(
+                (int)metadata["index"],
+                id,
+                current.IsError ? null : EmployeeMapper.ToResponse(current.Value)));
+        }
+
+        var problem = ProblemDetailsFactory.CreateProblemDetails(
+            HttpContext,
+            statusCode: StatusCodes.Status412PreconditionFailed,
+            title: EmployeeErrors.ConcurrencyConflict.Description);
+        problem.Extensions["conflicts"] = conflicts;
+
+        return new ObjectResult(problem) { StatusCode = StatusCodes.Status412PreconditionFailed };
+    }
+
+    // Stale If-Match version, or a change saved by someone else between that check and the save
+    private static bool IsConcurrencyConflict(Error error) =>
+        error.Code == EmployeeErrors.ConcurrencyConflict.Code || error.Code == UnitOfWorkErrors.ConcurrencyConflict.Code;
+
+    // A single strong entity tag or * / nothing for an unconditional update. If-Match compares strongly,
+    // so a weak tag (W/"...") could never match and is rejected.
+    private static bool TryParseIfMatch(string? ifMatch, out string? version)
+    {
+        version = null;
+        var value = ifMatch?.Trim();
+        if (string.IsNullOrEmpty(value) || value == "*")
+        {
+            return true;
+        }
+
+        if (value.Length < 2 || value[0] != '"' || value[^1] != '"' || value.Contains(','))
+        {
+            return false;
+        }
+
+        version = value[1..^1];
+        return true;
+    }
 }
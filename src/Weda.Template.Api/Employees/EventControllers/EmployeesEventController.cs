@@ -58,7 +58,7 @@ public class EmployeeEventController(IJetStreamClientFactory clientFactory) : Ev
 
     /// <summary>
     /// Get all employees.
-    /// Returns a list of all employees in the system.
+    /// Returns every employee in the system.
     /// </summary>
     [Subject("[controller].v{version:apiVersion}.getAll")]
     public async Task<ListEmployeesResponse> ListEmployees()
@@ -66,7 +66,7 @@ public class EmployeeEventController(IJetStreamClientFactory clientFactory) : Ev
         Logger.LogInformation("Querying employees");
 
         // Use Mediator to query employee from application layer
-        var query = new ListEmployeesQuery();
+        var query = new ListAllEmployeesQuery();
         var result = await Mediator.Send(query);
 
         if (result.IsError)
@@ -241,7 +241,7 @@ public class EmployeeEventController(IJetStreamClientFactory clientFactory) : Ev
 
         Logger.LogInformation("Received on {IncomingSubject}, publishing to {ResponseSubject}", Subject, responseSubject);
 
-        var query = new ListEmployeesQuery();
+        var query = new ListAllEmployeesQuery();
         var result = await Mediator.Send(query);
 
         if (!result.IsError)
@@ -1,4 +1,5 @@
 using Riok.Mapperly.Abstractions;
+using Weda.Core.Domain;
 using Weda.Template.Contracts.Employees;
 using Weda.Template.Contracts.Employees.Dtos;
 
@@ -11,4 +12,13 @@ public static partial class EmployeeMapper
 
     public static IEnumerable<EmployeeResponse> ToResponseList(IEnumerable<EmployeeDto> dtos)
         => dtos.Select(ToResponse);
+
+    public static PagedResult<EmployeeResponse> ToResponsePage(PagedResult<EmployeeDto> page)
+        => page.Map(ToResponse);
+
+    public static BulkCreateEmployeesResponse ToResponse(BulkCreateEmployeesResultDto dto)
+        => new(dto.Count, dto.Committed, ToResponseList(dto.Employees));
+
+    public static BatchEmployeesResponse ToResponse(BatchEmployeesResultDto dto)
+        => new(dto.Count, ToResponseList(dto.Updated), dto.DeletedIds);
 }
@@ -14,6 +14,7 @@ using Weda.Template.Contracts.Users.Commands;
 using Weda.Template.Contracts.Users.Dtos;
 using Weda.Template.Contracts.Users.Queries;
 using Weda.Template.Contracts.Users.Requests;
+using Weda.Template.Domain.Users.Enums;
 
 namespace Weda.Template.Api.Users.Controllers;
 
@@ -171,6 +172,37 @@ public class UsersController(ISender mediator) : ApiController
         return result.Match(Ok, Problem);
     }
 
+    /// <summary>
+    /// Activates, deactivates or locks a user (Admin or above).
+    /// </summary>
+    /// <param name="id">The unique identifier of the user.</param>
+    /// <param name="request">The new status (Active, Inactive, Locked).</param>
+    /// <returns>The updated user.</returns>
+    /// <response code="200">Status updated successfully.</response>
+    /// <response code="400">Invalid status, or trying to change own status.</response>
+    /// <response code="401">User not authenticated.</response>
+    /// <response code="403">User does not have Admin or SuperAdmin role, or trying to change a SuperAdmin.</response>
+    /// <response code="404">User not found.</response>
+    [HttpPut("{id:guid}/status")]
+    [Authorize(Policy = Policy.AdminOrAbove)]
+    [ProducesResponseType(typeof(UserDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> UpdateStatus(Guid id, [FromBody] UpdateUserStatusRequest request)
+    {
+        if (!Enum.TryParse<UserStatus>(request.Status, ignoreCase: true, out var status))
+        {
+            return BadRequest($"Invalid status: {request.Status}");
+        }
+
+        var command = new UpdateUserStatusCommand(id, status);
+        var result = await mediator.Send(command);
+
+        return result.Match(Ok, Problem);
+    }
+
     /// <summary>
     /// Deletes a user (Admin or above).
     /// </summary>
@@ -1,11 +1,55 @@
-// Shared authentication utility
+// Shared authentication module
+// Owns the stored session (tokens + user), login/logout, permission checks
+// and a single auth-change event every page can subscribe to.
+
 // Storage keys
 const TOKEN_KEY = 'weda_auth_token';
+const REFRESH_TOKEN_KEY = 'weda_refresh_token';
 const USER_KEY = 'weda_user';
+const AUTH_KEYS = [TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY];
+
+// Endpoints
+const LOGIN_URL = '/api/v1/auth/login';
+const REFRESH_URL = '/api/v1/auth/refresh';
+const LOGOUT_URL = '/api/v1/auth/logout';
+
+// Refresh tokens are single-use (rotated on every refresh), so tabs take turns refreshing
+const REFRESH_LOCK = 'weda-auth-refresh';
+
+// How early (in seconds) to refresh before the access token expires
+const TOKEN_REFRESH_SKEW_SECONDS = 60;
+
+// Fired on window whenever the session changes: detail = { user, reason }
+// reason: 'login' | 'logout' | 'refresh' | 'expired' | 'storage'
+export const AUTH_CHANGE_EVENT = 'weda:auth-change';
+
+// Pending refresh, shared by every request that arrives while it is in flight
+let refreshPromise = null;
+
+// Notify subscribers in this tab
+function notifyAuthChange(reason) {
+    window.dispatchEvent(new CustomEvent(AUTH_CHANGE_EVENT, {
+        detail: { user: getCurrentUser(), reason }
+    }));
+}
+
+// Another tab logged in/out or refreshed its tokens
+window.addEventListener('storage', (e) => {
+    if (e.key === null || AUTH_KEYS.includes(e.key)) {
+        notifyAuthChange('storage');
+    }
+});
+
+// Subscribe to auth changes; returns an unsubscribe function
+export function onAuthChange(listener) {
+    const handler = (e) => listener(e.detail.user, e.detail.reason);
+    window.addEventListener(AUTH_CHANGE_EVENT, handler);
+    return () => window.removeEventListener(AUTH_CHANGE_EVENT, handler);
+}
 
 // Get authentication headers for API calls
-function getAuthHeaders() {
-    const token = localStorage.getItem(TOKEN_KEY);
+export function getAuthHeaders() {
+    const token = getToken();
     const headers = {
         'Content-Type': 'application/json'
     };
@@ -15,12 +59,17 @@ function getAuthHeaders() {
     return headers;
 }
 
-// Get current user
-function getCurrentUser() {
+// Get current user ({ id, name, email, roles, permissions }) or null
+export function getCurrentUser() {
     const user = localStorage.getItem(USER_KEY);
     if (user) {
         try {
-            return JSON.parse(user);
+            const parsed = JSON.parse(user);
+            return {
+                ...parsed,
+                roles: parsed.roles || [],
+                permissions: parsed.permissions || []
+            };
         } catch (e) {
             return null;
         }
@@ -29,36 +78,208 @@ function getCurrentUser() {
 }
 
 // Get token
-function getToken() {
+export function getToken() {
     return localStorage.getItem(TOKEN_KEY);
 }
 
+// Get refresh token
+export function getRefreshToken() {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+// Decode the payload of a JWT (no signature check - the server does that)
+export function decodeJwt(token) {
+    if (!token) return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const json = decodeURIComponent(Array.from(atob(padded))
+            .map(c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0'))
+            .join(''));
+        return JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Get access token expiry as a Date, or null when unknown
+export function getTokenExpiry(token = getToken()) {
+    const payload = decodeJwt(token);
+    return payload && typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+}
+
+// Check if the access token expires within the given number of seconds
+export function isTokenExpiringSoon(skewSeconds = TOKEN_REFRESH_SKEW_SECONDS) {
+    const expiry = getTokenExpiry();
+    return !!expiry && expiry.getTime() - Date.now() <= skewSeconds * 1000;
+}
+
 // Check if authenticated
-function isAuthenticated() {
-    return !!getToken();
+export function isAuthenticated() {
+    return !!getToken() && !!getCurrentUser() && (!isTokenExpiringSoon(0) || !!getRefreshToken());
+}
+
+// Check if the current user has a role
+export function hasRole(role) {
+    const user = getCurrentUser();
+    return !!user && user.roles.includes(role);
+}
+
+// Check if the current user has every given permission
+export function hasPermission(...permissions) {
+    const user = getCurrentUser();
+    return !!user && permissions.every(p => user.permissions.includes(p));
+}
+
+// Store an AuthResponse (login or refresh)
+function setAuth(data) {
+    localStorage.setItem(TOKEN_KEY, data.token);
+    if (data.refreshToken) {
+        localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+    }
+    localStorage.setItem(USER_KEY, JSON.stringify({
+        id: data.id,
+        name: data.name,
+        email: data.email,
+        roles: data.roles || [],
+        permissions: data.permissions || []
+    }));
 }
 
-// Clear auth (logout)
+// Clear the stored session
 function clearAuth() {
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(USER_KEY);
+    AUTH_KEYS.forEach(key => localStorage.removeItem(key));
+}
+
+// Log in; resolves to the user or throws with the server's error title
+export async function login(email, password) {
+    const response = await fetch(LOGIN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+
+    if (!response.ok) {
+        let title = 'Login failed';
+        try {
+            title = (await response.json()).title || title;
+        } catch (e) {
+            // Non-JSON error body
+        }
+        throw new Error(title);
+    }
+
+    setAuth(await response.json());
+    notifyAuthChange('login');
+    return getCurrentUser();
+}
+
+// Log out; the server revokes the refresh token's session in the background
+export function logout() {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+        fetch(LOGOUT_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+            keepalive: true
+        }).catch(() => {
+            // Offline - the session ends when its refresh token expires
+        });
+    }
+    clearAuth();
+    notifyAuthChange('logout');
+}
+
+// Exchange the refresh token for a new token pair.
+// Concurrent callers share the same request; resolves to true on success.
+export function refreshAuth() {
+    if (refreshPromise) {
+        return refreshPromise;
+    }
+
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+        return Promise.resolve(false);
+    }
+
+    refreshPromise = withRefreshLock(async () => {
+        // Another tab refreshed while we waited: its tokens are already stored
+        const current = getRefreshToken();
+        if (current !== refreshToken) {
+            return !!current;
+        }
+        try {
+            const response = await fetch(REFRESH_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) {
+                return false;
+            }
+            setAuth(await response.json());
+            notifyAuthChange('refresh');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }).finally(() => {
+        refreshPromise = null;
+    });
+
+    return refreshPromise;
+}
+
+// Run a refresh while holding a lock shared by all tabs (where the browser supports Web Locks)
+function withRefreshLock(callback) {
+    return navigator.locks ? navigator.locks.request(REFRESH_LOCK, callback) : callback();
+}
+
+// Access token for requests that can't go through authFetch (e.g. an EventSource URL), refreshed
+// ahead of expiry. Resolves to null, ending the session, when an expired token can't be refreshed.
+export async function getFreshToken() {
+    if (refreshPromise || (getRefreshToken() && isTokenExpiringSoon())) {
+        await refreshAuth();
+    }
+
+    const token = getToken();
+    if (token && isTokenExpiringSoon(0)) {
+        clearAuth();
+        notifyAuthChange('expired');
+        return null;
+    }
+    return token;
 }
 
 // Authenticated fetch wrapper
-async function authFetch(url, options = {}) {
-    const headers = getAuthHeaders();
-    if (options.headers) {
-        Object.assign(headers, options.headers);
+export async function authFetch(url, options = {}) {
+    // Refresh ahead of expiry, or wait for a refresh another request started
+    if (refreshPromise || (getRefreshToken() && isTokenExpiringSoon())) {
+        await refreshAuth();
     }
-    options.headers = headers;
 
-    const response = await fetch(url, options);
+    const send = () => {
+        const headers = getAuthHeaders();
+        if (options.headers) {
+            Object.assign(headers, options.headers);
+        }
+        return fetch(url, { ...options, headers });
+    };
+
+    let response = await send();
 
-    // Handle 401 Unauthorized - redirect to login or clear auth
+    // Handle 401 Unauthorized - refresh once and retry, otherwise the session is over
     if (response.status === 401) {
-        clearAuth();
-        // Optionally redirect to home page for login
-        // window.location.href = '/';
+        if (await refreshAuth()) {
+            response = await send();
+        }
+        if (response.status === 401 && getToken()) {
+            clearAuth();
+            notifyAuthChange('expired');
+        }
     }
 
     return response;
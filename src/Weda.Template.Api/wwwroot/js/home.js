@@ -1,5 +1,7 @@
+import { getCurrentUser, isAuthenticated, login, logout, onAuthChange } from './auth.js';
+import { applyPermissions } from './permissions.js';
+
 // DOM Elements
-const loginBtn = document.getElementById('loginBtn');
 const loginModal = document.getElementById('loginModal');
 const closeModal = document.getElementById('closeModal');
 const loginForm = document.getElementById('loginForm');
@@ -7,27 +9,17 @@ const loginError = document.getElementById('loginError');
 const userArea = document.getElementById('userArea');
 const userInfo = document.getElementById('userInfo');
 
-// Storage key
-const TOKEN_KEY = 'weda_auth_token';
-const USER_KEY = 'weda_user';
+// Initialize (module scripts run after the document is parsed)
+renderAuthState();
+applyPermissions();
 
-// Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    checkAuth();
-});
+// Re-render on login/logout here or in another tab
+onAuthChange(renderAuthState);
 
-// Check authentication status
-function checkAuth() {
-    const token = localStorage.getItem(TOKEN_KEY);
-    const user = localStorage.getItem(USER_KEY);
-
-    if (token && user) {
-        try {
-            const userData = JSON.parse(user);
-            showLoggedInState(userData);
-        } catch (e) {
-            logout();
-        }
+// Render header and user info for the current session
+function renderAuthState() {
+    if (isAuthenticated()) {
+        showLoggedInState(getCurrentUser());
     } else {
         showLoggedOutState();
     }
@@ -42,7 +34,7 @@ function showLoggedInState(user) {
         .toUpperCase()
         .slice(0, 2);
 
-    const roles = user.roles ? user.roles.join(', ') : 'User';
+    const roles = user.roles.length ? user.roles.join(', ') : 'User';
 
     userArea.innerHTML = `
         <div class="user-info-header">
@@ -52,21 +44,26 @@ function showLoggedInState(user) {
                 <div class="user-role">${roles}</div>
             </div>
         </div>
-        <button class="btn btn-secondary" onclick="logout()">Logout</button>
+        <button class="btn btn-secondary" id="logoutBtn">Logout</button>
     `;
-
-    // Show user info section
-    userInfo.style.display = 'block';
-    document.getElementById('userName').textContent = user.name;
-    document.getElementById('userEmail').textContent = user.email;
-    document.getElementById('userRoles').textContent = roles;
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+
+    // Show user info section (optional on the page)
+    if (userInfo) {
+        userInfo.style.display = 'block';
+        document.getElementById('userName').textContent = user.name;
+        document.getElementById('userEmail').textContent = user.email;
+        document.getElementById('userRoles').textContent = roles;
+    }
 }
 
 // Show logged out state
 function showLoggedOutState() {
     userArea.innerHTML = `<button class="btn btn-primary" id="loginBtn">Login</button>`;
     document.getElementById('loginBtn').addEventListener('click', showLoginModal);
-    userInfo.style.display = 'none';
+    if (userInfo) {
+        userInfo.style.display = 'none';
+    }
 }
 
 // Show login modal
@@ -82,7 +79,6 @@ function hideLoginModal() {
 }
 
 // Event listeners
-loginBtn.addEventListener('click', showLoginModal);
 closeModal.addEventListener('click', hideLoginModal);
 
 loginModal.addEventListener('click', (e) => {
@@ -99,51 +95,10 @@ loginForm.addEventListener('submit', async (e) => {
     const password = document.getElementById('password').value;
 
     try {
-        const response = await fetch('/api/v1/auth/login', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ email, password })
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.title || 'Login failed');
-        }
-
-        const data = await response.json();
-
-        // Store token and user info
-        localStorage.setItem(TOKEN_KEY, data.token);
-        localStorage.setItem(USER_KEY, JSON.stringify({
-            id: data.id,
-            name: data.name,
-            email: data.email,
-            roles: data.roles,
-            permissions: data.permissions
-        }));
-
+        // The auth-change event re-renders the header
+        await login(email, password);
         hideLoginModal();
-        showLoggedInState({
-            id: data.id,
-            name: data.name,
-            email: data.email,
-            roles: data.roles,
-            permissions: data.permissions
-        });
-
     } catch (error) {
         loginError.textContent = error.message;
     }
 });
-
-// Logout
-function logout() {
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(USER_KEY);
-    showLoggedOutState();
-}
-
-// Expose logout to global scope for onclick handler
-window.logout = logout;
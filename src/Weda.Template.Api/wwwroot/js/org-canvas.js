@@ -0,0 +1,227 @@
+// Org chart canvas
+// Mouse-wheel zoom, drag-to-pan and a minimap around the chart's tree element. The tree stays
+// ordinary DOM (only transformed), so cards keep their buttons, edit forms and drag-and-drop.
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 2;
+const WHEEL_ZOOM_SPEED = 0.0015;
+const LINE_HEIGHT = 16; // pixels per wheel "line" (Firefox reports line deltas)
+const FIT_PADDING = 24;
+
+// Pressing on these starts their own interaction (clicks, editing, card drag), not a pan
+const INTERACTIVE = '.employee-card, button, input, select, textarea, a, label';
+
+const MINIMAP_COLORS = {
+    card: '#94a3b8',
+    inactive: '#d1d5db',
+    match: '#f59e0b',
+    viewport: '#ef4444'
+};
+
+// viewport: the clipping element; content: the element that is zoomed and panned (positioned at 0,0);
+// minimap: a <canvas>. onZoom(zoom) is called whenever the zoom level changes.
+export function createCanvasView({ viewport, content, minimap, onZoom }) {
+    let enabled = false;
+    let zoom = 1;
+    let x = 0;
+    let y = 0;
+    let pan = null;
+    let minimapFrame = 0;
+    let minimapLayout = null; // { offsetX, offsetY, scale } of the last minimap drawing
+
+    function apply() {
+        content.style.transform = enabled ? `translate(${x}px, ${y}px) scale(${zoom})` : '';
+        onZoom?.(zoom);
+        scheduleMinimap();
+    }
+
+    // Zoom keeping the point under (clientX, clientY) in place
+    function zoomAt(factor, clientX, clientY) {
+        const box = viewport.getBoundingClientRect();
+        const pointX = clientX - box.left;
+        const pointY = clientY - box.top;
+        const next = clamp(zoom * factor, MIN_ZOOM, MAX_ZOOM);
+        x = pointX - (pointX - x) * next / zoom;
+        y = pointY - (pointY - y) * next / zoom;
+        zoom = next;
+        apply();
+    }
+
+    function zoomBy(factor) {
+        const box = viewport.getBoundingClientRect();
+        zoomAt(factor, box.left + box.width / 2, box.top + box.height / 2);
+    }
+
+    // Show the whole chart, but never enlarge it
+    function fit() {
+        if (!enabled) return;
+        const width = content.offsetWidth;
+        const height = content.offsetHeight;
+        const available = {
+            width: viewport.clientWidth - 2 * FIT_PADDING,
+            height: viewport.clientHeight - 2 * FIT_PADDING
+        };
+        zoom = clamp(Math.min(available.width / width, available.height / height, 1), MIN_ZOOM, MAX_ZOOM);
+        x = (viewport.clientWidth - width * zoom) / 2;
+        y = Math.max(FIT_PADDING, (viewport.clientHeight - height * zoom) / 2);
+        apply();
+    }
+
+    // Bring an element to the middle of the view (scrolls the page instead when the canvas is off)
+    function centerOn(element) {
+        if (!element) return;
+        if (!enabled) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+            return;
+        }
+        const box = contentBox(element);
+        x = viewport.clientWidth / 2 - (box.left + box.width / 2) * zoom;
+        y = viewport.clientHeight / 2 - (box.top + box.height / 2) * zoom;
+        apply();
+    }
+
+    function enable() {
+        enabled = true;
+        viewport.classList.add('canvas-mode');
+        minimap.hidden = false;
+        fit();
+    }
+
+    function disable() {
+        enabled = false;
+        pan = null;
+        viewport.classList.remove('canvas-mode', 'panning');
+        minimap.hidden = true;
+        apply();
+    }
+
+    // Position of an element inside the content, in untransformed pixels
+    function contentBox(element) {
+        const origin = content.getBoundingClientRect();
+        const box = element.getBoundingClientRect();
+        return {
+            left: (box.left - origin.left) / zoom,
+            top: (box.top - origin.top) / zoom,
+            width: box.width / zoom,
+            height: box.height / zoom
+        };
+    }
+
+    function scheduleMinimap() {
+        if (enabled && !minimapFrame) {
+            minimapFrame = requestAnimationFrame(drawMinimap);
+        }
+    }
+
+    // Cards as small blocks, and the visible area as a frame
+    function drawMinimap() {
+        minimapFrame = 0;
+        if (!enabled) return;
+
+        const context = minimap.getContext('2d');
+        context.clearRect(0, 0, minimap.width, minimap.height);
+        const width = content.offsetWidth;
+        const height = content.offsetHeight;
+        if (width === 0 || height === 0) return;
+
+        const scale = Math.min(minimap.width / width, minimap.height / height);
+        const offsetX = (minimap.width - width * scale) / 2;
+        const offsetY = (minimap.height - height * scale) / 2;
+        minimapLayout = { offsetX, offsetY, scale };
+
+        content.querySelectorAll('.employee-card').forEach(card => {
+            const box = contentBox(card);
+            if (box.width === 0) return; // Inside a collapsed branch
+            context.fillStyle = card.classList.contains('search-match')
+                ? MINIMAP_COLORS.match
+                : card.classList.contains('inactive') || card.classList.contains('dimmed')
+                    ? MINIMAP_COLORS.inactive
+                    : MINIMAP_COLORS.card;
+            context.fillRect(
+                offsetX + box.left * scale,
+                offsetY + box.top * scale,
+                Math.max(2, box.width * scale),
+                Math.max(2, box.height * scale));
+        });
+
+        context.strokeStyle = MINIMAP_COLORS.viewport;
+        context.lineWidth = 1.5;
+        context.strokeRect(
+            offsetX + (-x / zoom) * scale,
+            offsetY + (-y / zoom) * scale,
+            (viewport.clientWidth / zoom) * scale,
+            (viewport.clientHeight / zoom) * scale);
+    }
+
+    // Center the view on the chart point under a minimap position
+    function panToMinimapPoint(event) {
+        if (!minimapLayout) return;
+        const box = minimap.getBoundingClientRect();
+        const { offsetX, offsetY, scale } = minimapLayout;
+        const chartX = ((event.clientX - box.left) * (minimap.width / box.width) - offsetX) / scale;
+        const chartY = ((event.clientY - box.top) * (minimap.height / box.height) - offsetY) / scale;
+        x = viewport.clientWidth / 2 - chartX * zoom;
+        y = viewport.clientHeight / 2 - chartY * zoom;
+        apply();
+    }
+
+    viewport.addEventListener('wheel', (e) => {
+        if (!enabled) return;
+        e.preventDefault();
+        const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * LINE_HEIGHT : e.deltaY;
+        zoomAt(Math.exp(-delta * WHEEL_ZOOM_SPEED), e.clientX, e.clientY);
+    }, { passive: false });
+
+    // Shift+drag is left to the page, e.g. for a selection lasso
+    viewport.addEventListener('pointerdown', (e) => {
+        if (!enabled || e.button !== 0 || e.shiftKey || e.target === minimap || e.target.closest(INTERACTIVE)) return;
+        pan = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, originX: x, originY: y };
+        viewport.setPointerCapture(e.pointerId);
+        viewport.classList.add('panning');
+    });
+
+    viewport.addEventListener('pointermove', (e) => {
+        if (pan?.pointerId !== e.pointerId) return;
+        x = pan.originX + e.clientX - pan.startX;
+        y = pan.originY + e.clientY - pan.startY;
+        apply();
+    });
+
+    const endPan = (e) => {
+        if (pan?.pointerId !== e.pointerId) return;
+        pan = null;
+        viewport.classList.remove('panning');
+    };
+    viewport.addEventListener('pointerup', endPan);
+    viewport.addEventListener('pointercancel', endPan);
+
+    minimap.addEventListener('pointerdown', (e) => {
+        minimap.setPointerCapture(e.pointerId);
+        panToMinimapPoint(e);
+    });
+    minimap.addEventListener('pointermove', (e) => {
+        if (minimap.hasPointerCapture(e.pointerId)) {
+            panToMinimapPoint(e);
+        }
+    });
+
+    // Re-draw the minimap when the tree changes (renders, expand/collapse, highlights) or the view resizes
+    new MutationObserver(scheduleMinimap)
+        .observe(content, { childList: true, subtree: true, attributes: true, attributeFilter: ['class'] });
+    new ResizeObserver(scheduleMinimap).observe(viewport);
+
+    return {
+        enable,
+        disable,
+        fit,
+        zoomBy,
+        centerOn,
+        get enabled() {
+            return enabled;
+        }
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,528 @@
+// Org chart export
+// Turns an employee hierarchy into SVG, PNG, PDF, CSV or XLSX entirely in the browser -
+// no external libraries or services, so it works offline.
+
+// Layout (in chart pixels)
+const CARD_WIDTH = 200;
+const CARD_HEIGHT = 72;
+const H_GAP = 24;
+const V_GAP = 48;
+const MARGIN = 24;
+
+// Raster limits: stay below what every major browser can allocate for one canvas
+const MAX_CANVAS_AREA = 16_000_000;
+const MAX_CANVAS_SIDE = 16_384;
+const PNG_SCALE = 2;
+
+// PDF: A4 landscape in points, chart pixels rendered at PDF_SCALE points each
+const PDF_PAGE_WIDTH = 842;
+const PDF_PAGE_HEIGHT = 595;
+const PDF_MARGIN = 36;
+const PDF_HEADER = 20;
+const PDF_SCALE = 0.6;
+const PDF_IMAGE_RESOLUTION = 3; // image pixels per point, so text stays sharp when printed
+
+export const ExportFormat = {
+    Svg: 'svg',
+    Png: 'png',
+    Pdf: 'pdf',
+    Csv: 'csv',
+    Xlsx: 'xlsx'
+};
+
+const TABLE_HEADER = [
+    'Id', 'Name', 'Email', 'Department', 'Position', 'Status', 'Hire Date',
+    'Supervisor Id', 'Supervisor', 'Level', 'Hierarchy Path'
+];
+
+// Export `roots` and their descendants (getChildren(id) -> employees) and download the file
+export async function exportOrgChart(format, { roots, getChildren, title, fileName }) {
+    switch (format) {
+        case ExportFormat.Svg: {
+            const { svg } = renderOrgSvg(roots, getChildren, title);
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+            break;
+        }
+        case ExportFormat.Png: {
+            const { svg, width, height } = renderOrgSvg(roots, getChildren, title);
+            const image = await loadSvgImage(svg);
+            const scale = fitScale(width, height, PNG_SCALE);
+            const canvas = drawRegion(image, 0, 0, width, height, scale);
+            downloadBlob(await canvasToBlob(canvas, 'image/png'), `${fileName}.png`);
+            break;
+        }
+        case ExportFormat.Pdf: {
+            const { svg, width, height } = renderOrgSvg(roots, getChildren, title);
+            const image = await loadSvgImage(svg);
+            downloadBlob(buildPdf(image, width, height, title), `${fileName}.pdf`);
+            break;
+        }
+        case ExportFormat.Csv: {
+            const rows = buildTableRows(roots, getChildren);
+            // BOM so Excel opens the UTF-8 file with the right encoding
+            downloadBlob(new Blob(['\uFEFF', toCsv([TABLE_HEADER, ...rows])], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+            break;
+        }
+        case ExportFormat.Xlsx: {
+            const rows = buildTableRows(roots, getChildren);
+            downloadBlob(buildXlsx([TABLE_HEADER, ...rows], 'Employees'), `${fileName}.xlsx`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// ---------- Layout ----------
+
+// Leaves are placed left to right, each parent is centred over its children
+export function layoutOrgTree(roots, getChildren) {
+    const nodes = [];
+    const visited = new Set();
+    let nextX = MARGIN;
+    let maxDepth = 0;
+
+    function place(employee, depth) {
+        visited.add(employee.id);
+        const children = getChildren(employee.id)
+            .filter(child => !visited.has(child.id))
+            .map(child => place(child, depth + 1));
+
+        let x;
+        if (children.length === 0) {
+            x = nextX;
+            nextX += CARD_WIDTH + H_GAP;
+        } else {
+            x = (children[0].x + children[children.length - 1].x) / 2;
+        }
+
+        const node = { employee, x, y: MARGIN + depth * (CARD_HEIGHT + V_GAP), children };
+        nodes.push(node);
+        maxDepth = Math.max(maxDepth, depth);
+        return node;
+    }
+
+    roots.forEach(root => place(root, 0));
+
+    return {
+        nodes,
+        width: Math.max(nextX - H_GAP + MARGIN, CARD_WIDTH + 2 * MARGIN),
+        height: 2 * MARGIN + (maxDepth + 1) * CARD_HEIGHT + maxDepth * V_GAP
+    };
+}
+
+// ---------- SVG ----------
+
+export function renderOrgSvg(roots, getChildren, title) {
+    const { nodes, width, height } = layoutOrgTree(roots, getChildren);
+
+    const links = nodes.flatMap(node => node.children.map(child => {
+        const fromX = node.x + CARD_WIDTH / 2;
+        const fromY = node.y + CARD_HEIGHT;
+        const toX = child.x + CARD_WIDTH / 2;
+        const midY = fromY + V_GAP / 2;
+        return `<path class="link" d="M${fromX},${fromY} V${midY} H${toX} V${child.y}"/>`;
+    }));
+
+    const cards = nodes.map(({ employee, x, y }) => `
+  <g transform="translate(${x},${y})">
+    <rect class="card" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="8"/>
+    <text class="name" x="${CARD_WIDTH / 2}" y="24">${escapeXml(truncate(employee.name, 26))}</text>
+    <text class="info" x="${CARD_WIDTH / 2}" y="44">${escapeXml(truncate(employee.position, 32))}</text>
+    <text class="info" x="${CARD_WIDTH / 2}" y="60">${escapeXml(truncate(`${employee.department} · ${employee.status}`, 32))}</text>
+  </g>`);
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <title>${escapeXml(title)}</title>
+  <style>
+    .card { fill: #ffffff; stroke: #d1d5db; stroke-width: 1.5; }
+    .link { fill: none; stroke: #9ca3af; stroke-width: 1.5; }
+    text { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; text-anchor: middle; }
+    .name { font-size: 13px; font-weight: 600; fill: #1f2937; }
+    .info { font-size: 11px; fill: #64748b; }
+  </style>
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  ${links.join('\n  ')}
+  ${cards.join('')}
+</svg>
+`;
+
+    return { svg, width, height };
+}
+
+// ---------- Raster (PNG / PDF pages) ----------
+
+async function loadSvgImage(svg) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Largest scale up to `preferred` whose canvas the browser can still allocate
+function fitScale(width, height, preferred) {
+    return Math.min(
+        preferred,
+        Math.sqrt(MAX_CANVAS_AREA / (width * height)),
+        MAX_CANVAS_SIDE / width,
+        MAX_CANVAS_SIDE / height);
+}
+
+// Draw one region of the chart (in chart pixels) onto a new canvas
+function drawRegion(image, x, y, width, height, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.scale(scale, scale);
+    context.drawImage(image, -x, -y, image.width, image.height);
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error('The chart is too large to render')),
+        type,
+        quality));
+}
+
+// ---------- PDF ----------
+
+// Small charts fit on one page; larger ones are split into page tiles (row by row) at a readable size
+function buildPdf(image, width, height, title) {
+    const areaWidth = PDF_PAGE_WIDTH - 2 * PDF_MARGIN;
+    const areaHeight = PDF_PAGE_HEIGHT - 2 * PDF_MARGIN - PDF_HEADER;
+    const scale = Math.min(areaWidth / width, areaHeight / height) >= PDF_SCALE
+        ? Math.min(areaWidth / width, areaHeight / height, 1)
+        : PDF_SCALE;
+
+    const tileWidth = areaWidth / scale;
+    const tileHeight = areaHeight / scale;
+    const columns = Math.ceil(width / tileWidth);
+    const rows = Math.ceil(height / tileHeight);
+    const pageCount = columns * rows;
+
+    const pages = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = column * tileWidth;
+            const y = row * tileHeight;
+            const regionWidth = Math.min(tileWidth, width - x);
+            const regionHeight = Math.min(tileHeight, height - y);
+            const imageScale = Math.min(scale * PDF_IMAGE_RESOLUTION, fitScale(regionWidth, regionHeight, Infinity));
+            const canvas = drawRegion(image, x, y, regionWidth, regionHeight, imageScale);
+
+            const position = pageCount > 1 ? ` - page ${pages.length + 1} of ${pageCount} (row ${row + 1}, column ${column + 1})` : '';
+            pages.push({
+                jpeg: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)),
+                pixelWidth: canvas.width,
+                pixelHeight: canvas.height,
+                drawWidth: regionWidth * scale,
+                drawHeight: regionHeight * scale,
+                header: `${title}${position}`
+            });
+        }
+    }
+
+    return new Blob([writePdf(pages)], { type: 'application/pdf' });
+}
+
+// Minimal PDF 1.4 writer: one JPEG image and a Helvetica header line per page
+function writePdf(pages) {
+    const writer = createByteWriter();
+    const offsets = [];
+    const startObject = (number) => {
+        offsets[number] = writer.length;
+        writer.write(`${number} 0 obj\n`);
+    };
+
+    writer.write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+    const pageNumbers = pages.map((_, index) => 4 + index * 3);
+
+    startObject(1);
+    writer.write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    startObject(2);
+    writer.write(`<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    startObject(3);
+    writer.write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+    pages.forEach((page, index) => {
+        const pageNumber = pageNumbers[index];
+        const imageX = PDF_MARGIN;
+        const imageY = PDF_PAGE_HEIGHT - PDF_MARGIN - PDF_HEADER - page.drawHeight;
+        const content = [
+            'q',
+            `${page.drawWidth.toFixed(2)} 0 0 ${page.drawHeight.toFixed(2)} ${imageX} ${imageY.toFixed(2)} cm`,
+            '/Im1 Do',
+            'Q',
+            'BT',
+            '/F1 10 Tf',
+            `${PDF_MARGIN} ${PDF_PAGE_HEIGHT - PDF_MARGIN - 10} Td`,
+            `(${escapePdfText(page.header)}) Tj`,
+            'ET'
+        ].join('\n');
+
+        startObject(pageNumber);
+        writer.write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R >> /XObject << /Im1 ${pageNumber + 2} 0 R >> >> `
+            + `/Contents ${pageNumber + 1} 0 R >>\nendobj\n`);
+
+        startObject(pageNumber + 1);
+        writer.write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        startObject(pageNumber + 2);
+        writer.write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        writer.write(page.jpeg);
+        writer.write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 4 + pages.length * 3;
+    const xrefOffset = writer.length;
+    writer.write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let number = 1; number < objectCount; number++) {
+        writer.write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    writer.write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return writer.toBytes();
+}
+
+// Helvetica only covers Latin-1 here; anything else is replaced (the chart image itself keeps every character)
+function escapePdfText(text) {
+    return text
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+// ---------- Tables (CSV / XLSX) ----------
+
+// One row per employee in tree order, with the chain of names from the top of the chart
+export function buildTableRows(roots, getChildren) {
+    const rows = [];
+    const visited = new Set();
+
+    function visit(employee, supervisor, path) {
+        visited.add(employee.id);
+        const hierarchy = [...path, employee.name];
+        rows.push([
+            employee.id,
+            employee.name,
+            employee.email,
+            employee.department,
+            employee.position,
+            employee.status,
+            employee.hireDate ? employee.hireDate.slice(0, 10) : '',
+            employee.supervisorId ?? '',
+            supervisor?.name ?? '',
+            hierarchy.length,
+            hierarchy.join(' > ')
+        ]);
+        getChildren(employee.id)
+            .filter(child => !visited.has(child.id))
+            .forEach(child => visit(child, employee, hierarchy));
+    }
+
+    roots.forEach(root => visit(root, null, []));
+    return rows;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    let text = String(value ?? '');
+    // Keep spreadsheet apps from evaluating cell text as a formula
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Minimal single-sheet workbook (inline strings, no shared strings or styles) in a stored zip
+function buildXlsx(rows, sheetName) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            return typeof value === 'number'
+                ? `<c r="${ref}"><v>${value}</v></c>`
+                : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const files = {
+        '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`,
+        '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+        'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`,
+        'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`,
+        'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${sheetRows.join('')}</sheetData>
+</worksheet>`
+    };
+
+    return new Blob([createZip(files)], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// ---------- Zip (stored, no compression) ----------
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const writer = createByteWriter();
+    const central = createByteWriter();
+    let count = 0;
+
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+        const offset = writer.length;
+
+        // Local file header; flag 0x0800 = UTF-8 names
+        writer.write(uint32(0x04034b50), uint16(20), uint16(0x0800), uint16(0), uint16(0), uint16(0x21),
+            uint32(crc), uint32(data.length), uint32(data.length), uint16(nameBytes.length), uint16(0),
+            nameBytes, data);
+
+        central.write(uint32(0x02014b50), uint16(20), uint16(20), uint16(0x0800), uint16(0), uint16(0), uint16(0x21),
+            uint32(crc), uint32(data.length), uint32(data.length), uint16(nameBytes.length), uint16(0), uint16(0),
+            uint16(0), uint16(0), uint32(0), uint32(offset), nameBytes);
+        count++;
+    }
+
+    const centralOffset = writer.length;
+    const centralBytes = central.toBytes();
+    writer.write(centralBytes);
+    writer.write(uint32(0x06054b50), uint16(0), uint16(0), uint16(count), uint16(count),
+        uint32(centralBytes.length), uint32(centralOffset), uint16(0));
+
+    return writer.toBytes();
+}
+
+let crcTable;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function uint16(value) {
+    return new Uint8Array([value & 0xFF, (value >>> 8) & 0xFF]);
+}
+
+function uint32(value) {
+    return new Uint8Array([value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF]);
+}
+
+// ---------- Helpers ----------
+
+// Collects strings (as Latin-1 bytes) and byte arrays into one Uint8Array
+function createByteWriter() {
+    const chunks = [];
+    let length = 0;
+    return {
+        get length() {
+            return length;
+        },
+        write(...parts) {
+            for (const part of parts) {
+                const bytes = typeof part === 'string'
+                    ? Uint8Array.from(part, ch => ch.charCodeAt(0) & 0xFF)
+                    : part;
+                chunks.push(bytes);
+                length += bytes.length;
+            }
+        },
+        toBytes() {
+            const result = new Uint8Array(length);
+            let offset = 0;
+            for (const chunk of chunks) {
+                result.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return result;
+        }
+    };
+}
+
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function truncate(text, maxLength) {
+    const value = String(text ?? '');
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,133 @@
+// Org chart import
+// Parses a CSV file into rows for POST /api/v1/employees/bulk. Validation of the
+// employees themselves (names, emails, departments, supervisors, cycles) is left to the server.
+
+// Accepted header names per field, compared lower-case without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+    name: ['name', 'fullname', 'employeename'],
+    email: ['email', 'emailaddress'],
+    department: ['department', 'dept'],
+    position: ['position', 'title', 'jobtitle'],
+    hireDate: ['hiredate', 'startdate'],
+    supervisorEmail: ['supervisoremail', 'manageremail', 'supervisor', 'manager', 'reportsto']
+};
+
+const REQUIRED_COLUMNS = ['name', 'email', 'department', 'position'];
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into an array of records.
+// Comma is the default separator; semicolon is used when the header line only has semicolons.
+export function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const headerLine = input.slice(0, input.search(/\r?\n|$/));
+    const separator = !headerLine.includes(',') && headerLine.includes(';') ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === separator) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Drop blank lines
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Map parsed records (first one is the header) to import rows.
+// Returns { rows, missingColumns }; each row is { line, employee, errors }.
+export function toImportRows(records) {
+    if (records.length === 0) {
+        return { rows: [], missingColumns: REQUIRED_COLUMNS };
+    }
+
+    const [header, ...dataRecords] = records;
+    const columnIndex = {};
+    header.forEach((title, index) => {
+        const key = title.toLowerCase().replace(/[\s_-]/g, '');
+        const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+        if (field && !(field in columnIndex)) {
+            columnIndex[field] = index;
+        }
+    });
+
+    const missingColumns = REQUIRED_COLUMNS.filter(field => !(field in columnIndex));
+    if (missingColumns.length > 0) {
+        return { rows: [], missingColumns };
+    }
+
+    const value = (record, field) => field in columnIndex ? (record[columnIndex[field]] ?? '').trim() : '';
+
+    const rows = dataRecords.map((record, index) => {
+        const errors = [];
+        const hireDate = value(record, 'hireDate');
+        const validDate = /^\d{4}-\d{2}-\d{2}$/.test(hireDate) && !Number.isNaN(Date.parse(hireDate));
+        if (hireDate && !validDate) {
+            errors.push('Hire date must be in YYYY-MM-DD format.');
+        }
+
+        return {
+            line: index + 2, // 1-based line in the file, after the header
+            employee: {
+                name: value(record, 'name'),
+                email: value(record, 'email'),
+                department: value(record, 'department'),
+                position: value(record, 'position'),
+                hireDate: validDate ? hireDate : null,
+                supervisorEmail: value(record, 'supervisorEmail') || null
+            },
+            errors
+        };
+    });
+
+    return { rows, missingColumns };
+}
+
+// Spread a ValidationProblemDetails from the bulk endpoint over the rows (keys are "Employees[i]");
+// returns the messages that don't belong to a single row
+export function applyServerErrors(rows, problem) {
+    const general = [];
+    Object.entries(problem?.errors ?? {}).forEach(([key, messages]) => {
+        const match = /^Employees\[(\d+)\]/i.exec(key);
+        const row = match ? rows[Number(match[1])] : null;
+        if (row) {
+            row.errors.push(...messages);
+        } else {
+            general.push(...messages);
+        }
+    });
+    if (!problem?.errors && (problem?.title || problem?.detail)) {
+        general.push(problem.detail || problem.title);
+    }
+    return general;
+}
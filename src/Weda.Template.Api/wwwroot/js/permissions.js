@@ -0,0 +1,98 @@
+// Client-side permission layer
+// Decides which UI actions the signed-in user may perform, mirroring the server's rules.
+// This only hides/disables controls - the API still enforces every check.
+import { getCurrentUser, isAuthenticated, onAuthChange } from './auth.js';
+
+// Role names (Weda.Core.Application.Security.Models.Role)
+export const Role = {
+    User: 'User',
+    Admin: 'Admin',
+    SuperAdmin: 'SuperAdmin'
+};
+
+// Permission names (Weda.Core.Application.Security.Models.Permission)
+export const Permission = {
+    EmployeeRead: 'Employee.Read',
+    EmployeeWrite: 'Employee.Write',
+    EmployeeDelete: 'Employee.Delete',
+    UserRead: 'User.Read',
+    UserWrite: 'User.Write',
+    UserDelete: 'User.Delete',
+    UserManageRoles: 'User.ManageRoles'
+};
+
+const ADMIN_OR_ABOVE = [Role.Admin, Role.SuperAdmin];
+const SUPER_ADMIN_ONLY = [Role.SuperAdmin];
+
+// What each action requires: signed in, plus one of `roles` or all of `permissions` when given
+const ACTION_RULES = {
+    // EmployeesController - any signed-in user
+    'employee.create': {},
+    'employee.update': {},
+    'employee.delete': {},
+
+    // UsersController - AdminOrAbove / SuperAdminOnly policies
+    'user.list': { roles: ADMIN_OR_ABOVE },
+    'user.create': { roles: ADMIN_OR_ABOVE },
+    'user.update': { roles: ADMIN_OR_ABOVE },
+    'user.changeStatus': { roles: ADMIN_OR_ABOVE },
+    'user.delete': { roles: ADMIN_OR_ABOVE },
+    'user.manageRoles': { roles: SUPER_ADMIN_ONLY },
+
+    // WedallyController
+    'wedally.use': {},
+    'wedally.jetstream.manage': { roles: ADMIN_OR_ABOVE }
+};
+
+// Check if the current user may perform an action
+export function can(action) {
+    const rule = ACTION_RULES[action];
+    if (!rule) {
+        console.warn(`Unknown permission action: ${action}`);
+        return false;
+    }
+
+    const user = getCurrentUser();
+    if (!isAuthenticated() || !user) {
+        return false;
+    }
+
+    const { roles = [], permissions = [] } = rule;
+    if (roles.length === 0 && permissions.length === 0) {
+        return true;
+    }
+    return roles.some(r => user.roles.includes(r)) ||
+        (permissions.length > 0 && permissions.every(p => user.permissions.includes(p)));
+}
+
+// Show/hide (or enable/disable) elements marked with data-requires="<action>".
+// data-requires-mode="disable" keeps the element visible but inert,
+// and data-requires-hint is shown as its tooltip while disabled.
+export function applyPermissions(root = document) {
+    root.querySelectorAll('[data-requires]').forEach(el => {
+        const allowed = can(el.dataset.requires);
+        if (el.dataset.requiresMode === 'disable') {
+            if ('disabled' in el) {
+                el.disabled = !allowed;
+            }
+            el.classList.toggle('permission-disabled', !allowed);
+            el.setAttribute('aria-disabled', String(!allowed));
+            if (el.dataset.requiresHint) {
+                el.title = allowed ? '' : el.dataset.requiresHint;
+            }
+        } else {
+            el.hidden = !allowed;
+        }
+    });
+}
+
+// Links can't be disabled natively - swallow clicks on disabled ones
+document.addEventListener('click', (e) => {
+    if (e.target.closest('.permission-disabled')) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+}, true);
+
+// Keep the static page in sync with login/logout here or in another tab
+onAuthChange(() => applyPermissions());
@@ -0,0 +1,340 @@
+import { authFetch, getCurrentUser, logout, onAuthChange } from './auth.js';
+import { applyPermissions, can, Permission, Role } from './permissions.js';
+
+const API_BASE = '/api/v1/users';
+
+// DOM Elements
+const userArea = document.getElementById('userArea');
+const accessDenied = document.getElementById('accessDenied');
+const usersSection = document.getElementById('usersSection');
+const usersBody = document.getElementById('usersBody');
+const pageError = document.getElementById('pageError');
+const searchInput = document.getElementById('userSearch');
+const statusFilter = document.getElementById('statusFilter');
+const pageSizeSelect = document.getElementById('pageSize');
+const userModal = document.getElementById('userModal');
+const userForm = document.getElementById('userForm');
+const userFormError = document.getElementById('userFormError');
+const rolesModal = document.getElementById('rolesModal');
+const rolesForm = document.getElementById('rolesForm');
+const rolesFormError = document.getElementById('rolesFormError');
+
+// State
+let users = [];
+let page = 1;
+let editingUser = null;
+
+// Initialize (module scripts run after the document is parsed)
+setupEventListeners();
+renderPage();
+
+// Re-render on login/logout here or in another tab
+onAuthChange((user, reason) => {
+    if (reason !== 'refresh') {
+        renderPage();
+    }
+});
+
+// Show the table for admins, a notice for everyone else
+function renderPage() {
+    renderUserArea();
+    applyPermissions();
+
+    const allowed = can('user.list');
+    accessDenied.hidden = allowed;
+    usersSection.hidden = !allowed;
+    if (allowed) {
+        loadUsers();
+    }
+}
+
+function renderUserArea() {
+    const user = getCurrentUser();
+    if (!user) {
+        userArea.innerHTML = '<a class="btn btn-primary" href="/">Login</a>';
+        return;
+    }
+    userArea.innerHTML = `
+        <div class="user-info-header">
+            <div>
+                <div class="user-name">${escapeHtml(user.name)}</div>
+                <div class="user-role">${escapeHtml(user.roles.join(', '))}</div>
+            </div>
+        </div>
+        <button class="btn btn-secondary" id="logoutBtn">Logout</button>
+    `;
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+}
+
+// Load users
+async function loadUsers() {
+    hidePageError();
+    try {
+        const response = await authFetch(API_BASE);
+        if (!response.ok) {
+            throw new Error(await readProblem(response));
+        }
+        users = await response.json();
+        renderUsers();
+    } catch (error) {
+        users = [];
+        renderUsers();
+        showPageError('Failed to load users: ' + error.message);
+    }
+}
+
+// Users matching the search box and status filter
+function getFilteredUsers() {
+    const search = searchInput.value.trim().toLowerCase();
+    const status = statusFilter.value;
+    return users
+        .filter(u => !status || u.status === status)
+        .filter(u => !search || u.name.toLowerCase().includes(search) || u.email.toLowerCase().includes(search))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Render the current page of the filtered list
+function renderUsers() {
+    const filtered = getFilteredUsers();
+    const pageSize = Number(pageSizeSelect.value);
+    const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+    page = Math.min(page, pageCount);
+
+    const start = (page - 1) * pageSize;
+    const pageUsers = filtered.slice(start, start + pageSize);
+
+    usersBody.innerHTML = '';
+    if (pageUsers.length === 0) {
+        usersBody.innerHTML = '<tr><td colspan="7" class="users-empty">No users found</td></tr>';
+    }
+    pageUsers.forEach(user => usersBody.appendChild(createUserRow(user)));
+
+    document.getElementById('pageInfo').textContent = filtered.length === 0
+        ? '0 users'
+        : `${start + 1}-${start + pageUsers.length} of ${filtered.length} users`;
+    document.getElementById('prevPageBtn').disabled = page <= 1;
+    document.getElementById('nextPageBtn').disabled = page >= pageCount;
+}
+
+// Create a table row with the actions the current user may perform
+function createUserRow(user) {
+    const isSelf = user.id === getCurrentUser()?.id;
+    const isActive = user.status === 'Active';
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td>${escapeHtml(user.name)}${isSelf ? ' <span class="user-self">(you)</span>' : ''}</td>
+        <td>${escapeHtml(user.email)}</td>
+        <td><span class="status-badge status-${user.status.toLowerCase()}">${escapeHtml(user.status)}</span></td>
+        <td>${user.roles.map(r => `<span class="role-tag">${escapeHtml(r)}</span>`).join('')}</td>
+        <td>${formatDate(user.lastLoginAt)}</td>
+        <td>${formatDate(user.createdAt)}</td>
+        <td class="user-actions">
+            ${can('user.update') || isSelf ? '<button class="btn-link" data-action="edit">Edit</button>' : ''}
+            ${can('user.manageRoles') ? '<button class="btn-link" data-action="roles">Roles</button>' : ''}
+            ${can('user.changeStatus') && !isSelf ? `<button class="btn-link" data-action="status">${isActive ? 'Deactivate' : 'Activate'}</button>` : ''}
+            ${can('user.delete') && !isSelf ? '<button class="btn-link danger" data-action="delete">Delete</button>' : ''}
+        </td>
+    `;
+
+    row.querySelector('[data-action="edit"]')?.addEventListener('click', () => openUserModal(user));
+    row.querySelector('[data-action="roles"]')?.addEventListener('click', () => openRolesModal(user));
+    row.querySelector('[data-action="status"]')?.addEventListener('click', () =>
+        updateStatus(user, isActive ? 'Inactive' : 'Active'));
+    row.querySelector('[data-action="delete"]')?.addEventListener('click', () => deleteUser(user));
+    return row;
+}
+
+// Create / Edit modal
+function openUserModal(user = null) {
+    editingUser = user;
+    userForm.reset();
+    userFormError.textContent = '';
+
+    document.getElementById('userModalTitle').textContent = user ? `Edit ${user.name}` : 'New User';
+    document.getElementById('userName').value = user ? user.name : '';
+    // Email can't be changed through the API, so it is only asked for on create
+    document.getElementById('userEmailGroup').hidden = !!user;
+    document.getElementById('userEmail').required = !user;
+    document.getElementById('userPassword').required = !user;
+    document.getElementById('userPasswordLabel').textContent = user ? 'New Password (leave empty to keep)' : 'Password';
+
+    userModal.classList.add('show');
+    document.getElementById('userName').focus();
+}
+
+async function saveUser(e) {
+    e.preventDefault();
+    userFormError.textContent = '';
+
+    const name = document.getElementById('userName').value.trim();
+    const password = document.getElementById('userPassword').value;
+    const request = editingUser
+        ? authFetch(`${API_BASE}/${editingUser.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ name, password: password || null })
+        })
+        : authFetch(API_BASE, {
+            method: 'POST',
+            body: JSON.stringify({ name, email: document.getElementById('userEmail').value.trim(), password })
+        });
+
+    try {
+        const response = await request;
+        if (!response.ok) {
+            throw new Error(await readProblem(response));
+        }
+        closeModals();
+        await loadUsers();
+    } catch (error) {
+        userFormError.textContent = error.message;
+    }
+}
+
+// Roles modal (SuperAdmin only)
+function openRolesModal(user) {
+    editingUser = user;
+    rolesFormError.textContent = '';
+    document.getElementById('rolesModalTitle').textContent = `Roles - ${user.name}`;
+    renderCheckboxes(document.getElementById('roleOptions'), Object.values(Role), user.roles, 'role');
+    renderCheckboxes(document.getElementById('permissionOptions'), Object.values(Permission), user.permissions, 'permission');
+    rolesModal.classList.add('show');
+}
+
+function renderCheckboxes(container, options, selected, name) {
+    container.innerHTML = options.map(option => `
+        <label class="checkbox-item">
+            <input type="checkbox" name="${name}" value="${escapeHtml(option)}" ${selected.includes(option) ? 'checked' : ''}>
+            ${escapeHtml(option)}
+        </label>
+    `).join('');
+}
+
+async function saveRoles(e) {
+    e.preventDefault();
+    rolesFormError.textContent = '';
+
+    const checked = name => Array.from(rolesForm.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+
+    try {
+        const response = await authFetch(`${API_BASE}/${editingUser.id}/roles`, {
+            method: 'PUT',
+            body: JSON.stringify({ roles: checked('role'), permissions: checked('permission') })
+        });
+        if (!response.ok) {
+            throw new Error(await readProblem(response));
+        }
+        closeModals();
+        await loadUsers();
+    } catch (error) {
+        rolesFormError.textContent = error.message;
+    }
+}
+
+// Row actions
+async function updateStatus(user, status) {
+    if (status !== 'Active' && !confirm(`Deactivate ${user.name}? They will no longer be able to log in.`)) {
+        return;
+    }
+    await runRowAction(`${API_BASE}/${user.id}/status`, {
+        method: 'PUT',
+        body: JSON.stringify({ status })
+    });
+}
+
+async function deleteUser(user) {
+    if (!confirm(`Delete ${user.name} (${user.email})? This cannot be undone.`)) {
+        return;
+    }
+    await runRowAction(`${API_BASE}/${user.id}`, { method: 'DELETE' });
+}
+
+async function runRowAction(url, options) {
+    hidePageError();
+    try {
+        const response = await authFetch(url, options);
+        if (!response.ok) {
+            throw new Error(await readProblem(response));
+        }
+        await loadUsers();
+    } catch (error) {
+        showPageError(error.message);
+    }
+}
+
+// Turn a ProblemDetails / ValidationProblemDetails (or plain text) error body into a message
+async function readProblem(response) {
+    const text = await response.text();
+    try {
+        const problem = JSON.parse(text);
+        if (typeof problem === 'string') {
+            return problem;
+        }
+        if (problem.errors) {
+            return Object.values(problem.errors).flat().join(' ');
+        }
+        return problem.detail || problem.title || `HTTP ${response.status}`;
+    } catch (e) {
+        return text || `HTTP ${response.status}`;
+    }
+}
+
+function showPageError(message) {
+    pageError.textContent = message;
+    pageError.hidden = false;
+}
+
+function hidePageError() {
+    pageError.hidden = true;
+}
+
+function closeModals() {
+    userModal.classList.remove('show');
+    rolesModal.classList.remove('show');
+    editingUser = null;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+// Event listeners
+function setupEventListeners() {
+    searchInput.addEventListener('input', () => {
+        page = 1;
+        renderUsers();
+    });
+    statusFilter.addEventListener('change', () => {
+        page = 1;
+        renderUsers();
+    });
+    pageSizeSelect.addEventListener('change', () => {
+        page = 1;
+        renderUsers();
+    });
+    document.getElementById('prevPageBtn').addEventListener('click', () => {
+        page--;
+        renderUsers();
+    });
+    document.getElementById('nextPageBtn').addEventListener('click', () => {
+        page++;
+        renderUsers();
+    });
+
+    document.getElementById('createUserBtn').addEventListener('click', () => openUserModal());
+    userForm.addEventListener('submit', saveUser);
+    rolesForm.addEventListener('submit', saveRoles);
+
+    document.querySelectorAll('[data-close-modal]').forEach(btn => btn.addEventListener('click', closeModals));
+    [userModal, rolesModal].forEach(modal => modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModals();
+        }
+    }));
+}
@@ -4,11 +4,63 @@
 const API_SPEC = '/api/v1/wedally/spec';
 const API_PUBLISH = '/api/v1/wedally/publish';
 const API_FIRE = '/api/v1/wedally/fire';
+const API_SUBSCRIBE = '/api/v1/wedally/subscribe';
+const API_JETSTREAM_STREAMS = '/api/v1/wedally/jetstream/streams';
+
+// Storage keys
+const HEADER_PRESETS_KEY = 'wedally_header_presets';
+const COLLECTIONS_KEY = 'wedally_collections';
+const SELECTED_COLLECTION_KEY = 'wedally_selected_collection';
+const ENVIRONMENTS_KEY = 'wedally_environments';
+const ACTIVE_ENVIRONMENT_KEY = 'wedally_active_environment';
+
+// Environment profiles; an empty base URL targets the API serving this page
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_ENVIRONMENTS = [
+    { name: 'local', baseUrl: '', headers: {}, timeoutMs: DEFAULT_TIMEOUT_MS, variables: {} },
+    { name: 'docker-compose', baseUrl: 'http://localhost:5001', headers: {}, timeoutMs: DEFAULT_TIMEOUT_MS, variables: {} },
+    { name: 'staging', baseUrl: 'https://staging.example.com', headers: {}, timeoutMs: 10000, variables: {} }
+];
+
+// Request history (IndexedDB)
+const HISTORY_DB_NAME = 'wedally';
+const HISTORY_STORE = 'history';
+const MAX_HISTORY_ENTRIES = 200;
 
 // State
 let spec = null;
 let selectedVersion = '';
 let currentEndpoint = null;
+let bodyView = 'form';
+let snippetLanguage = 'cli';
+
+// Subscribe drawer state
+const MAX_SUBSCRIBE_MESSAGES = 500;
+let subscribeSource = null;
+let subscribeMessages = [];
+let subscribePaused = false;
+let subscribePending = [];
+let subscribeMessageSeq = 0;
+
+// History drawer state
+let historyDb = null;
+let historyEntries = [];
+let historySelection = [];
+
+// Collections drawer state
+let collections = [];
+let selectedCollection = '';
+let collectionRun = null;
+
+// JetStream drawer state
+const JETSTREAM_BROWSE_COUNT = 20;
+let jetstreamStreams = [];
+let jetstreamBrowse = {};
+
+// Environment state
+let environments = [];
+let activeEnvironment = '';
+let editingEnvironment = '';
 
 // Action colors (for non-Request actions) - distinct from HTTP method colors
 const ACTION_COLORS = {
@@ -39,16 +91,80 @@ const filterInput = document.getElementById('filterInput');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
+    loadEnvironments();
+    renderEnvironmentOptions();
+    renderAuthStatus();
     await loadSpec();
     setupEventListeners();
 });
 
+// Auth - js/auth.js and js/permissions.js, exposed as WedaAuth/WedaPermissions by index.html
+
+// fetch with the signed-in user's bearer token (refreshed when needed)
+function wedallyFetch(url, options = {}) {
+    return window.WedaAuth ? window.WedaAuth.authFetch(url, options) : fetch(url, options);
+}
+
+// UI permission check; the Wedally API enforces the same rules
+function canWedally(action) {
+    return window.WedaPermissions ? window.WedaPermissions.can(action) : true;
+}
+
+function renderAuthStatus() {
+    const status = document.getElementById('authStatus');
+    const user = window.WedaAuth?.isAuthenticated() ? window.WedaAuth.getCurrentUser() : null;
+    status.innerHTML = user
+        ? `Signed in as <strong>${escapeHtml(user.name)}</strong>`
+        : '<a href="/" target="_blank">Log in</a> to use Wedally';
+}
+
+// Re-render when the user logs in or out (here or in another tab)
+function handleAuthChange(user, reason) {
+    renderAuthStatus();
+    if (reason === 'refresh') {
+        return;
+    }
+    if (subscribeSource) {
+        stopSubscription();
+    }
+    if (document.getElementById('jetstreamDrawer').classList.contains('show')) {
+        loadJetStreamStreams();
+    }
+    loadSpec();
+}
+
+// Spec/AsyncAPI links need the bearer token, so they are downloaded through fetch instead of navigated to
+async function openApiLink(link) {
+    try {
+        const response = await wedallyFetch(link.href);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || link.getAttribute('download');
+        const url = URL.createObjectURL(await response.blob());
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        if (fileName) {
+            anchor.download = fileName;
+        } else {
+            anchor.target = '_blank';
+        }
+        anchor.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        alert(`Download failed: ${error.message}`);
+    }
+}
+
 // Load spec from API
 async function loadSpec() {
     try {
         tagList.innerHTML = '<div class="loading-spinner"></div>';
 
-        const response = await fetch(API_SPEC);
+        const response = await wedallyFetch(apiUrl(API_SPEC));
+        if (response.status === 401) throw new Error('Log in on the home page to use Wedally');
         if (!response.ok) throw new Error('Failed to load spec');
 
         spec = await response.json();
@@ -62,9 +178,12 @@ async function loadSpec() {
         if (spec.servers && spec.servers.length > 0) {
             document.getElementById('infoServers').textContent =
                 `Connections: ${spec.servers.map(s => s.name).join(', ')}`;
+            renderSubscribeConnections();
+            renderJetStreamConnections();
         }
 
         // Populate version select
+        selectedVersion = '';
         versionSelect.innerHTML = '<option value="">All</option>';
         spec.versions.forEach(v => {
             const opt = document.createElement('option');
@@ -259,7 +378,7 @@ function createEndpointCard(endpoint) {
             <div class="endpoint-meta">
                 <span class="meta-item"><strong>Subject Pattern:</strong> ${endpoint.subject}</span>
                 <span class="meta-item"><strong>Connection:</strong> ${endpoint.connection}</span>
-                ${endpoint.stream ? `<span class="meta-item"><strong>Stream:</strong> ${endpoint.stream}</span>` : ''}
+                ${endpoint.stream ? `<span class="meta-item"><strong>Stream:</strong> <a href="#" class="jetstream-link" title="Open in the JetStream inspector">${endpoint.stream}</a></span>` : ''}
                 ${endpoint.consumer ? `<span class="meta-item"><strong>Consumer:</strong> ${endpoint.consumer}</span>` : ''}
             </div>
 
@@ -345,6 +464,16 @@ function createEndpointCard(endpoint) {
         });
     }
 
+    // Stream link
+    const streamLink = card.querySelector('.jetstream-link');
+    if (streamLink) {
+        streamLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            openJetStreamDrawer(endpoint.stream, endpoint.connection);
+        });
+    }
+
     // CLI button
     const cliBtn = card.querySelector('.btn-cli');
     if (cliBtn) {
@@ -513,7 +642,7 @@ function openTryItModal(endpoint) {
     if (endpoint.requestBody) {
         bodySection.style.display = 'block';
         const def = spec.definitions[endpoint.requestBody.schema];
-        requestBody.value = def?.example || '{}';
+        setModalRequestBody(def?.example || '{}');
     } else {
         bodySection.style.display = 'none';
         requestBody.value = '{}';
@@ -521,6 +650,8 @@ function openTryItModal(endpoint) {
 
     // Hide response
     responseSection.style.display = 'none';
+    hideValidationErrors();
+    renderModalSnippet();
 
     // Show modal
     modal.classList.add('show');
@@ -564,6 +695,17 @@ function buildSubjectBuilder(container, endpoint) {
     }
 }
 
+// Fill subject builder inputs from a concrete subject (e.g. when replaying history)
+function setModalSubject(subject) {
+    const parts = subject.split('.');
+    document.querySelectorAll('#modalSubjectBuilder .subject-static, #modalSubjectBuilder .subject-input')
+        .forEach((el, i) => {
+            if (el.classList.contains('subject-input') && parts[i] !== undefined) {
+                el.value = parts[i];
+            }
+        });
+}
+
 // Build subject from modal inputs
 function buildSubjectFromModal() {
     const container = document.getElementById('modalSubjectBuilder');
@@ -581,9 +723,312 @@ function buildSubjectFromModal() {
     return parts.join('.');
 }
 
+// Add a key/value row to a headers-style editor
+function addKeyValueRow(editor, key = '', value = '') {
+    const row = document.createElement('div');
+    row.className = 'header-row';
+    row.innerHTML = `
+        <input type="text" class="header-key" placeholder="Name">
+        <input type="text" class="header-value" placeholder="Value">
+        <button class="header-remove" title="Remove">&times;</button>
+    `;
+    row.querySelector('.header-key').value = key;
+    row.querySelector('.header-value').value = value;
+    row.querySelector('.header-remove').addEventListener('click', () => row.remove());
+    editor.appendChild(row);
+}
+
+// Collect the rows of a headers-style editor (rows without a name are ignored)
+function getKeyValueRows(editor) {
+    const values = {};
+    editor.querySelectorAll('.header-row').forEach(row => {
+        const key = row.querySelector('.header-key').value.trim();
+        if (key) {
+            values[key] = row.querySelector('.header-value').value;
+        }
+    });
+    return values;
+}
+
+function setKeyValueRows(editor, values) {
+    editor.innerHTML = '';
+    Object.entries(values || {}).forEach(([key, value]) => addKeyValueRow(editor, key, value));
+}
+
+function addHeaderRow(key = '', value = '') {
+    addKeyValueRow(document.getElementById('modalHeadersEditor'), key, value);
+}
+
+function getModalHeaders() {
+    return getKeyValueRows(document.getElementById('modalHeadersEditor'));
+}
+
+// Replace editor rows with the given headers
+function setModalHeaders(headers) {
+    setKeyValueRows(document.getElementById('modalHeadersEditor'), headers);
+}
+
+// Header presets (persisted in localStorage)
+function loadHeaderPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(HEADER_PRESETS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function storeHeaderPresets(presets) {
+    localStorage.setItem(HEADER_PRESETS_KEY, JSON.stringify(presets));
+}
+
+function renderHeaderPresetOptions(selected = '') {
+    const select = document.getElementById('headerPresetSelect');
+    select.innerHTML = '<option value="">Presets...</option>';
+    Object.keys(loadHeaderPresets()).sort().forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        select.appendChild(opt);
+    });
+    select.value = selected;
+}
+
+function saveHeaderPreset() {
+    const headers = getModalHeaders();
+    if (Object.keys(headers).length === 0) {
+        alert('Add at least one header before saving a preset.');
+        return;
+    }
+
+    const select = document.getElementById('headerPresetSelect');
+    const name = prompt('Preset name:', select.value)?.trim();
+    if (!name) return;
+
+    const presets = loadHeaderPresets();
+    presets[name] = headers;
+    storeHeaderPresets(presets);
+    renderHeaderPresetOptions(name);
+}
+
+function deleteHeaderPreset() {
+    const select = document.getElementById('headerPresetSelect');
+    const name = select.value;
+    if (!name || !confirm(`Delete header preset "${name}"?`)) return;
+
+    const presets = loadHeaderPresets();
+    delete presets[name];
+    storeHeaderPresets(presets);
+    renderHeaderPresetOptions();
+}
+
+function applyHeaderPreset(name) {
+    const preset = loadHeaderPresets()[name];
+    if (preset) {
+        setModalHeaders(preset);
+    }
+}
+
+// Environments (persisted in localStorage)
+function loadEnvironments() {
+    try {
+        environments = JSON.parse(localStorage.getItem(ENVIRONMENTS_KEY));
+    } catch (e) {
+        environments = null;
+    }
+    if (!Array.isArray(environments) || environments.length === 0) {
+        environments = structuredClone(DEFAULT_ENVIRONMENTS);
+    }
+    activeEnvironment = localStorage.getItem(ACTIVE_ENVIRONMENT_KEY) || '';
+    if (!environments.some(e => e.name === activeEnvironment)) {
+        activeEnvironment = environments[0].name;
+    }
+}
+
+function storeEnvironments() {
+    localStorage.setItem(ENVIRONMENTS_KEY, JSON.stringify(environments));
+    localStorage.setItem(ACTIVE_ENVIRONMENT_KEY, activeEnvironment);
+}
+
+function getActiveEnvironment() {
+    return environments.find(e => e.name === activeEnvironment) || environments[0];
+}
+
+// Variables of the active environment, usable as {{name}} in subjects, payloads and headers
+function getEnvironmentVariables() {
+    return getActiveEnvironment()?.variables || {};
+}
+
+// Prefix a Wedally API path with the active environment's base URL
+function apiUrl(path) {
+    const baseUrl = (getActiveEnvironment()?.baseUrl || '').replace(/\/+$/, '');
+    return `${baseUrl}${path}`;
+}
+
+function renderEnvironmentOptions() {
+    const select = document.getElementById('environmentSelect');
+    select.innerHTML = '';
+    environments.forEach(env => {
+        const opt = document.createElement('option');
+        opt.value = env.name;
+        opt.textContent = env.name;
+        select.appendChild(opt);
+    });
+    select.value = activeEnvironment;
+
+    const env = getActiveEnvironment();
+    document.getElementById('infoEnvironment').textContent =
+        `Target: ${env.name} (${env.baseUrl || location.origin})`;
+    document.querySelectorAll('a[data-api-path]').forEach(link => {
+        link.href = apiUrl(link.dataset.apiPath);
+    });
+}
+
+// Switching environments reloads the spec from the new target
+async function selectEnvironment(name) {
+    if (subscribeSource) {
+        stopSubscription();
+    }
+    activeEnvironment = name;
+    storeEnvironments();
+    renderEnvironmentOptions();
+    await loadSpec();
+}
+
+function openEnvironmentModal() {
+    renderEnvironmentEditor(activeEnvironment);
+    document.getElementById('environmentModal').classList.add('show');
+}
+
+function closeEnvironmentModal() {
+    document.getElementById('environmentModal').classList.remove('show');
+}
+
+function renderEnvironmentEditor(name) {
+    const env = environments.find(e => e.name === name) || environments[0];
+    editingEnvironment = env.name;
+
+    const select = document.getElementById('environmentEditSelect');
+    select.innerHTML = '';
+    environments.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.name;
+        opt.textContent = e.name;
+        select.appendChild(opt);
+    });
+    select.value = env.name;
+
+    document.getElementById('environmentName').value = env.name;
+    document.getElementById('environmentBaseUrl').value = env.baseUrl || '';
+    document.getElementById('environmentTimeout').value = env.timeoutMs || DEFAULT_TIMEOUT_MS;
+    setKeyValueRows(document.getElementById('environmentHeadersEditor'), env.headers);
+    setKeyValueRows(document.getElementById('environmentVariablesEditor'), env.variables);
+}
+
+async function saveEnvironment() {
+    const name = document.getElementById('environmentName').value.trim();
+    const baseUrl = document.getElementById('environmentBaseUrl').value.trim().replace(/\/+$/, '');
+    const timeoutMs = Number(document.getElementById('environmentTimeout').value);
+    const headers = getKeyValueRows(document.getElementById('environmentHeadersEditor'));
+    const variables = getKeyValueRows(document.getElementById('environmentVariablesEditor'));
+
+    const errors = [];
+    if (!name) {
+        errors.push('Name is required.');
+    } else if (name !== editingEnvironment && environments.some(e => e.name === name)) {
+        errors.push(`An environment named "${name}" already exists.`);
+    }
+    if (baseUrl && !/^https?:\/\/[^\s/]+/.test(baseUrl)) {
+        errors.push('Base URL must start with http:// or https:// (leave empty for this server).');
+    }
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+        errors.push('Timeout must be a positive number of milliseconds.');
+    }
+    // Dots would be read as a path by the template resolver; "steps" holds collection step responses
+    const invalidVariables = Object.keys(variables).filter(key => !/^[A-Za-z_][\w-]*$/.test(key) || key === 'steps');
+    if (invalidVariables.length > 0) {
+        errors.push(`Invalid variable names: ${invalidVariables.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        alert(errors.join('\n'));
+        return;
+    }
+
+    const index = environments.findIndex(e => e.name === editingEnvironment);
+    environments[index] = { name, baseUrl, headers, timeoutMs, variables };
+    if (activeEnvironment === editingEnvironment) {
+        activeEnvironment = name;
+    }
+    storeEnvironments();
+    closeEnvironmentModal();
+    renderEnvironmentOptions();
+    await loadSpec();
+}
+
+function createEnvironment() {
+    const name = prompt('Environment name:')?.trim();
+    if (!name) return;
+    if (environments.some(e => e.name === name)) {
+        alert(`An environment named "${name}" already exists.`);
+        return;
+    }
+
+    environments.push({ name, baseUrl: '', headers: {}, timeoutMs: DEFAULT_TIMEOUT_MS, variables: {} });
+    storeEnvironments();
+    renderEnvironmentOptions();
+    renderEnvironmentEditor(name);
+}
+
+async function deleteEnvironment() {
+    if (environments.length === 1) {
+        alert('At least one environment is required.');
+        return;
+    }
+    if (!confirm(`Delete environment "${editingEnvironment}"?`)) return;
+
+    const wasActive = activeEnvironment === editingEnvironment;
+    environments = environments.filter(e => e.name !== editingEnvironment);
+    if (wasActive) {
+        await selectEnvironment(environments[0].name);
+    } else {
+        storeEnvironments();
+        renderEnvironmentOptions();
+    }
+    renderEnvironmentEditor(activeEnvironment);
+}
+
+// Render reply headers next to the response body
+function renderResponseHeaders(headers) {
+    const container = document.getElementById('modalResponseHeaders');
+    const entries = Object.entries(headers || {});
+
+    if (entries.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <h4>Headers</h4>
+        <table class="response-headers-table">
+            <tbody>
+                ${entries.map(([key, value]) => `
+                    <tr>
+                        <td><code>${escapeHtml(key)}</code></td>
+                        <td>${escapeHtml(value)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    container.style.display = 'block';
+}
+
 // Execute request from modal
-async function executeModalRequest() {
+async function executeModalRequest({ skipValidation = false } = {}) {
     if (!currentEndpoint) return;
+    if (!skipValidation && !validateModalRequestBody()) return;
+    hideValidationErrors();
+    renderModalSnippet();
 
     const executeBtn = document.getElementById('modalExecuteBtn');
     const responseSection = document.getElementById('modalResponseSection');
@@ -591,202 +1036,2290 @@ async function executeModalRequest() {
     const responseTime = document.getElementById('modalResponseTime');
     const responseStatus = document.getElementById('modalResponseStatus');
 
+    const showError = (message, status = 'Error', elapsedMs = 0) => {
+        renderResponseHeaders(null);
+        responseSection.style.display = 'block';
+        responseTime.textContent = `${elapsedMs}ms`;
+        responseStatus.textContent = status;
+        responseStatus.className = 'response-status error';
+        responseViewer.innerHTML = `<pre class="error-text">${escapeHtml(message)}</pre>`;
+    };
+
+    let payload = null;
+    const bodyText = document.getElementById('modalRequestBody').value.trim();
+    if (bodyText && bodyText !== '{}') {
+        try {
+            payload = JSON.parse(bodyText);
+        } catch (e) {
+            // Not sent, so not recorded in history
+            showError('Invalid JSON: ' + e.message);
+            return;
+        }
+    }
+
+    // {{variables}} of the active environment; history records the resolved values that were sent
+    let subject;
+    let headers;
+    try {
+        const variables = getEnvironmentVariables();
+        subject = resolveTemplates(buildSubjectFromModal(), variables);
+        payload = resolveTemplates(payload, variables);
+        headers = resolveTemplates(getModalHeaders(), variables);
+    } catch (e) {
+        showError(e.message);
+        return;
+    }
+
     executeBtn.disabled = true;
     executeBtn.textContent = 'Sending...';
 
-    const startTime = performance.now();
+    const timestamp = new Date().toISOString();
+    const result = await sendNatsRequest(currentEndpoint, subject, payload, headers);
 
-    try {
-        const subject = buildSubjectFromModal();
+    executeBtn.disabled = false;
+    executeBtn.textContent = 'Execute';
 
-        let payload = null;
-        const bodyText = document.getElementById('modalRequestBody').value.trim();
-        if (bodyText && bodyText !== '{}') {
-            try {
-                payload = JSON.parse(bodyText);
-            } catch (e) {
-                throw new Error('Invalid JSON: ' + e.message);
-            }
+    if (result.success) {
+        responseSection.style.display = 'block';
+        responseTime.textContent = `${result.elapsedMs}ms`;
+        responseStatus.textContent = 'Success';
+        responseStatus.className = 'response-status success';
+        if (isFireAndForget(currentEndpoint)) {
+            responseViewer.innerHTML = `<pre>${syntaxHighlight(JSON.stringify({ message: 'Message published successfully', subject: subject }, null, 2))}</pre>`;
+        } else {
+            responseViewer.innerHTML = `<pre>${syntaxHighlight(JSON.stringify(result.response, null, 2))}</pre>`;
         }
+        renderResponseHeaders(result.responseHeaders);
+    } else {
+        showError(result.error, result.errorCode ? `Error ${result.errorCode}` : 'Error', result.elapsedMs);
+    }
 
-        // Use different API based on action type
-        const isFireAndForget = ['Publish', 'Consume', 'Fetch'].includes(currentEndpoint.action);
-        const apiEndpoint = isFireAndForget ? API_FIRE : API_PUBLISH;
+    await addHistoryEntry({
+        endpointId: currentEndpoint.operationId,
+        method: currentEndpoint.method,
+        action: currentEndpoint.action,
+        subject: subject,
+        payload: payload,
+        headers: headers,
+        environment: activeEnvironment,
+        timestamp: timestamp,
+        ...result
+    });
+}
+
+// Publish/Consume/Fetch handlers don't reply, so they are fired instead of requested
+function isFireAndForget(endpoint) {
+    return ['Publish', 'Consume', 'Fetch'].includes(endpoint.action);
+}
 
-        const response = await fetch(apiEndpoint, {
+// Send a message through the Wedally API of the active environment, adding its default headers and timeout;
+// never throws, failures are returned as { success: false, error }
+async function sendNatsRequest(endpoint, subject, payload, headers) {
+    const startTime = performance.now();
+
+    try {
+        const natsHeaders = buildNatsHeaders(headers);
+        const response = await wedallyFetch(apiUrl(isFireAndForget(endpoint) ? API_FIRE : API_PUBLISH), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                endpointId: currentEndpoint.operationId,
+                endpointId: endpoint.operationId,
                 subject: subject,
                 payload: payload,
-                timeoutMs: 5000
+                headers: Object.keys(natsHeaders).length > 0 ? natsHeaders : null,
+                timeoutMs: getRequestTimeout()
             })
         });
 
         const elapsedMs = Math.round(performance.now() - startTime);
         const result = await response.json();
 
-        responseSection.style.display = 'block';
-        responseTime.textContent = `${result.elapsedMs || elapsedMs}ms`;
-
         if (result.success) {
-            responseStatus.textContent = 'Success';
-            responseStatus.className = 'response-status success';
-            if (isFireAndForget) {
-                responseViewer.innerHTML = `<pre>${syntaxHighlight(JSON.stringify({ message: 'Message published successfully', subject: subject }, null, 2))}</pre>`;
-            } else {
-                responseViewer.innerHTML = `<pre>${syntaxHighlight(JSON.stringify(result.responseData, null, 2))}</pre>`;
-            }
-        } else {
-            responseStatus.textContent = `Error ${result.errorCode || ''}`;
-            responseStatus.className = 'response-status error';
-            responseViewer.innerHTML = `<pre class="error-text">${escapeHtml(result.errorMessage || 'Unknown error')}</pre>`;
+            return {
+                status: 'success',
+                success: true,
+                response: isFireAndForget(endpoint) ? null : result.responseData,
+                responseHeaders: result.responseHeaders || null,
+                elapsedMs: result.elapsedMs || elapsedMs
+            };
         }
 
+        // Validation failures (e.g. bad header name) come back as a plain 400 string
+        const errorMessage = result.errorMessage || (typeof result === 'string' ? result : result.title);
+        return {
+            status: 'error',
+            success: false,
+            errorCode: result.errorCode || (response.ok ? null : String(response.status)),
+            error: errorMessage || 'Unknown error',
+            elapsedMs: result.elapsedMs || elapsedMs
+        };
     } catch (error) {
-        responseSection.style.display = 'block';
-        responseTime.textContent = `${Math.round(performance.now() - startTime)}ms`;
-        responseStatus.textContent = 'Error';
-        responseStatus.className = 'response-status error';
-        responseViewer.innerHTML = `<pre class="error-text">${escapeHtml(error.message)}</pre>`;
-    } finally {
-        executeBtn.disabled = false;
-        executeBtn.textContent = 'Execute';
+        return {
+            status: 'error',
+            success: false,
+            error: error.message,
+            elapsedMs: Math.round(performance.now() - startTime)
+        };
     }
 }
 
+// Default headers of the active environment, overridden by the request's own headers
+function buildNatsHeaders(headers) {
+    const env = getActiveEnvironment();
+    return { ...resolveTemplates(env.headers || {}, env.variables || {}), ...headers };
+}
+
+function getRequestTimeout() {
+    return getActiveEnvironment()?.timeoutMs || DEFAULT_TIMEOUT_MS;
+}
+
 // Clear modal response
 function clearModalResponse() {
     document.getElementById('modalResponseSection').style.display = 'none';
-    document.getElementById('modalRequestBody').value = currentEndpoint?.requestBody
+    hideValidationErrors();
+    setModalRequestBody(currentEndpoint?.requestBody
         ? (spec.definitions[currentEndpoint.requestBody.schema]?.example || '{}')
-        : '{}';
-}
-
-// Scroll helpers
-function scrollToEndpoint(operationId) {
-    const el = document.getElementById(`endpoint-${operationId}`);
-    if (el) {
-        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        el.classList.add('highlight');
-        setTimeout(() => el.classList.remove('highlight'), 1500);
-    }
+        : '{}');
 }
 
-function scrollToDefinition(name) {
-    const el = document.getElementById(`definition-${name}`);
-    if (el) {
-        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        el.classList.add('highlight');
-        setTimeout(() => el.classList.remove('highlight'), 1500);
-    }
+// Request body form (generated from spec.definitions, kept in sync with the JSON editor)
+function setModalRequestBody(text) {
+    document.getElementById('modalRequestBody').value = text;
+    renderBodyForm();
 }
 
-// Syntax highlight JSON
-function syntaxHighlight(json) {
-    if (!json) return '';
-    json = escapeHtml(json);
-    return json.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, function (match) {
-        let cls = 'number';
-        if (/^"/.test(match)) {
-            if (/:$/.test(match)) {
-                cls = 'key';
-            } else {
-                cls = 'string';
-            }
-        } else if (/true|false/.test(match)) {
-            cls = 'boolean';
-        } else if (/null/.test(match)) {
-            cls = 'null';
-        }
-        return '<span style="color: ' + getHighlightColor(cls) + '">' + match + '</span>';
+function setBodyView(view) {
+    bodyView = view;
+    document.querySelectorAll('#modalBodySection .body-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.bodyView === view);
     });
+    document.getElementById('modalBodyForm').style.display = view === 'form' ? 'block' : 'none';
+    document.getElementById('modalRequestBody').style.display = view === 'json' ? 'block' : 'none';
+    renderBodyForm();
 }
 
-function getHighlightColor(cls) {
-    switch (cls) {
-        case 'key': return '#7dd3fc';
-        case 'string': return '#86efac';
-        case 'number': return '#fcd34d';
-        case 'boolean': return '#c4b5fd';
-        case 'null': return '#94a3b8';
-        default: return '#e2e8f0';
+function renderBodyForm() {
+    const container = document.getElementById('modalBodyForm');
+    if (bodyView !== 'form' || !currentEndpoint?.requestBody) return;
+
+    let value;
+    try {
+        const text = document.getElementById('modalRequestBody').value.trim();
+        value = text ? JSON.parse(text) : null;
+    } catch (e) {
+        container.innerHTML = `<div class="form-message error-text">Request body is not valid JSON (${escapeHtml(e.message)}). Fix it in the JSON tab.</div>`;
+        return;
+    }
+
+    // Keep focus and scroll position when re-rendering after a structural change
+    const scrollTop = container.scrollTop;
+    const focusedPath = document.activeElement?.closest?.('#modalBodyForm') ? document.activeElement.dataset.path : null;
+
+    container.innerHTML = '';
+    const root = { value };
+    container.appendChild(createFormValue(
+        { type: currentEndpoint.requestBody.schema, required: true },
+        root.value,
+        '$',
+        v => { root.value = v; },
+        () => syncBodyFromForm(root.value)));
+
+    container.scrollTop = scrollTop;
+    if (focusedPath) {
+        container.querySelector(`[data-path="${CSS.escape(focusedPath)}"]`)?.focus();
     }
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function syncBodyFromForm(value) {
+    document.getElementById('modalRequestBody').value = JSON.stringify(value, null, 2);
 }
 
-// Generate NATS CLI command text for an endpoint
-function generateNatsCliCommand(endpoint) {
-    const subject = endpoint.resolvedSubject;
-    const subjectWithPlaceholder = subject.replace(/\*/g, '<id>');
+// Split a spec type name like "Address[]?" into its definition name and modifiers
+function parseSchemaType(type) {
+    let name = type;
+    const nullable = name.endsWith('?');
+    if (nullable) name = name.slice(0, -1);
+    const isArray = name.endsWith('[]');
+    if (isArray) name = name.slice(0, -2);
+    return { name: name.replace(/\?$/, ''), isArray, nullable };
+}
 
-    // Get example payload if available
-    let examplePayload = null;
-    if (endpoint.requestBody && spec.definitions[endpoint.requestBody.schema]) {
-        const def = spec.definitions[endpoint.requestBody.schema];
-        if (def.example) {
-            try {
-                examplePayload = JSON.parse(def.example);
-            } catch (e) {
-                examplePayload = null;
-            }
-        }
+const INTEGER_TYPES = ['int', 'long', 'short', 'byte', 'Int16', 'UInt16', 'UInt32', 'UInt64', 'SByte'];
+const NUMBER_TYPES = ['double', 'float', 'decimal'];
+
+function createDefaultValue(type, depth = 0) {
+    const { name, isArray } = parseSchemaType(type);
+    if (isArray) return [];
+
+    if (INTEGER_TYPES.includes(name) || NUMBER_TYPES.includes(name)) return 0;
+    if (name === 'bool') return false;
+    if (name === 'string' || name === 'Guid' || name === 'DateTime' || name === 'DateTimeOffset') return '';
+
+    const def = spec.definitions[name];
+    if (def?.kind === 'enum') return def.enumValues?.[0] ?? null;
+    if (def?.kind === 'object' && depth < 5) {
+        return def.properties.reduce((obj, prop) => {
+            obj[prop.name] = prop.required ? createDefaultValue(prop.type, depth + 1) : null;
+            return obj;
+        }, {});
     }
+    return null;
+}
 
-    // Determine command based on action type
-    let command = '';
+// Create the editor for one value; setValue stores the new value in the parent, onChange syncs the JSON editor
+function createFormValue(schema, value, path, setValue, onChange) {
+    const { name, isArray } = parseSchemaType(schema.type);
+    const nullable = schema.nullable || !schema.required || schema.type.endsWith('?');
+    const def = spec.definitions[name];
 
-    switch (endpoint.action) {
-        case 'Request':
-            // Request-Reply: use nats req - response is JSON text
-            if (examplePayload) {
-                const formattedPayload = JSON.stringify(examplePayload, null, 2);
-                command = `nats req '${subjectWithPlaceholder}' '\n${formattedPayload}\n'`;
-            } else {
-                command = `nats req '${subjectWithPlaceholder}' ''`;
-            }
-            break;
+    const update = (v, rerender = false) => {
+        setValue(v);
+        onChange();
+        if (rerender) renderBodyForm();
+    };
 
-        case 'Publish':
-        case 'Consume':
-        case 'Fetch':
-        default:
-            // Pub-Sub and JetStream: use nats pub
-            if (examplePayload) {
-                const formattedPayload = JSON.stringify(examplePayload, null, 2);
-                command = `nats pub '${subjectWithPlaceholder}' '\n${formattedPayload}\n'`;
-            } else {
-                command = `nats pub '${subjectWithPlaceholder}' '{}'`;
-            }
-            break;
+    // Optional objects and arrays start collapsed as null until added
+    if ((isArray || def?.kind === 'object') && (value === null || value === undefined)) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-null';
+        wrapper.innerHTML = `<span class="message-muted">null</span>`;
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-small btn-light';
+        addBtn.textContent = `+ ${isArray ? 'Array' : name}`;
+        addBtn.addEventListener('click', () => update(createDefaultValue(schema.type.replace(/\?$/, '')), true));
+        wrapper.appendChild(addBtn);
+        return wrapper;
+    }
+
+    if (isArray) {
+        return createFormArray({ type: name, required: true }, Array.isArray(value) ? value : [], path, update, nullable);
+    }
+
+    if (def?.kind === 'object') {
+        return createFormObject(def, value, path, update, nullable);
     }
 
-    return command;
+    return createFormInput(name, def, value, path, nullable, update);
 }
 
-// Copy NATS CLI command to clipboard
-function copyNatsCliCommand(endpoint, button) {
-    const command = generateNatsCliCommand(endpoint);
+function createFormObject(def, obj, path, update, nullable) {
+    const fieldset = document.createElement('div');
+    fieldset.className = 'form-object';
 
-    navigator.clipboard.writeText(command).then(() => {
-        // Show feedback
-        const originalHtml = button.innerHTML;
-        button.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="20 6 9 17 4 12"></polyline>
-            </svg>
-            Copied!
+    if (typeof obj !== 'object' || Array.isArray(obj)) {
+        obj = createDefaultValue(def.name);
+        update(obj);
+    }
+
+    def.properties.forEach(prop => {
+        const field = document.createElement('div');
+        field.className = 'form-field';
+
+        const label = document.createElement('div');
+        label.className = 'form-label';
+        label.innerHTML = `
+            <span class="form-name">${escapeHtml(prop.name)}</span>
+            ${prop.required ? '<span class="required-mark" title="Required">*</span>' : ''}
+            <span class="form-type">${escapeHtml(prop.type)}</span>
         `;
-        button.classList.add('copied');
+        if (prop.description) {
+            label.title = prop.description;
+        }
+        field.appendChild(label);
 
-        setTimeout(() => {
-            button.innerHTML = originalHtml;
+        field.appendChild(createFormValue(
+            prop,
+            obj[prop.name],
+            `${path}.${prop.name}`,
+            v => { obj[prop.name] = v; },
+            () => update(obj)));
+
+        fieldset.appendChild(field);
+    });
+
+    if (nullable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-light form-remove';
+        removeBtn.textContent = 'Set null';
+        removeBtn.addEventListener('click', () => update(null, true));
+        fieldset.appendChild(removeBtn);
+    }
+
+    return fieldset;
+}
+
+function createFormArray(itemSchema, items, path, update, nullable) {
+    const list = document.createElement('div');
+    list.className = 'form-array';
+
+    items.forEach((item, i) => {
+        const row = document.createElement('div');
+        row.className = 'form-array-item';
+
+        const index = document.createElement('span');
+        index.className = 'form-type';
+        index.textContent = `[${i}]`;
+        row.appendChild(index);
+
+        row.appendChild(createFormValue(
+            itemSchema,
+            item,
+            `${path}[${i}]`,
+            v => { items[i] = v; },
+            () => update(items)));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'header-remove';
+        removeBtn.title = 'Remove item';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.addEventListener('click', () => {
+            items.splice(i, 1);
+            update(items, true);
+        });
+        row.appendChild(removeBtn);
+
+        list.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'form-array-actions';
+    const addBtn = document.createElement('button');
+    addBtn.className = 'btn btn-small btn-light';
+    addBtn.textContent = '+ Add item';
+    addBtn.addEventListener('click', () => {
+        items.push(createDefaultValue(itemSchema.type));
+        update(items, true);
+    });
+    actions.appendChild(addBtn);
+
+    if (nullable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-light';
+        removeBtn.textContent = 'Set null';
+        removeBtn.addEventListener('click', () => update(null, true));
+        actions.appendChild(removeBtn);
+    }
+
+    list.appendChild(actions);
+    return list;
+}
+
+function createFormInput(typeName, def, value, path, nullable, update) {
+    let input;
+
+    if (def?.kind === 'enum' || typeName === 'bool') {
+        input = document.createElement('select');
+        const options = def?.kind === 'enum' ? def.enumValues : ['true', 'false'];
+        input.innerHTML = (nullable ? '<option value="">null</option>' : '') +
+            options.map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('');
+        input.value = value === null || value === undefined ? '' : String(value);
+        input.addEventListener('change', () => {
+            if (input.value === '') {
+                update(null);
+            } else {
+                update(typeName === 'bool' ? input.value === 'true' : input.value);
+            }
+        });
+    } else if (INTEGER_TYPES.includes(typeName) || NUMBER_TYPES.includes(typeName)) {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.step = INTEGER_TYPES.includes(typeName) ? '1' : 'any';
+        input.value = value ?? '';
+        input.placeholder = nullable ? 'null' : '0';
+        input.addEventListener('input', () => {
+            update(input.value === '' ? (nullable ? null : 0) : Number(input.value));
+        });
+    } else if (typeName === 'string' || typeName === 'Guid' || typeName === 'DateTime' || typeName === 'DateTimeOffset') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.value = value ?? '';
+        input.placeholder = {
+            Guid: '00000000-0000-0000-0000-000000000000',
+            DateTime: 'yyyy-MM-ddTHH:mm:ssZ',
+            DateTimeOffset: 'yyyy-MM-ddTHH:mm:ss+00:00'
+        }[typeName] || (nullable ? 'null' : '');
+        input.addEventListener('input', () => {
+            update(input.value === '' && nullable ? null : input.value);
+        });
+    } else {
+        // Types without a definition (dictionaries, object, ...) are edited as raw JSON
+        input = document.createElement('textarea');
+        input.className = 'json-editor form-json';
+        input.value = value === undefined ? '' : JSON.stringify(value, null, 2);
+        input.addEventListener('input', () => {
+            try {
+                update(input.value.trim() ? JSON.parse(input.value) : null);
+                input.classList.remove('invalid');
+            } catch (e) {
+                input.classList.add('invalid');
+            }
+        });
+    }
+
+    input.classList.add('form-input');
+    input.dataset.path = path;
+    return input;
+}
+
+// Payload validation against spec.definitions
+function validatePayload(value, schema, path = '$', errors = []) {
+    const { name, isArray } = parseSchemaType(schema.type);
+    const nullable = schema.nullable || schema.type.endsWith('?');
+    const def = spec.definitions[name];
+
+    if (value === null || value === undefined) {
+        if (!nullable && schema.required) {
+            errors.push({ path, message: value === undefined ? 'required property is missing' : 'must not be null' });
+        }
+        return errors;
+    }
+
+    if (isArray) {
+        if (!Array.isArray(value)) {
+            errors.push({ path, message: `expected array, got ${describeJsonType(value)}` });
+            return errors;
+        }
+        value.forEach((item, i) => validatePayload(item, { type: name, required: true }, `${path}[${i}]`, errors));
+        return errors;
+    }
+
+    if (def?.kind === 'enum') {
+        // Names are preferred, but numeric values also deserialize
+        const valid = (typeof value === 'string' && def.enumValues.some(v => v.toLowerCase() === value.toLowerCase())) ||
+            (Number.isInteger(value) && value >= 0 && value < def.enumValues.length);
+        if (!valid) {
+            errors.push({ path, message: `must be one of: ${def.enumValues.join(', ')}` });
+        }
+        return errors;
+    }
+
+    if (def?.kind === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ path, message: `expected object (${name}), got ${describeJsonType(value)}` });
+            return errors;
+        }
+
+        // Property names are matched case-insensitively, like the server's deserializer
+        const keys = Object.keys(value);
+        def.properties.forEach(prop => {
+            const key = keys.find(k => k.toLowerCase() === prop.name.toLowerCase());
+            validatePayload(key === undefined ? undefined : value[key], prop, `${path}.${key ?? prop.name}`, errors);
+        });
+        keys
+            .filter(k => !def.properties.some(p => p.name.toLowerCase() === k.toLowerCase()))
+            .forEach(k => errors.push({ path: `${path}.${k}`, message: `unknown property on ${name}` }));
+        return errors;
+    }
+
+    const typeError = checkPrimitiveType(name, value);
+    if (typeError) {
+        errors.push({ path, message: typeError });
+    }
+    return errors;
+}
+
+function checkPrimitiveType(typeName, value) {
+    if (INTEGER_TYPES.includes(typeName)) {
+        return Number.isInteger(value) ? null : `expected integer (${typeName}), got ${describeJsonType(value)}`;
+    }
+    if (NUMBER_TYPES.includes(typeName)) {
+        return typeof value === 'number' ? null : `expected number (${typeName}), got ${describeJsonType(value)}`;
+    }
+    if (typeName === 'bool') {
+        return typeof value === 'boolean' ? null : `expected boolean, got ${describeJsonType(value)}`;
+    }
+    if (typeName === 'string') {
+        return typeof value === 'string' ? null : `expected string, got ${describeJsonType(value)}`;
+    }
+    if (typeName === 'Guid') {
+        return typeof value === 'string' && /^[0-9a-f]{8}-?([0-9a-f]{4}-?){3}[0-9a-f]{12}$/i.test(value)
+            ? null
+            : 'expected a GUID';
+    }
+    if (typeName === 'DateTime' || typeName === 'DateTimeOffset') {
+        return typeof value === 'string' && !isNaN(Date.parse(value))
+            ? null
+            : `expected an ISO 8601 date (${typeName})`;
+    }
+    // Types without a definition can't be checked
+    return null;
+}
+
+function describeJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Returns true when the request can be sent; otherwise shows the errors inline
+function validateModalRequestBody() {
+    if (!currentEndpoint?.requestBody) return true;
+
+    let value;
+    try {
+        const text = document.getElementById('modalRequestBody').value.trim();
+        value = text ? JSON.parse(text) : null;
+    } catch (e) {
+        // Invalid JSON is reported by executeModalRequest
+        return true;
+    }
+    try {
+        value = resolveTemplates(value, getEnvironmentVariables());
+    } catch (e) {
+        // Unresolved variables are reported by executeModalRequest
+    }
+
+    const errors = validatePayload(value, { type: currentEndpoint.requestBody.schema, required: true });
+    if (errors.length === 0) {
+        hideValidationErrors();
+        return true;
+    }
+
+    showValidationErrors(errors);
+    return false;
+}
+
+function showValidationErrors(errors) {
+    const container = document.getElementById('modalValidation');
+    container.innerHTML = `
+        <div class="validation-header">
+            <span>${errors.length} validation error${errors.length > 1 ? 's' : ''}</span>
+            <button class="btn btn-small btn-light" id="sendAnywayBtn">Send anyway</button>
+        </div>
+        <ul>
+            ${errors.map(e => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}
+        </ul>
+    `;
+    container.style.display = 'block';
+    container.querySelector('#sendAnywayBtn').addEventListener('click', () => executeModalRequest({ skipValidation: true }));
+
+    // Mark matching fields in the form view
+    const paths = new Set(errors.map(e => e.path));
+    document.querySelectorAll('#modalBodyForm .form-input').forEach(input => {
+        input.classList.toggle('invalid', paths.has(input.dataset.path));
+    });
+}
+
+function hideValidationErrors() {
+    const container = document.getElementById('modalValidation');
+    container.style.display = 'none';
+    container.innerHTML = '';
+    document.querySelectorAll('#modalBodyForm .form-input.invalid').forEach(input => input.classList.remove('invalid'));
+}
+
+function refreshValidationErrors() {
+    if (document.getElementById('modalValidation').style.display !== 'none') {
+        validateModalRequestBody();
+    }
+}
+
+// Only one drawer is open at a time
+function closeDrawers() {
+    document.querySelectorAll('.drawer.show').forEach(drawer => drawer.classList.remove('show'));
+}
+
+// Subscribe drawer
+function openSubscribeDrawer(subject) {
+    closeDrawers();
+    if (subject) {
+        document.getElementById('subscribeSubject').value = subject;
+    }
+    document.getElementById('subscribeDrawer').classList.add('show');
+    document.getElementById('subscribeSubject').focus();
+}
+
+function closeSubscribeDrawer() {
+    document.getElementById('subscribeDrawer').classList.remove('show');
+}
+
+function renderSubscribeConnections() {
+    const select = document.getElementById('subscribeConnection');
+    select.innerHTML = spec.servers
+        .map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)}</option>`)
+        .join('');
+}
+
+function setSubscribeStatus(text, state = '') {
+    const status = document.getElementById('subscribeStatus');
+    status.textContent = text;
+    status.className = `subscribe-status ${state}`.trim();
+}
+
+function toggleSubscription() {
+    if (subscribeSource) {
+        stopSubscription();
+    } else {
+        startSubscription();
+    }
+}
+
+// Stream messages from the server via Server-Sent Events
+function startSubscription() {
+    let subject;
+    try {
+        subject = resolveTemplates(document.getElementById('subscribeSubject').value.trim(), getEnvironmentVariables());
+    } catch (e) {
+        setSubscribeStatus(e.message, 'error');
+        return;
+    }
+    if (!subject || /\s/.test(subject)) {
+        setSubscribeStatus('Enter a subject without spaces', 'error');
+        return;
+    }
+
+    const params = new URLSearchParams({ subject });
+    const connection = document.getElementById('subscribeConnection').value;
+    if (connection) {
+        params.set('connection', connection);
+    }
+    // EventSource can't send an Authorization header, so the token goes in the query string
+    const token = window.WedaAuth?.getToken();
+    if (token) {
+        params.set('access_token', token);
+    }
+
+    subscribeSource = new EventSource(`${apiUrl(API_SUBSCRIBE)}?${params}`);
+    setSubscribeStatus('Connecting...');
+
+    subscribeSource.addEventListener('subscribed', () => {
+        setSubscribeStatus(`Listening on ${subject}`, 'live');
+    });
+
+    subscribeSource.addEventListener('message', (e) => {
+        receiveSubscriptionMessage(JSON.parse(e.data));
+    });
+
+    subscribeSource.onerror = () => {
+        // EventSource retries on dropped connections but gives up on error responses
+        if (subscribeSource?.readyState === EventSource.CLOSED) {
+            stopSubscription();
+            setSubscribeStatus('Subscription failed', 'error');
+        } else {
+            setSubscribeStatus('Reconnecting...');
+        }
+    };
+
+    document.getElementById('subscribeToggleBtn').textContent = 'Stop';
+    document.getElementById('subscribeSubject').disabled = true;
+    document.getElementById('subscribeConnection').disabled = true;
+    document.getElementById('subscribePauseBtn').disabled = false;
+}
+
+function stopSubscription() {
+    if (subscribeSource) {
+        subscribeSource.close();
+        subscribeSource = null;
+    }
+
+    if (subscribePaused) {
+        toggleSubscriptionPause();
+    }
+
+    setSubscribeStatus('Stopped');
+    document.getElementById('subscribeToggleBtn').textContent = 'Start';
+    document.getElementById('subscribeSubject').disabled = false;
+    document.getElementById('subscribeConnection').disabled = false;
+    document.getElementById('subscribePauseBtn').disabled = true;
+}
+
+function receiveSubscriptionMessage(message) {
+    message.id = ++subscribeMessageSeq;
+    // Keep the raw payload text around for filtering and display
+    message.payloadDisplay = message.payloadEncoding === 'json'
+        ? JSON.stringify(message.payload, null, 2)
+        : (message.payloadText || '');
+
+    if (subscribePaused) {
+        subscribePending.push(message);
+        document.getElementById('subscribePauseBtn').textContent = `Resume (${subscribePending.length})`;
+        return;
+    }
+
+    addSubscriptionMessages([message]);
+}
+
+function addSubscriptionMessages(messages) {
+    subscribeMessages.push(...messages);
+    if (subscribeMessages.length > MAX_SUBSCRIBE_MESSAGES) {
+        subscribeMessages = subscribeMessages.slice(-MAX_SUBSCRIBE_MESSAGES);
+    }
+    renderSubscriptionMessages();
+}
+
+// Pausing keeps the subscription open and buffers new messages until resumed
+function toggleSubscriptionPause() {
+    const pauseBtn = document.getElementById('subscribePauseBtn');
+    subscribePaused = !subscribePaused;
+
+    if (subscribePaused) {
+        pauseBtn.textContent = 'Resume';
+        return;
+    }
+
+    pauseBtn.textContent = 'Pause';
+    const pending = subscribePending;
+    subscribePending = [];
+    if (pending.length > 0) {
+        addSubscriptionMessages(pending);
+    }
+}
+
+function clearSubscriptionMessages() {
+    subscribeMessages = [];
+    subscribePending = [];
+    if (subscribePaused) {
+        document.getElementById('subscribePauseBtn').textContent = 'Resume';
+    }
+    renderSubscriptionMessages();
+}
+
+function matchesSubscriptionFilter(message, filter) {
+    if (!filter) return true;
+    const headers = Object.entries(message.headers || {}).map(([k, v]) => `${k}: ${v}`).join('\n');
+    return [message.subject, headers, message.payloadDisplay]
+        .some(text => text.toLowerCase().includes(filter));
+}
+
+function renderSubscriptionMessages() {
+    const list = document.getElementById('subscribeMessages');
+    const filter = document.getElementById('subscribeFilter').value.trim().toLowerCase();
+    const visible = subscribeMessages.filter(m => matchesSubscriptionFilter(m, filter));
+
+    document.getElementById('subscribeCount').textContent = filter
+        ? `${visible.length} / ${subscribeMessages.length}`
+        : `${subscribeMessages.length}`;
+
+    // Remember which messages were expanded so re-rendering doesn't collapse them
+    const expanded = new Set([...list.querySelectorAll('.message-item.expanded')].map(el => el.dataset.id));
+
+    if (visible.length === 0) {
+        list.innerHTML = `<div class="message-empty">${subscribeMessages.length === 0 ? 'No messages yet' : 'No messages match the filter'}</div>`;
+        return;
+    }
+
+    list.innerHTML = '';
+    // Newest first
+    for (let i = visible.length - 1; i >= 0; i--) {
+        list.appendChild(createSubscriptionMessageItem(visible[i], expanded));
+    }
+}
+
+function createSubscriptionMessageItem(message, expanded) {
+    const item = document.createElement('div');
+    item.className = 'message-item';
+    item.dataset.id = message.id;
+    if (expanded.has(String(message.id))) {
+        item.classList.add('expanded');
+    }
+
+    const headers = Object.entries(message.headers || {});
+    const receivedAt = new Date(message.receivedAt);
+    const time = `${receivedAt.toLocaleTimeString([], { hour12: false })}.${String(receivedAt.getMilliseconds()).padStart(3, '0')}`;
+
+    let payloadHtml;
+    if (message.payloadEncoding === 'json') {
+        payloadHtml = syntaxHighlight(message.payloadDisplay);
+    } else if (message.payloadEncoding === 'empty') {
+        payloadHtml = '<span class="message-muted">(empty)</span>';
+    } else {
+        payloadHtml = escapeHtml(message.payloadDisplay);
+    }
+
+    item.innerHTML = `
+        <div class="message-summary">
+            ${message.seq ? `<span class="message-tag">#${message.seq}</span>` : ''}
+            <span class="message-time">${time}</span>
+            <span class="message-subject">${escapeHtml(message.subject)}</span>
+            ${headers.length > 0 ? `<span class="message-tag">${headers.length} header${headers.length > 1 ? 's' : ''}</span>` : ''}
+            ${message.payloadEncoding === 'base64' ? '<span class="message-tag">base64</span>' : ''}
+            <span class="message-size">${formatBytes(message.size)}</span>
+        </div>
+        <div class="message-detail">
+            ${message.seq ? `<div class="message-meta"><strong>Stored:</strong> ${receivedAt.toLocaleString()}</div>` : ''}
+            ${message.replyTo ? `<div class="message-meta"><strong>Reply to:</strong> <code>${escapeHtml(message.replyTo)}</code></div>` : ''}
+            ${headers.length > 0 ? `
+                <table class="response-headers-table">
+                    <tbody>
+                        ${headers.map(([key, value]) => `
+                            <tr>
+                                <td><code>${escapeHtml(key)}</code></td>
+                                <td>${escapeHtml(value)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="json-viewer"><pre>${payloadHtml}</pre></div>
+        </div>
+    `;
+
+    item.querySelector('.message-summary').addEventListener('click', () => {
+        item.classList.toggle('expanded');
+    });
+
+    return item;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// History storage (IndexedDB)
+function openHistoryDb() {
+    if (historyDb) return Promise.resolve(historyDb);
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => {
+            historyDb = request.result;
+            resolve(historyDb);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run a single operation against the history store and resolve with its result
+async function historyStoreRequest(mode, operation) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const request = operation(tx.objectStore(HISTORY_STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function loadHistoryEntries() {
+    try {
+        historyEntries = await historyStoreRequest('readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading history:', error);
+        historyEntries = [];
+    }
+    // Drop selections whose entries no longer exist
+    historySelection = historySelection.filter(id => historyEntries.some(e => e.id === id));
+    renderHistory();
+}
+
+async function addHistoryEntry(entry) {
+    try {
+        await historyStoreRequest('readwrite', store => store.add(entry));
+
+        // Keep the store bounded - oldest entries go first
+        const keys = await historyStoreRequest('readonly', store => store.getAllKeys());
+        if (keys.length > MAX_HISTORY_ENTRIES) {
+            const expired = keys.slice(0, keys.length - MAX_HISTORY_ENTRIES);
+            await historyStoreRequest('readwrite', store => {
+                expired.forEach(key => store.delete(key));
+            });
+        }
+    } catch (error) {
+        console.error('Error saving history entry:', error);
+        return;
+    }
+
+    if (document.getElementById('historyDrawer').classList.contains('show')) {
+        await loadHistoryEntries();
+    }
+}
+
+async function deleteHistoryEntry(id) {
+    await historyStoreRequest('readwrite', store => store.delete(id));
+    await loadHistoryEntries();
+}
+
+async function clearHistory() {
+    if (historyEntries.length === 0 || !confirm('Delete all history entries?')) return;
+    await historyStoreRequest('readwrite', store => store.clear());
+    historySelection = [];
+    await loadHistoryEntries();
+}
+
+// History drawer
+async function openHistoryDrawer() {
+    closeDrawers();
+    document.getElementById('historyDrawer').classList.add('show');
+    await loadHistoryEntries();
+}
+
+function closeHistoryDrawer() {
+    document.getElementById('historyDrawer').classList.remove('show');
+}
+
+function renderHistory() {
+    const list = document.getElementById('historyList');
+    const filter = document.getElementById('historyFilter').value.trim().toLowerCase();
+    const entries = historyEntries
+        .filter(e => !filter || e.subject.toLowerCase().includes(filter) || e.method.toLowerCase().includes(filter))
+        .reverse();
+
+    document.getElementById('historyCount').textContent = historyEntries.length;
+
+    const diffBtn = document.getElementById('historyDiffBtn');
+    diffBtn.disabled = historySelection.length !== 2;
+    diffBtn.textContent = `Diff (${historySelection.length}/2)`;
+
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="message-empty">${historyEntries.length === 0 ? 'No requests yet' : 'No entries match the filter'}</div>`;
+        return;
+    }
+
+    list.innerHTML = '';
+    entries.forEach(entry => list.appendChild(createHistoryItem(entry)));
+}
+
+function createHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'message-item history-item';
+
+    const actionColor = ACTION_COLORS[entry.action] || ACTION_COLORS.Request;
+    const time = new Date(entry.timestamp).toLocaleString([], { hour12: false });
+    const selected = historySelection.includes(entry.id);
+    const headers = Object.entries(entry.headers || {});
+    let result;
+    if (entry.status !== 'success') {
+        result = `<span class="error-text">${escapeHtml(entry.error || 'Unknown error')}</span>`;
+    } else if (entry.response === null || entry.response === undefined) {
+        result = '<span class="message-muted">(no reply)</span>';
+    } else {
+        result = syntaxHighlight(JSON.stringify(entry.response, null, 2));
+    }
+
+    item.innerHTML = `
+        <div class="message-summary">
+            <input type="checkbox" class="history-select" title="Select for diff" ${selected ? 'checked' : ''}>
+            <span class="action-badge-small" style="background: ${actionColor.bg}; color: ${actionColor.text};">${entry.action.substring(0, 3).toUpperCase()}</span>
+            <span class="message-subject" title="${escapeHtml(entry.method)}">${escapeHtml(entry.subject)}</span>
+            <span class="response-status ${entry.status}">${entry.status === 'success' ? 'OK' : escapeHtml(entry.errorCode || 'Error')}</span>
+            <span class="message-size">${entry.elapsedMs}ms</span>
+            <button class="btn btn-small btn-light history-replay" title="Send this request again">Replay</button>
+            <button class="header-remove history-delete" title="Delete entry">&times;</button>
+        </div>
+        <div class="message-detail">
+            <div class="message-meta"><strong>${escapeHtml(entry.method)}</strong> &middot; ${time}</div>
+            ${headers.length > 0 ? `
+                <table class="response-headers-table">
+                    <tbody>
+                        ${headers.map(([key, value]) => `
+                            <tr>
+                                <td><code>${escapeHtml(key)}</code></td>
+                                <td>${escapeHtml(value)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${entry.payload !== null ? `
+                <h4 class="history-label">Payload</h4>
+                <div class="json-viewer"><pre>${syntaxHighlight(JSON.stringify(entry.payload, null, 2))}</pre></div>
+            ` : ''}
+            <h4 class="history-label">Response</h4>
+            <div class="json-viewer"><pre>${result}</pre></div>
+        </div>
+    `;
+
+    item.querySelector('.message-summary').addEventListener('click', (e) => {
+        if (e.target.closest('button, input')) return;
+        item.classList.toggle('expanded');
+    });
+    item.querySelector('.history-select').addEventListener('change', (e) => toggleHistorySelection(entry.id, e.target));
+    item.querySelector('.history-replay').addEventListener('click', () => replayHistoryEntry(entry));
+    item.querySelector('.history-delete').addEventListener('click', () => deleteHistoryEntry(entry.id));
+
+    return item;
+}
+
+// At most two entries can be selected; selecting a third replaces the oldest selection
+function toggleHistorySelection(id, checkbox) {
+    if (checkbox.checked) {
+        historySelection.push(id);
+        if (historySelection.length > 2) {
+            historySelection.shift();
+        }
+    } else {
+        historySelection = historySelection.filter(s => s !== id);
+    }
+    renderHistory();
+}
+
+function findEndpoint(operationId) {
+    return Object.values(spec.paths).flat().find(e => e.operationId === operationId);
+}
+
+// Load the entry into the Try-it modal and send it again
+async function replayHistoryEntry(entry) {
+    const endpoint = findEndpoint(entry.endpointId);
+    if (!endpoint) {
+        alert(`Endpoint "${entry.method}" is no longer available.`);
+        return;
+    }
+
+    closeHistoryDrawer();
+    openTryItModal(endpoint);
+    setModalSubject(entry.subject);
+    setModalHeaders(entry.headers);
+    setModalRequestBody(entry.payload !== null
+        ? JSON.stringify(entry.payload, null, 2)
+        : '{}');
+
+    await executeModalRequest();
+}
+
+// JSON diff
+function openHistoryDiff() {
+    if (historySelection.length !== 2) return;
+
+    // Older entry on the left
+    const [left, right] = historySelection
+        .map(id => historyEntries.find(e => e.id === id))
+        .sort((a, b) => a.id - b.id);
+
+    document.getElementById('diffLeftTitle').textContent = `${left.subject} · ${new Date(left.timestamp).toLocaleString([], { hour12: false })}`;
+    document.getElementById('diffRightTitle').textContent = `${right.subject} · ${new Date(right.timestamp).toLocaleString([], { hour12: false })}`;
+
+    const rows = diffLines(
+        historyResultText(left).split('\n'),
+        historyResultText(right).split('\n'));
+
+    const changes = rows.filter(r => r.type !== 'same').length;
+    document.getElementById('diffSummary').textContent = changes === 0 ? 'Responses are identical' : `${changes} changed line${changes > 1 ? 's' : ''}`;
+
+    document.getElementById('diffBody').innerHTML = rows.map(row => `
+        <tr class="diff-${row.type}">
+            <td class="diff-line-no">${row.leftNo ?? ''}</td>
+            <td class="diff-code diff-left">${row.left !== undefined ? syntaxHighlight(row.left) || '&nbsp;' : ''}</td>
+            <td class="diff-line-no">${row.rightNo ?? ''}</td>
+            <td class="diff-code diff-right">${row.right !== undefined ? syntaxHighlight(row.right) || '&nbsp;' : ''}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('diffModal').classList.add('show');
+}
+
+// Response (or error) as pretty JSON with sorted keys, so property order doesn't show up as a change
+function historyResultText(entry) {
+    const value = entry.status === 'success' ? entry.response : { error: entry.error, errorCode: entry.errorCode };
+    return JSON.stringify(sortJsonKeys(value), null, 2) ?? 'null';
+}
+
+function sortJsonKeys(value) {
+    if (Array.isArray(value)) return value.map(sortJsonKeys);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = sortJsonKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+    return value;
+}
+
+// Line diff (LCS) producing side-by-side rows; adjacent removals/additions are paired as changes
+function diffLines(a, b) {
+    // The LCS table is O(n*m); very large responses fall back to a line-by-line comparison
+    if (a.length * b.length > 1000000) {
+        return Array.from({ length: Math.max(a.length, b.length) }, (_, k) => ({
+            type: a[k] === b[k] ? 'same' : (k >= a.length ? 'added' : (k >= b.length ? 'removed' : 'changed')),
+            left: a[k], leftNo: k < a.length ? k + 1 : null,
+            right: b[k], rightNo: k < b.length ? k + 1 : null
+        }));
+    }
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const l = removed[k];
+            const r = added[k];
+            rows.push({
+                type: l && r ? 'changed' : (l ? 'removed' : 'added'),
+                left: l?.text, leftNo: l?.no,
+                right: r?.text, rightNo: r?.no
+            });
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush();
+            rows.push({ type: 'same', left: a[i], leftNo: i + 1, right: b[j], rightNo: j + 1 });
+            i++;
+            j++;
+        } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            removed.push({ text: a[i], no: i + 1 });
+            i++;
+        } else {
+            added.push({ text: b[j], no: j + 1 });
+            j++;
+        }
+    }
+    flush();
+
+    return rows;
+}
+
+// Collections (persisted in localStorage, import/export as JSON)
+function loadCollections() {
+    try {
+        collections = JSON.parse(localStorage.getItem(COLLECTIONS_KEY)) || [];
+    } catch (e) {
+        collections = [];
+    }
+    selectedCollection = localStorage.getItem(SELECTED_COLLECTION_KEY) || '';
+    if (!collections.some(c => c.name === selectedCollection)) {
+        selectedCollection = collections[0]?.name || '';
+    }
+}
+
+function storeCollections() {
+    localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections));
+    localStorage.setItem(SELECTED_COLLECTION_KEY, selectedCollection);
+}
+
+function getSelectedCollection() {
+    return collections.find(c => c.name === selectedCollection) || null;
+}
+
+function selectCollection(name) {
+    selectedCollection = name;
+    collectionRun = null;
+    storeCollections();
+    renderCollections();
+}
+
+function openCollectionsDrawer() {
+    closeDrawers();
+    loadCollections();
+    renderCollections();
+    document.getElementById('collectionsDrawer').classList.add('show');
+}
+
+function closeCollectionsDrawer() {
+    document.getElementById('collectionsDrawer').classList.remove('show');
+}
+
+function createCollection() {
+    const name = prompt('Collection name:')?.trim();
+    if (!name) return null;
+    if (collections.some(c => c.name === name)) {
+        alert(`A collection named "${name}" already exists.`);
+        return null;
+    }
+
+    collections.push({ name, steps: [] });
+    selectCollection(name);
+    return getSelectedCollection();
+}
+
+function deleteCollection() {
+    const collection = getSelectedCollection();
+    if (!collection || !confirm(`Delete collection "${collection.name}"?`)) return;
+
+    collections = collections.filter(c => c !== collection);
+    selectCollection(collections[0]?.name || '');
+}
+
+function exportCollection() {
+    const collection = getSelectedCollection();
+    if (!collection) return;
+
+    const data = { wedallyCollection: 1, ...collection };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${collection.name.replace(/[^\w.-]+/g, '_')}.wedally.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Accepts a single exported collection or an array of them
+async function importCollections(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const imported = Array.isArray(data) ? data : [data];
+
+        for (const item of imported) {
+            if (typeof item?.name !== 'string' || !Array.isArray(item.steps)) {
+                throw new Error('Expected a collection with "name" and "steps"');
+            }
+
+            let name = item.name;
+            while (collections.some(c => c.name === name)) {
+                name = `${name} (imported)`;
+            }
+            collections.push({ name, steps: item.steps });
+            selectedCollection = name;
+        }
+
+        selectCollection(selectedCollection);
+    } catch (error) {
+        alert(`Import failed: ${error.message}`);
+    }
+}
+
+// Current subject placeholder values in the Try-it modal, keyed by parameter name
+function getModalSubjectParams() {
+    const params = {};
+    document.querySelectorAll('#modalSubjectBuilder .subject-input').forEach(input => {
+        if (input.value.trim()) {
+            params[input.dataset.param] = input.value.trim();
+        }
+    });
+    return params;
+}
+
+// Save the Try-it modal state as the next step of the selected collection
+function addModalToCollection() {
+    if (!currentEndpoint) return;
+
+    let payload = null;
+    const bodyText = document.getElementById('modalRequestBody').value.trim();
+    if (currentEndpoint.requestBody && bodyText) {
+        try {
+            payload = JSON.parse(bodyText);
+        } catch (e) {
+            alert('Request body is not valid JSON: ' + e.message);
+            return;
+        }
+    }
+
+    loadCollections();
+    const collection = getSelectedCollection() || createCollection();
+    if (!collection) return;
+
+    const defaultName = currentEndpoint.method.charAt(0).toLowerCase() + currentEndpoint.method.slice(1);
+    const name = prompt(`Step name in "${collection.name}" (use it in templates, e.g. {{steps.${defaultName}.id}}):`, uniqueStepName(collection, defaultName))?.trim();
+    if (!name) return;
+    if (collection.steps.some(s => s.name === name)) {
+        alert(`Step "${name}" already exists in "${collection.name}".`);
+        return;
+    }
+
+    collection.steps.push({
+        name,
+        endpointId: currentEndpoint.operationId,
+        method: currentEndpoint.method,
+        params: getModalSubjectParams(),
+        payload,
+        headers: getModalHeaders(),
+        assertions: []
+    });
+    storeCollections();
+    renderCollections();
+}
+
+function uniqueStepName(collection, base) {
+    let name = base;
+    for (let i = 2; collection.steps.some(s => s.name === name); i++) {
+        name = `${base}${i}`;
+    }
+    return name;
+}
+
+// Fill the wildcards of the resolved subject with parameter values (same order as the subject builder)
+function buildSubject(endpoint, params) {
+    const subjectParams = endpoint.parameters.filter(p => p.in === 'subject');
+    let paramIndex = 0;
+    return endpoint.resolvedSubject.split('.').map(part => {
+        if (part !== '*' || paramIndex >= subjectParams.length) return part;
+        const name = subjectParams[paramIndex++].name;
+        return params[name] || name;
+    }).join('.');
+}
+
+// Endpoints are referenced by operation id; fall back to the method name for collections from another build
+function findStepEndpoint(step) {
+    return findEndpoint(step.endpointId) ||
+        Object.values(spec.paths).flat().find(e => e.method === step.method) ||
+        null;
+}
+
+function renderCollections() {
+    const select = document.getElementById('collectionSelect');
+    select.innerHTML = collections.length === 0
+        ? '<option value="">No collections</option>'
+        : collections.map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`).join('');
+    select.value = selectedCollection;
+
+    const collection = getSelectedCollection();
+    ['deleteCollectionBtn', 'exportCollectionBtn'].forEach(id => {
+        document.getElementById(id).disabled = !collection;
+    });
+    document.getElementById('runCollectionBtn').disabled = !collection || collection.steps.length === 0 || collectionRun?.running;
+
+    const summary = document.getElementById('collectionRunSummary');
+    if (collectionRun) {
+        const results = Object.values(collectionRun.results);
+        const passed = results.filter(r => r.status === 'passed').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+        summary.textContent = collectionRun.running
+            ? `Running... ${passed + failed}/${collection.steps.length}`
+            : `${passed} passed, ${failed} failed, ${collection.steps.length - passed - failed} skipped`;
+        summary.className = `subscribe-status ${collectionRun.running ? '' : (failed > 0 ? 'error' : 'live')}`.trim();
+    } else {
+        summary.textContent = '';
+        summary.className = 'subscribe-status';
+    }
+
+    const list = document.getElementById('collectionSteps');
+    if (!collection) {
+        list.innerHTML = '<div class="message-empty">Create a collection, then use "+ Collection" in the Try it dialog to add steps.</div>';
+        return;
+    }
+    if (collection.steps.length === 0) {
+        list.innerHTML = '<div class="message-empty">No steps yet. Use "+ Collection" in the Try it dialog to add one.</div>';
+        return;
+    }
+
+    const expanded = new Set([...list.querySelectorAll('.step-item.expanded')].map(el => el.dataset.step));
+    list.innerHTML = '';
+    collection.steps.forEach((step, index) => {
+        list.appendChild(createStepItem(collection, step, index, expanded.has(step.name)));
+    });
+}
+
+function createStepItem(collection, step, index, expanded) {
+    const endpoint = findStepEndpoint(step);
+    const result = collectionRun?.results[step.name];
+    const action = endpoint?.action || 'Request';
+    const actionColor = ACTION_COLORS[action] || ACTION_COLORS.Request;
+
+    const item = document.createElement('div');
+    item.className = `message-item step-item${expanded ? ' expanded' : ''}`;
+    item.dataset.step = step.name;
+
+    const params = endpoint?.parameters.filter(p => p.in === 'subject') || [];
+    const assertions = step.assertions || [];
+
+    item.innerHTML = `
+        <div class="message-summary">
+            <span class="step-index">${index + 1}</span>
+            <span class="action-badge-small" style="background: ${actionColor.bg}; color: ${actionColor.text};">${action.substring(0, 3).toUpperCase()}</span>
+            <span class="message-subject">${escapeHtml(step.name)} <span class="form-type">${escapeHtml(step.method)}</span></span>
+            ${result ? `<span class="step-result ${result.status}">${result.status}${result.elapsedMs !== undefined ? ` · ${result.elapsedMs}ms` : ''}</span>` : ''}
+            <button class="header-remove step-up" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+            <button class="header-remove step-down" title="Move down" ${index === collection.steps.length - 1 ? 'disabled' : ''}>&darr;</button>
+            <button class="header-remove step-delete" title="Remove step">&times;</button>
+        </div>
+        <div class="message-detail">
+            ${endpoint ? '' : `<div class="form-message error-text">Endpoint "${escapeHtml(step.method)}" is not in the current spec.</div>`}
+            ${params.length > 0 ? `
+                <h4 class="history-label">Subject parameters</h4>
+                <div class="step-params">
+                    ${params.map(p => `
+                        <label class="step-param">
+                            <span class="form-type">{${escapeHtml(p.name)}}</span>
+                            <input type="text" class="form-input" data-param="${escapeHtml(p.name)}" value="${escapeHtml(step.params?.[p.name] || '')}" placeholder="value or {{steps.name.field}}">
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${endpoint?.requestBody ? `
+                <h4 class="history-label">Payload</h4>
+                <textarea class="json-editor step-payload">${escapeHtml(JSON.stringify(step.payload ?? {}, null, 2))}</textarea>
+            ` : ''}
+            <h4 class="history-label">Headers</h4>
+            <textarea class="json-editor step-headers">${escapeHtml(JSON.stringify(step.headers || {}, null, 2))}</textarea>
+            <h4 class="history-label">Assertions</h4>
+            <div class="step-assertions">
+                ${assertions.map((a, i) => `
+                    <div class="header-row assertion-row" data-index="${i}">
+                        <input type="text" class="assertion-path" value="${escapeHtml(a.path)}" placeholder="$.id">
+                        <select class="assertion-op">
+                            ${Object.entries(ASSERTION_OPS).map(([op, label]) => `<option value="${op}" ${a.op === op ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <input type="text" class="assertion-value" value="${escapeHtml(a.value ?? '')}" placeholder="expected (JSON or text)" ${['exists', 'notExists'].includes(a.op) ? 'disabled' : ''}>
+                        <button class="header-remove assertion-remove" title="Remove assertion">&times;</button>
+                    </div>
+                    ${result?.assertions?.[i] && !result.assertions[i].passed ? `<div class="form-message error-text">${escapeHtml(result.assertions[i].message)}</div>` : ''}
+                `).join('')}
+                <button class="btn btn-small btn-light step-add-assertion">+ Add Assertion</button>
+            </div>
+            <div class="step-actions">
+                <button class="btn btn-small btn-light step-open" ${endpoint ? '' : 'disabled'}>Open in Try it</button>
+            </div>
+            ${result?.error ? `<div class="form-message error-text">${escapeHtml(result.error)}</div>` : ''}
+            ${result && 'response' in result ? `
+                <h4 class="history-label">Response</h4>
+                <div class="json-viewer"><pre>${result.response === null || result.response === undefined ? '<span class="message-muted">(no reply)</span>' : syntaxHighlight(JSON.stringify(result.response, null, 2))}</pre></div>
+            ` : ''}
+        </div>
+    `;
+
+    const save = () => {
+        storeCollections();
+    };
+
+    item.querySelector('.message-summary').addEventListener('click', (e) => {
+        if (e.target.closest('button')) return;
+        item.classList.toggle('expanded');
+    });
+    item.querySelector('.step-up').addEventListener('click', () => moveStep(collection, index, -1));
+    item.querySelector('.step-down').addEventListener('click', () => moveStep(collection, index, 1));
+    item.querySelector('.step-delete').addEventListener('click', () => {
+        if (!confirm(`Remove step "${step.name}"?`)) return;
+        collection.steps.splice(index, 1);
+        save();
+        renderCollections();
+    });
+
+    item.querySelectorAll('.step-params input').forEach(input => {
+        input.addEventListener('input', () => {
+            step.params = { ...step.params, [input.dataset.param]: input.value.trim() };
+            save();
+        });
+    });
+
+    // JSON editors only save when the text parses
+    const bindJsonEditor = (selector, assign) => {
+        const editor = item.querySelector(selector);
+        editor?.addEventListener('input', () => {
+            try {
+                assign(JSON.parse(editor.value || 'null'));
+                editor.classList.remove('invalid');
+                save();
+            } catch (e) {
+                editor.classList.add('invalid');
+            }
+        });
+    };
+    bindJsonEditor('.step-payload', v => { step.payload = v; });
+    bindJsonEditor('.step-headers', v => { step.headers = v || {}; });
+
+    item.querySelectorAll('.assertion-row').forEach(row => {
+        const assertion = assertions[Number(row.dataset.index)];
+        const valueInput = row.querySelector('.assertion-value');
+        row.querySelector('.assertion-path').addEventListener('input', (e) => { assertion.path = e.target.value.trim(); save(); });
+        row.querySelector('.assertion-op').addEventListener('change', (e) => {
+            assertion.op = e.target.value;
+            valueInput.disabled = ['exists', 'notExists'].includes(assertion.op);
+            save();
+        });
+        valueInput.addEventListener('input', () => { assertion.value = valueInput.value; save(); });
+        row.querySelector('.assertion-remove').addEventListener('click', () => {
+            assertions.splice(Number(row.dataset.index), 1);
+            save();
+            renderCollections();
+        });
+    });
+    item.querySelector('.step-add-assertion').addEventListener('click', () => {
+        step.assertions = [...assertions, { path: '$.', op: 'exists', value: '' }];
+        save();
+        renderCollections();
+    });
+
+    item.querySelector('.step-open').addEventListener('click', () => {
+        closeCollectionsDrawer();
+        openTryItModal(endpoint);
+        setModalSubject(buildSubject(endpoint, step.params || {}));
+        setModalHeaders(step.headers);
+        if (endpoint.requestBody) {
+            setModalRequestBody(JSON.stringify(step.payload ?? {}, null, 2));
+        }
+    });
+
+    return item;
+}
+
+function moveStep(collection, index, offset) {
+    const [step] = collection.steps.splice(index, 1);
+    collection.steps.splice(index + offset, 0, step);
+    storeCollections();
+    renderCollections();
+}
+
+const ASSERTION_OPS = {
+    exists: 'exists',
+    notExists: 'does not exist',
+    equals: 'equals',
+    notEquals: 'not equals',
+    contains: 'contains',
+    matches: 'matches regex'
+};
+
+// Read a value by path: "$.items[0].name", "items[0].name" or "steps.create.id"
+function getValueAtPath(obj, path) {
+    const tokens = path.replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+    return tokens.reduce((value, token) => (value === null || value === undefined ? undefined : value[token]), obj);
+}
+
+// Replace {{steps.<name>.<path>}} and environment {{variables}} in strings; a string that is only a template keeps the referenced value's type
+function resolveTemplates(value, context) {
+    if (typeof value === 'string') {
+        const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+        if (whole) {
+            return resolveTemplateExpression(whole[1], context);
+        }
+        return value.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, expression) => {
+            const resolved = resolveTemplateExpression(expression, context);
+            return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => resolveTemplates(v, context));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveTemplates(v, context)]));
+    }
+    return value;
+}
+
+function resolveTemplateExpression(expression, context) {
+    const resolved = getValueAtPath(context, expression);
+    if (resolved === undefined) {
+        throw new Error(`Unresolved template {{${expression}}}`);
+    }
+    return resolved;
+}
+
+function evaluateAssertion(assertion, response) {
+    const actual = getValueAtPath(response, assertion.path);
+    let expected = assertion.value;
+    try {
+        expected = JSON.parse(assertion.value);
+    } catch (e) {
+        // Compare as plain text
+    }
+
+    const same = (a, b) => JSON.stringify(sortJsonKeys(a)) === JSON.stringify(sortJsonKeys(b));
+    const show = v => (v === undefined ? 'undefined' : JSON.stringify(v));
+
+    let passed;
+    switch (assertion.op) {
+        case 'exists': passed = actual !== undefined && actual !== null; break;
+        case 'notExists': passed = actual === undefined || actual === null; break;
+        case 'equals': passed = same(actual, expected); break;
+        case 'notEquals': passed = !same(actual, expected); break;
+        case 'contains':
+            passed = Array.isArray(actual)
+                ? actual.some(item => same(item, expected))
+                : typeof actual === 'string' && actual.includes(String(expected));
+            break;
+        case 'matches':
+            try {
+                passed = typeof actual === 'string' && new RegExp(assertion.value).test(actual);
+            } catch (e) {
+                return { passed: false, message: `${assertion.path}: invalid regex (${e.message})` };
+            }
+            break;
+        default: passed = false;
+    }
+
+    return {
+        passed,
+        message: passed ? '' : `${assertion.path} ${ASSERTION_OPS[assertion.op] || assertion.op}${['exists', 'notExists'].includes(assertion.op) ? '' : ` ${assertion.value}`} failed (actual: ${show(actual)})`
+    };
+}
+
+// Run steps in order; the first failing step stops the run and the rest are skipped
+async function runCollection() {
+    const collection = getSelectedCollection();
+    if (!collection || collectionRun?.running) return;
+
+    collectionRun = { running: true, results: {} };
+    const context = { ...getEnvironmentVariables(), steps: {} };
+    renderCollections();
+
+    for (const step of collection.steps) {
+        const result = await runCollectionStep(step, context);
+        collectionRun.results[step.name] = result;
+        renderCollections();
+        if (result.status === 'failed') break;
+    }
+
+    collectionRun.running = false;
+    renderCollections();
+}
+
+async function runCollectionStep(step, context) {
+    const endpoint = findStepEndpoint(step);
+    if (!endpoint) {
+        return { status: 'failed', error: `Endpoint "${step.method}" is not in the current spec` };
+    }
+
+    let subject;
+    let payload;
+    let headers;
+    try {
+        subject = buildSubject(endpoint, resolveTemplates(step.params || {}, context));
+        payload = endpoint.requestBody ? resolveTemplates(step.payload ?? null, context) : null;
+        headers = resolveTemplates(step.headers || {}, context);
+    } catch (error) {
+        return { status: 'failed', error: error.message };
+    }
+
+    const result = await sendNatsRequest(endpoint, subject, payload, headers);
+    if (!result.success) {
+        return { status: 'failed', subject, error: result.error, elapsedMs: result.elapsedMs };
+    }
+
+    context.steps[step.name] = result.response;
+    const assertions = (step.assertions || []).map(a => evaluateAssertion(a, result.response));
+
+    return {
+        status: assertions.every(a => a.passed) ? 'passed' : 'failed',
+        subject,
+        response: result.response,
+        assertions,
+        elapsedMs: result.elapsedMs
+    };
+}
+
+// JetStream inspector
+async function openJetStreamDrawer(stream, connection) {
+    closeDrawers();
+    const select = document.getElementById('jetstreamConnection');
+    if (connection && [...select.options].some(o => o.value === connection)) {
+        select.value = connection;
+    }
+    document.getElementById('jetstreamDrawer').classList.add('show');
+
+    await loadJetStreamStreams();
+    if (stream) {
+        document.querySelector(`.jetstream-stream[data-stream="${CSS.escape(stream)}"]`)
+            ?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+function closeJetStreamDrawer() {
+    document.getElementById('jetstreamDrawer').classList.remove('show');
+}
+
+function renderJetStreamConnections() {
+    const select = document.getElementById('jetstreamConnection');
+    select.innerHTML = spec.servers
+        .map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)}</option>`)
+        .join('');
+}
+
+function setJetStreamStatus(text, state = '') {
+    const status = document.getElementById('jetstreamStatus');
+    status.textContent = text;
+    status.className = `subscribe-status ${state}`.trim();
+}
+
+// Call a JetStream route of the Wedally API; error responses are plain text
+async function jetstreamRequest(path, params = {}, method = 'GET') {
+    const query = new URLSearchParams({ connection: document.getElementById('jetstreamConnection').value, ...params });
+    const response = await wedallyFetch(`${apiUrl(API_JETSTREAM_STREAMS)}${path}?${query}`, { method });
+    if (!response.ok) {
+        throw new Error((await response.text()) || `HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+async function loadJetStreamStreams() {
+    setJetStreamStatus('Loading...');
+    try {
+        jetstreamStreams = await jetstreamRequest('');
+        jetstreamBrowse = {};
+        setJetStreamStatus(`${jetstreamStreams.length} stream${jetstreamStreams.length === 1 ? '' : 's'}`, 'live');
+    } catch (error) {
+        jetstreamStreams = [];
+        setJetStreamStatus('Failed', 'error');
+        document.getElementById('jetstreamStreams').innerHTML =
+            `<div class="error-message">Failed to load streams: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    renderJetStreamStreams();
+}
+
+function renderJetStreamStreams() {
+    const list = document.getElementById('jetstreamStreams');
+    list.innerHTML = '';
+
+    if (jetstreamStreams.length === 0) {
+        list.innerHTML = '<div class="message-empty">No streams on this connection</div>';
+        return;
+    }
+
+    jetstreamStreams.forEach(stream => list.appendChild(createStreamCard(stream)));
+}
+
+function createStreamCard(stream) {
+    const card = document.createElement('div');
+    card.className = 'jetstream-stream';
+    card.dataset.stream = stream.name;
+
+    const canManage = canWedally('wedally.jetstream.manage');
+
+    card.innerHTML = `
+        <div class="jetstream-stream-header">
+            <strong>${escapeHtml(stream.name)}</strong>
+            <span class="message-tag">${escapeHtml(stream.retention)}</span>
+            <span class="message-tag">${escapeHtml(stream.storage)}</span>
+            <div class="jetstream-actions">
+                <button class="btn btn-small btn-light" data-action="browse">Browse</button>
+                ${canManage ? `<button class="btn btn-small btn-light btn-danger" data-action="purge" ${stream.messages === 0 ? 'disabled' : ''}>Purge</button>` : ''}
+            </div>
+        </div>
+        <div class="jetstream-stats">
+            <span><strong>${stream.messages.toLocaleString()}</strong> messages</span>
+            <span><strong>${formatBytes(stream.bytes)}</strong></span>
+            <span>seq ${stream.firstSeq}&ndash;${stream.lastSeq}</span>
+        </div>
+        <div class="jetstream-subjects">
+            ${stream.subjects.map(s => `<code>${escapeHtml(s)}</code>`).join('')}
+        </div>
+        ${stream.consumers.length > 0 ? `
+            <table class="params-table jetstream-consumers">
+                <thead>
+                    <tr>
+                        <th>Consumer</th>
+                        <th title="Not yet delivered">Pending</th>
+                        <th title="Delivered, waiting for ack">Ack pending</th>
+                        <th title="Delivered more than once">Redelivered</th>
+                        <th title="Waiting pull requests">Waiting</th>
+                        ${canManage ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stream.consumers.map(c => `
+                        <tr>
+                            <td>
+                                <code>${escapeHtml(c.name)}</code>
+                                <div class="message-muted">${escapeHtml(c.ackPolicy)} ack, deliver ${escapeHtml(c.deliverPolicy)}${c.filterSubject ? `, ${escapeHtml(c.filterSubject)}` : ''}</div>
+                            </td>
+                            <td>${c.numPending}</td>
+                            <td>${c.numAckPending}</td>
+                            <td>${c.numRedelivered}</td>
+                            <td>${c.numWaiting}</td>
+                            ${canManage ? `<td><button class="btn btn-small btn-light btn-danger" data-consumer="${escapeHtml(c.name)}">Reset</button></td>` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div class="message-muted">No consumers</div>'}
+    `;
+
+    card.querySelector('[data-action="browse"]').addEventListener('click', () => {
+        const browse = jetstreamBrowse[stream.name];
+        if (browse) {
+            delete jetstreamBrowse[stream.name];
+            card.querySelector('.jetstream-browser')?.remove();
+        } else {
+            browseStreamMessages(stream.name, stream.firstSeq || 1);
+        }
+    });
+    card.querySelector('[data-action="purge"]')?.addEventListener('click', () => purgeStream(stream));
+    card.querySelectorAll('[data-consumer]').forEach(button => {
+        button.addEventListener('click', () => resetConsumer(stream.name, button.dataset.consumer));
+    });
+
+    if (jetstreamBrowse[stream.name]) {
+        card.appendChild(createStreamBrowser(stream));
+    }
+
+    return card;
+}
+
+// Messages are read by sequence number, a page at a time
+async function browseStreamMessages(streamName, startSeq) {
+    const stream = jetstreamStreams.find(s => s.name === streamName);
+    if (!stream) return;
+
+    const browse = { startSeq, messages: [], error: null, loading: true };
+    jetstreamBrowse[streamName] = browse;
+    replaceStreamCard(stream);
+
+    try {
+        const messages = await jetstreamRequest(`/${encodeURIComponent(streamName)}/messages`, {
+            startSeq,
+            count: JETSTREAM_BROWSE_COUNT
+        });
+        browse.messages = messages.map(m => ({
+            ...m,
+            id: `${streamName}-${m.seq}`,
+            receivedAt: m.time,
+            payloadDisplay: m.payloadEncoding === 'json' ? JSON.stringify(m.payload, null, 2) : (m.payloadText || '')
+        }));
+    } catch (error) {
+        browse.error = error.message;
+    }
+
+    browse.loading = false;
+    if (jetstreamBrowse[streamName] === browse) {
+        replaceStreamCard(stream);
+    }
+}
+
+function createStreamBrowser(stream) {
+    const browse = jetstreamBrowse[stream.name];
+    const browser = document.createElement('div');
+    browser.className = 'jetstream-browser';
+
+    const lastSeq = browse.messages.length > 0 ? browse.messages[browse.messages.length - 1].seq : null;
+    browser.innerHTML = `
+        <div class="subscribe-controls">
+            <label>From seq</label>
+            <input type="number" class="jetstream-seq" min="1" value="${browse.startSeq}">
+            <button class="btn btn-small btn-light" data-action="load">Load</button>
+            <button class="btn btn-small btn-light" data-action="next" ${lastSeq === null || lastSeq >= stream.lastSeq ? 'disabled' : ''}>Next</button>
+        </div>
+        <div class="message-list"></div>
+    `;
+
+    const list = browser.querySelector('.message-list');
+    if (browse.loading) {
+        list.innerHTML = '<div class="loading-spinner"></div>';
+    } else if (browse.error) {
+        list.innerHTML = `<div class="error-message">${escapeHtml(browse.error)}</div>`;
+    } else if (browse.messages.length === 0) {
+        list.innerHTML = '<div class="message-empty">No messages from this sequence</div>';
+    } else {
+        browse.messages.forEach(message => list.appendChild(createSubscriptionMessageItem(message, new Set())));
+    }
+
+    const seqInput = browser.querySelector('.jetstream-seq');
+    browser.querySelector('[data-action="load"]').addEventListener('click', () => {
+        browseStreamMessages(stream.name, Math.max(1, parseInt(seqInput.value, 10) || 1));
+    });
+    seqInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            browseStreamMessages(stream.name, Math.max(1, parseInt(seqInput.value, 10) || 1));
+        }
+    });
+    browser.querySelector('[data-action="next"]').addEventListener('click', () => {
+        browseStreamMessages(stream.name, lastSeq + 1);
+    });
+
+    return browser;
+}
+
+function replaceStreamCard(stream) {
+    const existing = document.querySelector(`.jetstream-stream[data-stream="${CSS.escape(stream.name)}"]`);
+    existing?.replaceWith(createStreamCard(stream));
+}
+
+// Destructive actions need the name typed back; the API checks it again
+function confirmByName(message, name) {
+    const typed = prompt(`${message}\n\nType "${name}" to confirm:`);
+    if (typed === null) return null;
+    if (typed.trim() !== name) {
+        alert('The name did not match; nothing was changed.');
+        return null;
+    }
+    return name;
+}
+
+async function purgeStream(stream) {
+    const confirmed = confirmByName(
+        `Purge all ${stream.messages.toLocaleString()} messages from stream "${stream.name}"? This cannot be undone.`,
+        stream.name);
+    if (!confirmed) return;
+
+    try {
+        const updated = await jetstreamRequest(`/${encodeURIComponent(stream.name)}/purge`, { confirm: confirmed }, 'POST');
+        jetstreamStreams = jetstreamStreams.map(s => (s.name === stream.name ? updated : s));
+        delete jetstreamBrowse[stream.name];
+        replaceStreamCard(updated);
+        setJetStreamStatus(`Purged ${stream.name}`, 'live');
+    } catch (error) {
+        alert(`Purge failed: ${error.message}`);
+    }
+}
+
+async function resetConsumer(streamName, consumerName) {
+    const confirmed = confirmByName(
+        `Reset consumer "${consumerName}"? It is recreated with its current configuration, so delivery starts over and unacknowledged messages are redelivered.`,
+        consumerName);
+    if (!confirmed) return;
+
+    try {
+        const path = `/${encodeURIComponent(streamName)}/consumers/${encodeURIComponent(consumerName)}/reset`;
+        const updated = await jetstreamRequest(path, { confirm: confirmed }, 'POST');
+        const stream = jetstreamStreams.find(s => s.name === streamName);
+        stream.consumers = stream.consumers.map(c => (c.name === consumerName ? updated : c));
+        replaceStreamCard(stream);
+        setJetStreamStatus(`Reset ${consumerName}`, 'live');
+    } catch (error) {
+        alert(`Reset failed: ${error.message}`);
+    }
+}
+
+// Scroll helpers
+function scrollToEndpoint(operationId) {
+    const el = document.getElementById(`endpoint-${operationId}`);
+    if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        el.classList.add('highlight');
+        setTimeout(() => el.classList.remove('highlight'), 1500);
+    }
+}
+
+function scrollToDefinition(name) {
+    const el = document.getElementById(`definition-${name}`);
+    if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        el.classList.add('highlight');
+        setTimeout(() => el.classList.remove('highlight'), 1500);
+    }
+}
+
+// Syntax highlight JSON
+function syntaxHighlight(json) {
+    if (!json) return '';
+    json = escapeHtml(json);
+    return json.replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, function (match) {
+        let cls = 'number';
+        if (/^"/.test(match)) {
+            if (/:$/.test(match)) {
+                cls = 'key';
+            } else {
+                cls = 'string';
+            }
+        } else if (/true|false/.test(match)) {
+            cls = 'boolean';
+        } else if (/null/.test(match)) {
+            cls = 'null';
+        }
+        return '<span style="color: ' + getHighlightColor(cls) + '">' + match + '</span>';
+    });
+}
+
+function getHighlightColor(cls) {
+    switch (cls) {
+        case 'key': return '#7dd3fc';
+        case 'string': return '#86efac';
+        case 'number': return '#fcd34d';
+        case 'boolean': return '#c4b5fd';
+        case 'null': return '#94a3b8';
+        default: return '#e2e8f0';
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Code snippets
+// A snippet request is { endpoint, subject, payload, body, headers, timeoutMs }; body is the payload as
+// pretty JSON (or the raw text when it isn't valid JSON) and null when there is nothing to send
+const SNIPPET_GENERATORS = {
+    cli: generateNatsCliCommand,
+    curl: generateCurlSnippet,
+    csharp: generateCSharpSnippet,
+    js: generateNatsJsSnippet,
+    python: generateNatsPySnippet
+};
+
+// Placeholder NATS URL for the client library snippets; the connection's real URL lives in server configuration
+const SNIPPET_NATS_URL = 'nats://localhost:4222';
+
+// Snippet request for an endpoint card: example payload, <id> in place of wildcards
+function exampleSnippetRequest(endpoint) {
+    let payload = null;
+    const example = endpoint.requestBody && spec.definitions[endpoint.requestBody.schema]?.example;
+    if (example) {
+        try {
+            payload = JSON.parse(example);
+        } catch (e) {
+            payload = null;
+        }
+    }
+
+    return {
+        endpoint,
+        subject: endpoint.resolvedSubject.replace(/\*/g, '<id>'),
+        payload,
+        body: payload === null ? null : JSON.stringify(payload, null, 2),
+        headers: {},
+        timeoutMs: null
+    };
+}
+
+// Snippet request for the Try-it modal: the values that Execute would send
+function getModalSnippetRequest() {
+    const variables = getEnvironmentVariables();
+    const resolve = (value) => {
+        try {
+            return resolveTemplates(value, variables);
+        } catch (e) {
+            // Keep unresolved {{templates}} visible in the snippet
+            return value;
+        }
+    };
+
+    let payload = null;
+    let body = null;
+    const bodyText = document.getElementById('modalRequestBody').value.trim();
+    if (bodyText && bodyText !== '{}') {
+        try {
+            payload = resolve(JSON.parse(bodyText));
+            body = JSON.stringify(payload, null, 2);
+        } catch (e) {
+            payload = bodyText;
+            body = bodyText;
+        }
+    }
+
+    const env = getActiveEnvironment();
+    return {
+        endpoint: currentEndpoint,
+        subject: resolve(buildSubjectFromModal()),
+        payload,
+        body,
+        headers: { ...resolve(env.headers || {}), ...resolve(getModalHeaders()) },
+        timeoutMs: getRequestTimeout()
+    };
+}
+
+function renderModalSnippet() {
+    if (!currentEndpoint) return;
+
+    document.querySelectorAll('#modalSnippetSection .body-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.snippet === snippetLanguage);
+    });
+    document.getElementById('modalSnippet').textContent = SNIPPET_GENERATORS[snippetLanguage](getModalSnippetRequest());
+}
+
+function setSnippetLanguage(language) {
+    snippetLanguage = language;
+    renderModalSnippet();
+}
+
+function isJetStreamEndpoint(endpoint) {
+    return ['Consume', 'Fetch'].includes(endpoint.action);
+}
+
+function shellQuote(text) {
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// NATS CLI: nats req for request-reply, nats pub (--jetstream for JetStream handlers) otherwise
+function generateNatsCliCommand(request) {
+    const { endpoint, subject, body, headers, timeoutMs } = request;
+    const parts = [endpoint.action === 'Request' ? 'nats req' : 'nats pub'];
+
+    if (isJetStreamEndpoint(endpoint)) {
+        parts.push('--jetstream');
+    }
+    Object.entries(headers).forEach(([key, value]) => parts.push(`-H ${shellQuote(`${key}:${value}`)}`));
+    if (endpoint.action === 'Request' && timeoutMs) {
+        parts.push(`--timeout ${timeoutMs}ms`);
+    }
+    parts.push(shellQuote(subject));
+    parts.push(body === null ? "''" : shellQuote(`\n${body}\n`));
+
+    return parts.join(' ');
+}
+
+// curl against the Wedally API of the active environment
+function generateCurlSnippet(request) {
+    const { endpoint, subject, payload, headers, timeoutMs } = request;
+    const url = new URL(apiUrl(isFireAndForget(endpoint) ? API_FIRE : API_PUBLISH), location.href).href;
+    const data = {
+        endpointId: endpoint.operationId,
+        subject,
+        payload,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        timeoutMs: timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+
+    return [
+        `curl -X POST ${shellQuote(url)} \\`,
+        "  -H 'Content-Type: application/json' \\",
+        `  -d ${shellQuote(JSON.stringify(data, null, 2))}`
+    ].join('\n');
+}
+
+// C# with the template's IJetStreamClient (injects trace headers like the Wedally API does)
+function generateCSharpSnippet(request) {
+    const { endpoint, subject, body, headers, timeoutMs } = request;
+    const connection = endpoint.connection && endpoint.connection !== 'default' ? JSON.stringify(endpoint.connection) : '';
+    const headerEntries = Object.entries(headers);
+
+    const lines = [
+        'using System.Text;',
+        'using System.Text.Json;',
+        'using NATS.Client.Core;',
+        '',
+        '// clientFactory: IJetStreamClientFactory from DI',
+        `var client = clientFactory.Create(${connection});`,
+        ''
+    ];
+
+    if (headerEntries.length > 0) {
+        lines.push('var headers = new NatsHeaders', '{');
+        headerEntries.forEach(([key, value]) => lines.push(`    [${JSON.stringify(key)}] = ${JSON.stringify(value)},`));
+        lines.push('};');
+    } else {
+        lines.push('var headers = new NatsHeaders();');
+    }
+
+    lines.push(body === null
+        ? 'byte[]? payload = null;'
+        : `byte[]? payload = Encoding.UTF8.GetBytes("""\n${body}\n""");`);
+    lines.push('');
+
+    if (endpoint.action === 'Request') {
+        lines.push(
+            'var reply = await client.RequestAsync<byte[]?, JsonElement?>(',
+            `    ${JSON.stringify(subject)},`,
+            '    payload,',
+            '    headers,',
+            `    TimeSpan.FromMilliseconds(${timeoutMs || DEFAULT_TIMEOUT_MS}));`,
+            '',
+            'Console.WriteLine(reply.Data);');
+    } else if (isJetStreamEndpoint(endpoint)) {
+        lines.push(
+            `var ack = await client.JsPublishAsync(${JSON.stringify(subject)}, payload, headers);`,
+            'Console.WriteLine($"Stored in {ack.Stream} at sequence {ack.Seq}");');
+    } else {
+        lines.push(`await client.PublishAsync(${JSON.stringify(subject)}, payload, headers);`);
+    }
+
+    return lines.join('\n');
+}
+
+// Payload as a JS expression: JSON is valid JavaScript, raw text becomes a string literal
+function jsPayloadExpression(request) {
+    if (request.body === null) return "''";
+    return typeof request.payload === 'string' && request.payload === request.body
+        ? JSON.stringify(request.body)
+        : `JSON.stringify(${request.body})`;
+}
+
+function generateNatsJsSnippet(request) {
+    const { endpoint, subject, headers, timeoutMs } = request;
+    const headerEntries = Object.entries(headers);
+    const options = [];
+
+    const lines = [
+        `import { connect${headerEntries.length > 0 ? ', headers' : ''} } from 'nats';`,
+        '',
+        `// NATS server of the "${endpoint.connection || 'default'}" connection`,
+        `const nc = await connect({ servers: '${SNIPPET_NATS_URL}' });`
+    ];
+
+    if (headerEntries.length > 0) {
+        lines.push('const h = headers();');
+        headerEntries.forEach(([key, value]) => lines.push(`h.append(${JSON.stringify(key)}, ${JSON.stringify(value)});`));
+        options.push('headers: h');
+    }
+    lines.push(`const payload = ${jsPayloadExpression(request)};`, '');
+
+    if (endpoint.action === 'Request') {
+        options.unshift(`timeout: ${timeoutMs || DEFAULT_TIMEOUT_MS}`);
+        lines.push(
+            `const reply = await nc.request(${JSON.stringify(subject)}, payload, { ${options.join(', ')} });`,
+            'console.log(reply.string());');
+    } else if (isJetStreamEndpoint(endpoint)) {
+        lines.push(
+            'const js = nc.jetstream();',
+            `const ack = await js.publish(${JSON.stringify(subject)}, payload${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`,
+            'console.log(ack);');
+    } else {
+        lines.push(
+            `nc.publish(${JSON.stringify(subject)}, payload${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`,
+            'await nc.flush();');
+    }
+
+    lines.push('await nc.close();');
+    return lines.join('\n');
+}
+
+// JSON value as a Python literal
+function pythonLiteral(value, indent = '') {
+    if (value === null || value === undefined) return 'None';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value !== 'object') return JSON.stringify(value);
+
+    const inner = indent + '    ';
+    const items = Array.isArray(value)
+        ? value.map(item => `${inner}${pythonLiteral(item, inner)}`)
+        : Object.entries(value).map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)}`);
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+    return items.length === 0 ? `${open}${close}` : `${open}\n${items.join(',\n')},\n${indent}${close}`;
+}
+
+function generateNatsPySnippet(request) {
+    const { endpoint, subject, payload, body, headers, timeoutMs } = request;
+    const hasHeaders = Object.keys(headers).length > 0;
+    const headersArg = hasHeaders ? ', headers=headers' : '';
+
+    let payloadExpression = 'b""';
+    if (body !== null) {
+        payloadExpression = typeof payload === 'string' && payload === body
+            ? `${JSON.stringify(body)}.encode()`
+            : `json.dumps(${pythonLiteral(payload, '    ')}).encode()`;
+    }
+
+    const lines = [
+        'import asyncio',
+        'import json',
+        '',
+        'import nats',
+        '',
+        '',
+        'async def main():',
+        `    # NATS server of the "${endpoint.connection || 'default'}" connection`,
+        `    nc = await nats.connect("${SNIPPET_NATS_URL}")`
+    ];
+
+    if (hasHeaders) {
+        lines.push(`    headers = ${pythonLiteral(headers, '    ')}`);
+    }
+    lines.push(`    payload = ${payloadExpression}`, '');
+
+    if (endpoint.action === 'Request') {
+        lines.push(
+            `    msg = await nc.request(${JSON.stringify(subject)}, payload, timeout=${(timeoutMs || DEFAULT_TIMEOUT_MS) / 1000}${headersArg})`,
+            '    print(json.loads(msg.data) if msg.data else None)');
+    } else if (isJetStreamEndpoint(endpoint)) {
+        lines.push(
+            '    js = nc.jetstream()',
+            `    ack = await js.publish(${JSON.stringify(subject)}, payload${headersArg})`,
+            '    print(ack)');
+    } else {
+        lines.push(
+            `    await nc.publish(${JSON.stringify(subject)}, payload${headersArg})`,
+            '    await nc.flush()');
+    }
+
+    lines.push('    await nc.close()', '', '', 'asyncio.run(main())');
+    return lines.join('\n');
+}
+
+// Copy NATS CLI command to clipboard
+function copyNatsCliCommand(endpoint, button) {
+    const command = generateNatsCliCommand(exampleSnippetRequest(endpoint));
+
+    navigator.clipboard.writeText(command).then(() => {
+        // Show feedback
+        const originalHtml = button.innerHTML;
+        button.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="20 6 9 17 4 12"></polyline>
+            </svg>
+            Copied!
+        `;
+        button.classList.add('copied');
+
+        setTimeout(() => {
+            button.innerHTML = originalHtml;
             button.classList.remove('copied');
         }, 1500);
     }).catch(err => {
@@ -855,12 +3388,141 @@ function setupEventListeners() {
         }
     });
 
+    // Request body view (form / JSON)
+    document.querySelectorAll('#modalBodySection .body-tab').forEach(tab => {
+        tab.addEventListener('click', () => setBodyView(tab.dataset.bodyView));
+    });
+    setBodyView(bodyView);
+
+    // Code snippets (kept in sync with the modal inputs)
+    document.querySelectorAll('#modalSnippetSection .body-tab').forEach(tab => {
+        tab.addEventListener('click', () => setSnippetLanguage(tab.dataset.snippet));
+    });
+    document.getElementById('copySnippetBtn').addEventListener('click', (e) => {
+        copyToClipboard('modalSnippet', e.currentTarget);
+    });
+    ['input', 'change', 'click'].forEach(type => {
+        document.querySelector('#tryItModal .modal-body').addEventListener(type, (e) => {
+            if (!e.target.closest('#modalSnippetSection')) {
+                renderModalSnippet();
+            }
+        });
+    });
+
     // Execute button
-    document.getElementById('modalExecuteBtn').addEventListener('click', executeModalRequest);
+    document.getElementById('modalExecuteBtn').addEventListener('click', () => executeModalRequest());
+
+    // Re-validate while errors are shown so they disappear once fixed
+    document.getElementById('modalRequestBody').addEventListener('input', refreshValidationErrors);
+    document.getElementById('modalBodyForm').addEventListener('input', refreshValidationErrors);
+    document.getElementById('modalBodyForm').addEventListener('change', refreshValidationErrors);
 
     // Clear button
     document.getElementById('modalClearBtn').addEventListener('click', clearModalResponse);
 
+    // Headers editor
+    document.getElementById('addHeaderBtn').addEventListener('click', () => addHeaderRow());
+    document.getElementById('saveHeaderPresetBtn').addEventListener('click', saveHeaderPreset);
+    document.getElementById('deleteHeaderPresetBtn').addEventListener('click', deleteHeaderPreset);
+    document.getElementById('headerPresetSelect').addEventListener('change', (e) => {
+        if (e.target.value) {
+            applyHeaderPreset(e.target.value);
+        }
+    });
+    renderHeaderPresetOptions();
+
+    // Environments
+    document.getElementById('environmentSelect').addEventListener('change', (e) => selectEnvironment(e.target.value));
+    document.getElementById('editEnvironmentsBtn').addEventListener('click', openEnvironmentModal);
+    document.getElementById('closeEnvironmentModal').addEventListener('click', closeEnvironmentModal);
+    document.getElementById('environmentModal').addEventListener('click', (e) => {
+        if (e.target.id === 'environmentModal') {
+            closeEnvironmentModal();
+        }
+    });
+    document.getElementById('environmentEditSelect').addEventListener('change', (e) => renderEnvironmentEditor(e.target.value));
+    document.getElementById('newEnvironmentBtn').addEventListener('click', createEnvironment);
+    document.getElementById('deleteEnvironmentBtn').addEventListener('click', deleteEnvironment);
+    document.getElementById('saveEnvironmentBtn').addEventListener('click', saveEnvironment);
+    document.getElementById('addEnvironmentHeaderBtn').addEventListener('click', () => {
+        addKeyValueRow(document.getElementById('environmentHeadersEditor'));
+    });
+    document.getElementById('addEnvironmentVariableBtn').addEventListener('click', () => {
+        addKeyValueRow(document.getElementById('environmentVariablesEditor'));
+    });
+
+    // Collections drawer
+    document.getElementById('openCollectionsBtn').addEventListener('click', openCollectionsDrawer);
+    document.getElementById('closeCollectionsDrawer').addEventListener('click', closeCollectionsDrawer);
+    document.getElementById('collectionSelect').addEventListener('change', (e) => selectCollection(e.target.value));
+    document.getElementById('newCollectionBtn').addEventListener('click', createCollection);
+    document.getElementById('deleteCollectionBtn').addEventListener('click', deleteCollection);
+    document.getElementById('exportCollectionBtn').addEventListener('click', exportCollection);
+    document.getElementById('importCollectionBtn').addEventListener('click', () => {
+        document.getElementById('importCollectionFile').click();
+    });
+    document.getElementById('importCollectionFile').addEventListener('change', async (e) => {
+        if (e.target.files[0]) {
+            await importCollections(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('runCollectionBtn').addEventListener('click', runCollection);
+    document.getElementById('modalAddToCollectionBtn').addEventListener('click', addModalToCollection);
+
+    // History drawer
+    document.getElementById('openHistoryBtn').addEventListener('click', openHistoryDrawer);
+    document.getElementById('closeHistoryDrawer').addEventListener('click', closeHistoryDrawer);
+    document.getElementById('historyFilter').addEventListener('input', renderHistory);
+    document.getElementById('historyDiffBtn').addEventListener('click', openHistoryDiff);
+    document.getElementById('historyClearBtn').addEventListener('click', clearHistory);
+    document.getElementById('closeDiffModal').addEventListener('click', () => {
+        document.getElementById('diffModal').classList.remove('show');
+    });
+    document.getElementById('diffModal').addEventListener('click', (e) => {
+        if (e.target.id === 'diffModal') {
+            e.target.classList.remove('show');
+        }
+    });
+
+    // JetStream drawer
+    document.getElementById('openJetStreamBtn').addEventListener('click', () => openJetStreamDrawer());
+    document.getElementById('closeJetStreamDrawer').addEventListener('click', closeJetStreamDrawer);
+    document.getElementById('jetstreamConnection').addEventListener('change', loadJetStreamStreams);
+    document.getElementById('jetstreamRefreshBtn').addEventListener('click', loadJetStreamStreams);
+
+    // Subscribe drawer
+    document.getElementById('openSubscribeBtn').addEventListener('click', () => openSubscribeDrawer());
+    document.getElementById('closeSubscribeDrawer').addEventListener('click', closeSubscribeDrawer);
+    document.getElementById('subscribeToggleBtn').addEventListener('click', toggleSubscription);
+    document.getElementById('subscribePauseBtn').addEventListener('click', toggleSubscriptionPause);
+    document.getElementById('subscribeClearBtn').addEventListener('click', clearSubscriptionMessages);
+    document.getElementById('subscribeFilter').addEventListener('input', renderSubscriptionMessages);
+    document.getElementById('subscribeSubject').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !subscribeSource) {
+            startSubscription();
+        }
+    });
+
+    // Authenticated downloads for the spec/AsyncAPI links
+    document.querySelectorAll('a[data-api-path]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            openApiLink(link);
+        });
+    });
+
+    // Login/logout on the home page (same or another tab)
+    window.WedaAuth?.onAuthChange(handleAuthChange);
+
+    // Close the export menu after picking a format or clicking elsewhere
+    document.addEventListener('click', (e) => {
+        const menu = document.querySelector('.export-menu');
+        if (menu.open && (!menu.contains(e.target) || e.target.closest('.export-menu-items a'))) {
+            menu.open = false;
+        }
+    });
+
     // Schema links
     document.addEventListener('click', (e) => {
         if (e.target.classList.contains('schema-link')) {
@@ -33,6 +33,9 @@ public class LoginCommandHandler(
             return UserErrors.AccountNotActive;
         }
 
+        // Each login starts a new refresh token family (session)
+        var familyId = Guid.NewGuid();
+        var refreshTokenId = user.RotateRefreshToken(familyId);
         user.RecordLogin();
         await userRepository.UpdateAsync(user, cancellationToken);
 
@@ -45,6 +48,7 @@ public class LoginCommandHandler(
 
         return new AuthResponse(
             Token: token,
+            RefreshToken: jwtTokenGenerator.GenerateRefreshToken(user.Id, familyId, refreshTokenId),
             Id: user.Id,
             Name: user.Name,
             Email: user.Email.Value,
@@ -0,0 +1,35 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Core.Application.Security;
+using Weda.Template.Contracts.Auth.Commands;
+using Weda.Template.Domain.Users.Repositories;
+
+namespace Weda.Template.Application.Auth.Commands.Logout;
+
+public class LogoutCommandHandler(
+    IUserRepository userRepository,
+    IJwtTokenGenerator jwtTokenGenerator) : IRequestHandler<LogoutCommand, ErrorOr<Success>>
+{
+    public async ValueTask<ErrorOr<Success>> Handle(LogoutCommand request, CancellationToken cancellationToken)
+    {
+        // Logging out is idempotent: an invalid or expired refresh token has nothing left to revoke
+        var claims = jwtTokenGenerator.ValidateRefreshToken(request.RefreshToken);
+        if (claims is null)
+        {
+            return Result.Success;
+        }
+
+        var user = await userRepository.GetByIdAsync(claims.UserId, cancellationToken);
+        if (user is null)
+        {
+            return Result.Success;
+        }
+
+        user.RevokeRefreshTokenFamily(claims.FamilyId);
+        await userRepository.UpdateAsync(user, cancellationToken);
+
+        return Result.Success;
+    }
+}
@@ -0,0 +1,65 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Core.Application.Security;
+using Weda.Template.Contracts.Auth;
+using Weda.Template.Contracts.Auth.Commands;
+using Weda.Template.Domain.Users.Errors;
+using Weda.Template.Domain.Users.Repositories;
+
+namespace Weda.Template.Application.Auth.Commands.RefreshToken;
+
+public class RefreshTokenCommandHandler(
+    IUserRepository userRepository,
+    IJwtTokenGenerator jwtTokenGenerator) : IRequestHandler<RefreshTokenCommand, ErrorOr<AuthResponse>>
+{
+    public async ValueTask<ErrorOr<AuthResponse>> Handle(RefreshTokenCommand request, CancellationToken cancellationToken)
+    {
+        var claims = jwtTokenGenerator.ValidateRefreshToken(request.RefreshToken);
+        if (claims is null)
+        {
+            return UserErrors.InvalidRefreshToken;
+        }
+
+        var user = await userRepository.GetByIdAsync(claims.UserId, cancellationToken);
+        if (user is null)
+        {
+            return UserErrors.InvalidRefreshToken;
+        }
+
+        // A rotated-out token being used again means it was copied: end the whole session,
+        // so neither the thief nor the owner can keep refreshing with it
+        if (!user.IsCurrentRefreshToken(claims.FamilyId, claims.TokenId))
+        {
+            user.RevokeRefreshTokenFamily(claims.FamilyId);
+            await userRepository.UpdateAsync(user, cancellationToken);
+            return UserErrors.InvalidRefreshToken;
+        }
+
+        if (user.Status != Domain.Users.Enums.UserStatus.Active)
+        {
+            return UserErrors.AccountNotActive;
+        }
+
+        var refreshTokenId = user.RotateRefreshToken(claims.FamilyId);
+        await userRepository.UpdateAsync(user, cancellationToken);
+
+        // Claims are rebuilt from the stored user, so role and permission changes apply on the next refresh
+        var token = jwtTokenGenerator.GenerateToken(
+            user.Id,
+            user.Name,
+            user.Email.Value,
+            user.Permissions.ToList(),
+            user.Roles.ToList());
+
+        return new AuthResponse(
+            Token: token,
+            RefreshToken: jwtTokenGenerator.GenerateRefreshToken(user.Id, claims.FamilyId, refreshTokenId),
+            Id: user.Id,
+            Name: user.Name,
+            Email: user.Email.Value,
+            Permissions: user.Permissions,
+            Roles: user.Roles);
+    }
+}
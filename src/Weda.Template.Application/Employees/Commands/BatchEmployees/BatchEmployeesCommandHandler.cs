@@ -0,0 +1,358 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Template.Application.Employees.Mapping;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.Application.Employees.Commands.BatchEmployees;
+
+/// <summary>
+/// Applies one action to a selection of employees, or to none of them: every employee, the target
+/// and the resulting hierarchy are checked before the first change, and all changes are saved together.
+/// </summary>
+public class BatchEmployeesCommandHandler(
+    IEmployeeRepository employeeRepository,
+    EmployeeHierarchyManager hierarchyManager) : IRequestHandler<BatchEmployeesCommand, ErrorOr<BatchEmployeesResultDto>>
+{
+    public async ValueTask<ErrorOr<BatchEmployeesResultDto>> Handle(BatchEmployeesCommand request, CancellationToken cancellationToken)
+    {
+        if (request.EmployeeIds.Count == 0)
+        {
+            return EmployeeErrors.EmptyBatch;
+        }
+
+        if (request.EmployeeIds.Count > BatchEmployeesCommand.MaxEmployees)
+        {
+            return EmployeeErrors.BatchTooLarge(BatchEmployeesCommand.MaxEmployees);
+        }
+
+        var errors = new List<Error>();
+        var selection = await LoadSelectionAsync(request.EmployeeIds, errors, cancellationToken);
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        var conflicts = VersionConflicts(selection, request.ExpectedVersions);
+        if (conflicts.Count > 0)
+        {
+            return conflicts;
+        }
+
+        return request.Action switch
+        {
+            BatchEmployeeAction.Move => await MoveAsync(selection, request.SupervisorId, cancellationToken),
+            BatchEmployeeAction.ChangeDepartment => await ChangeDepartmentAsync(selection, request.Department, cancellationToken),
+            BatchEmployeeAction.ChangeStatus => await ChangeStatusAsync(selection, request, cancellationToken),
+            _ => await DeleteAsync(selection, request, cancellationToken),
+        };
+    }
+
+    // The selected employees with their position in the request; an ID listed twice counts once
+    private async Task<List<(int Index, Employee Employee)>> LoadSelectionAsync(
+        IReadOnlyList<int> employeeIds,
+        List<Error> errors,
+        CancellationToken cancellationToken)
+    {
+        var selection = new List<(int Index, Employee Employee)>();
+        var seen = new HashSet<int>();
+
+        for (var index = 0; index < employeeIds.Count; index++)
+        {
+            var id = employeeIds[index];
+            if (!seen.Add(id))
+            {
+                continue;
+            }
+
+            var employee = await employeeRepository.GetByIdAsync(id, cancellationToken);
+            if (employee is null)
+            {
+                errors.Add(ItemError(index, EmployeeErrors.NotFound(id)));
+                continue;
+            }
+
+            selection.Add((index, employee));
+        }
+
+        return selection;
+    }
+
+    private async Task<ErrorOr<BatchEmployeesResultDto>> MoveAsync(
+        List<(int Index, Employee Employee)> selection,
+        int? supervisorId,
+        CancellationToken cancellationToken)
+    {
+        var errors = InactiveErrors(selection);
+        if (supervisorId is not null)
+        {
+            var moveResult = await hierarchyManager.ValidateGroupMoveAsync(Ids(selection), supervisorId.Value);
+            if (moveResult.IsError)
+            {
+                errors.AddRange(moveResult.Errors.Select(error => FieldError(nameof(BatchEmployeesCommand.SupervisorId), error)));
+            }
+        }
+
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        foreach (var (_, employee) in selection)
+        {
+            var assignResult = employee.AssignSupervisor(supervisorId);
+            if (assignResult.IsError)
+            {
+                return assignResult.Errors;
+            }
+
+            await employeeRepository.UpdateAsync(employee, cancellationToken);
+        }
+
+        return ToResult(selection, [], []);
+    }
+
+    private async Task<ErrorOr<BatchEmployeesResultDto>> ChangeDepartmentAsync(
+        List<(int Index, Employee Employee)> selection,
+        string? department,
+        CancellationToken cancellationToken)
+    {
+        var errors = InactiveErrors(selection);
+        var departmentResult = Department.Create(department ?? string.Empty);
+        if (departmentResult.IsError)
+        {
+            errors.AddRange(departmentResult.Errors.Select(error => FieldError(nameof(BatchEmployeesCommand.Department), error)));
+        }
+
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        foreach (var (_, employee) in selection)
+        {
+            var updateResult = employee.UpdateDepartment(departmentResult.Value);
+            if (updateResult.IsError)
+            {
+                return updateResult.Errors;
+            }
+
+            await employeeRepository.UpdateAsync(employee, cancellationToken);
+        }
+
+        return ToResult(selection, [], []);
+    }
+
+    private async Task<ErrorOr<BatchEmployeesResultDto>> ChangeStatusAsync(
+        List<(int Index, Employee Employee)> selection,
+        BatchEmployeesCommand request,
+        CancellationToken cancellationToken)
+    {
+        if (request.Status is not { } status)
+        {
+            return FieldError(nameof(BatchEmployeesCommand.Status), EmployeeErrors.StatusRequired);
+        }
+
+        var effectiveDate = request.EffectiveDate ?? DateTime.UtcNow.Date;
+        var errors = new List<Error>();
+        foreach (var (index, employee) in selection)
+        {
+            var validation = employee.ValidateStatusChange(status, request.Reason, effectiveDate);
+            if (validation.IsError)
+            {
+                errors.AddRange(validation.Errors.Select(error => ItemError(index, error)));
+            }
+        }
+
+        List<(Employee Report, int? SupervisorId)> moves = status == EmployeeStatus.Inactive
+            ? await PlanReassignmentAsync(selection, request, deleting: false, errors, cancellationToken)
+            : [];
+
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        var reassigned = await ReassignAsync(moves, cancellationToken);
+        if (reassigned.IsError)
+        {
+            return reassigned.Errors;
+        }
+
+        foreach (var (_, employee) in selection)
+        {
+            var statusResult = employee.ChangeStatus(status, request.Reason, effectiveDate);
+            if (statusResult.IsError)
+            {
+                return statusResult.Errors;
+            }
+
+            await employeeRepository.UpdateAsync(employee, cancellationToken);
+        }
+
+        return ToResult(selection, reassigned.Value, []);
+    }
+
+    private async Task<ErrorOr<BatchEmployeesResultDto>> DeleteAsync(
+        List<(int Index, Employee Employee)> selection,
+        BatchEmployeesCommand request,
+        CancellationToken cancellationToken)
+    {
+        var errors = new List<Error>();
+        var moves = await PlanReassignmentAsync(selection, request, deleting: true, errors, cancellationToken);
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        var reassigned = await ReassignAsync(moves, cancellationToken);
+        if (reassigned.IsError)
+        {
+            return reassigned.Errors;
+        }
+
+        foreach (var (_, employee) in selection)
+        {
+            employee.Delete();
+            await employeeRepository.DeleteAsync(employee, cancellationToken);
+        }
+
+        return new BatchEmployeesResultDto(
+            selection.Count,
+            EmployeeMapper.ToDtoList(reassigned.Value),
+            Ids(selection).ToList());
+    }
+
+    // Where the direct reports of the leaving employees go. Reports that are leaving too aren't moved;
+    // inactive reports stay with an inactive supervisor, but block a delete since they can't be moved.
+    private async Task<List<(Employee Report, int? SupervisorId)>> PlanReassignmentAsync(
+        List<(int Index, Employee Employee)> leaving,
+        BatchEmployeesCommand request,
+        bool deleting,
+        List<Error> errors,
+        CancellationToken cancellationToken)
+    {
+        var leavingIds = Ids(leaving);
+        int? target = null;
+
+        if (request.OrphanPolicy == OrphanPolicy.ReassignTo)
+        {
+            if (request.ReassignOrphansTo is null)
+            {
+                errors.Add(FieldError(nameof(BatchEmployeesCommand.ReassignOrphansTo), EmployeeErrors.ReassignmentTargetRequired));
+                return [];
+            }
+
+            var targetResult = await hierarchyManager.ValidateReassignmentTargetAsync(leavingIds, request.ReassignOrphansTo.Value);
+            if (targetResult.IsError)
+            {
+                errors.AddRange(targetResult.Errors.Select(error => FieldError(nameof(BatchEmployeesCommand.ReassignOrphansTo), error)));
+                return [];
+            }
+
+            target = request.ReassignOrphansTo;
+        }
+
+        var moves = new List<(Employee Report, int? SupervisorId)>();
+        foreach (var (index, employee) in leaving)
+        {
+            var reports = (await employeeRepository.GetBySupervisorIdAsync(employee.Id, cancellationToken))
+                .Where(report => !leavingIds.Contains(report.Id))
+                .ToList();
+
+            if (reports.Any(report => report.Status == EmployeeStatus.Inactive))
+            {
+                if (deleting)
+                {
+                    errors.Add(ItemError(index, EmployeeErrors.HasInactiveSubordinates));
+                    continue;
+                }
+
+                reports.RemoveAll(report => report.Status == EmployeeStatus.Inactive);
+            }
+
+            if (reports.Count == 0)
+            {
+                continue;
+            }
+
+            var newSupervisorId = target;
+            if (request.OrphanPolicy == OrphanPolicy.ReassignToManager)
+            {
+                var manager = await hierarchyManager.GetNearestRemainingManagerAsync(employee, leavingIds);
+                if (manager?.Status == EmployeeStatus.Inactive)
+                {
+                    errors.Add(ItemError(index, EmployeeErrors.ReassignmentTargetInactive));
+                    continue;
+                }
+
+                newSupervisorId = manager?.Id;
+            }
+
+            moves.AddRange(reports.Select(report => (report, newSupervisorId)));
+        }
+
+        return moves;
+    }
+
+    private async Task<ErrorOr<List<Employee>>> ReassignAsync(
+        List<(Employee Report, int? SupervisorId)> moves,
+        CancellationToken cancellationToken)
+    {
+        foreach (var (report, supervisorId) in moves)
+        {
+            var assignResult = report.AssignSupervisor(supervisorId);
+            if (assignResult.IsError)
+            {
+                return assignResult.Errors;
+            }
+
+            await employeeRepository.UpdateAsync(report, cancellationToken);
+        }
+
+        return moves.Select(move => move.Report).ToList();
+    }
+
+    // Optimistic concurrency: ExpectedVersions[i] is the version of EmployeeIds[i] the client last read
+    private static List<Error> VersionConflicts(
+        List<(int Index, Employee Employee)> selection,
+        IReadOnlyList<string?>? expectedVersions) => selection
+        .Where(item => expectedVersions?.ElementAtOrDefault(item.Index) is { } expected &&
+            expected != EmployeeDto.VersionOf(item.Employee.Version))
+        .Select(item => EmployeeErrors.BatchConcurrencyConflict(item.Index, item.Employee.Id))
+        .ToList();
+
+    private static List<Error> InactiveErrors(List<(int Index, Employee Employee)> selection) => selection
+        .Where(item => item.Employee.Status == EmployeeStatus.Inactive)
+        .Select(item => ItemError(item.Index, EmployeeErrors.CannotModifyInactiveEmployee))
+        .ToList();
+
+    private static HashSet<int> Ids(List<(int Index, Employee Employee)> selection) =>
+        selection.Select(item => item.Employee.Id).ToHashSet();
+
+    private static BatchEmployeesResultDto ToResult(
+        List<(int Index, Employee Employee)> selection,
+        List<Employee> reassigned,
+        List<int> deletedIds) => new(
+            selection.Count,
+            EmployeeMapper.ToDtoList(selection.Select(item => item.Employee).Concat(reassigned)),
+            deletedIds);
+
+    // Keyed by the request property path (EmployeeIds[i]) so clients can point at the employee
+    private static Error ItemError(int index, Error error) => Error.Validation(
+        code: $"{nameof(BatchEmployeesCommand.EmployeeIds)}[{index}]",
+        description: error.Description);
+
+    // Keyed by the request property the error is about, e.g. SupervisorId
+    private static Error FieldError(string field, Error error) => Error.Validation(
+        code: field,
+        description: error.Description);
+}
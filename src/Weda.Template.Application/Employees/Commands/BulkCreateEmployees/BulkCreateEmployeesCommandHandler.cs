@@ -0,0 +1,261 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Application.Employees.Mapping;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.Application.Employees.Commands.BulkCreateEmployees;
+
+/// <summary>
+/// Creates a whole batch of employees, or none of them: every row is validated
+/// (value objects, duplicates, supervisors, cycles) before the first insert.
+/// </summary>
+public class BulkCreateEmployeesCommandHandler(
+    IEmployeeRepository employeeRepository,
+    IUnitOfWork unitOfWork) : IRequestHandler<BulkCreateEmployeesCommand, ErrorOr<BulkCreateEmployeesResultDto>>
+{
+    public async ValueTask<ErrorOr<BulkCreateEmployeesResultDto>> Handle(BulkCreateEmployeesCommand request, CancellationToken cancellationToken)
+    {
+        var rows = request.Employees;
+        if (rows.Count == 0)
+        {
+            return EmployeeErrors.EmptyImport;
+        }
+
+        if (rows.Count > BulkCreateEmployeesCommand.MaxEmployees)
+        {
+            return EmployeeErrors.ImportTooLarge(BulkCreateEmployeesCommand.MaxEmployees);
+        }
+
+        var errors = new List<Error>();
+        var employees = CreateEmployees(rows, errors);
+
+        await CheckDuplicatesAsync(employees, errors, cancellationToken);
+
+        var (supervisorRows, existingSupervisorIds) = await ResolveSupervisorsAsync(rows, employees, errors, cancellationToken);
+
+        CheckCycles(supervisorRows, errors);
+
+        if (errors.Count > 0)
+        {
+            return errors;
+        }
+
+        if (request.ValidateOnly)
+        {
+            return new BulkCreateEmployeesResultDto(rows.Count, Committed: false, []);
+        }
+
+        // New employees need their supervisor's generated ID, so save one level of the hierarchy at a time.
+        // The transaction rolls back the levels saved so far unless all of them are.
+        await using var transaction = await unitOfWork.BeginTransactionAsync(cancellationToken);
+
+        var levels = Enumerable.Range(0, rows.Count)
+            .GroupBy(row => GetDepth(row, supervisorRows))
+            .OrderBy(level => level.Key);
+
+        foreach (var level in levels)
+        {
+            foreach (var row in level)
+            {
+                var employee = employees[row]!;
+                var supervisorId = supervisorRows[row] is { } supervisorRow
+                    ? employees[supervisorRow]!.Id
+                    : existingSupervisorIds[row];
+
+                if (supervisorId is not null)
+                {
+                    var assignResult = employee.AssignSupervisor(supervisorId);
+                    if (assignResult.IsError)
+                    {
+                        return assignResult.Errors;
+                    }
+                }
+
+                await employeeRepository.AddAsync(employee, cancellationToken);
+            }
+
+            await unitOfWork.SaveChangesAsync(cancellationToken);
+        }
+
+        await transaction.CommitAsync(cancellationToken);
+
+        return new BulkCreateEmployeesResultDto(
+            rows.Count,
+            Committed: true,
+            EmployeeMapper.ToDtoList(employees.Select(employee => employee!)));
+    }
+
+    // Same value object and entity rules as a single create; invalid rows stay null
+    private static Employee?[] CreateEmployees(IReadOnlyList<BulkCreateEmployeeItem> rows, List<Error> errors)
+    {
+        var employees = new Employee?[rows.Count];
+
+        for (var row = 0; row < rows.Count; row++)
+        {
+            var item = rows[row];
+
+            var departmentResult = Department.Create(item.Department);
+            if (departmentResult.IsError)
+            {
+                errors.AddRange(departmentResult.Errors.Select(error => RowError(row, error)));
+                continue;
+            }
+
+            var employeeResult = Employee.Create(
+                item.Name,
+                item.Email,
+                departmentResult.Value,
+                item.Position,
+                item.HireDate ?? DateTime.UtcNow.Date);
+
+            if (employeeResult.IsError)
+            {
+                errors.AddRange(employeeResult.Errors.Select(error => RowError(row, error)));
+                continue;
+            }
+
+            employees[row] = employeeResult.Value;
+        }
+
+        return employees;
+    }
+
+    // Names and emails must be unique both within the import and against existing employees
+    private async Task CheckDuplicatesAsync(Employee?[] employees, List<Error> errors, CancellationToken cancellationToken)
+    {
+        var rowByEmail = new Dictionary<string, int>();
+        var rowByName = new Dictionary<string, int>();
+
+        for (var row = 0; row < employees.Length; row++)
+        {
+            if (employees[row] is not { } employee)
+            {
+                continue;
+            }
+
+            if (!rowByEmail.TryAdd(employee.Email.Value, row))
+            {
+                errors.Add(RowError(row, EmployeeErrors.DuplicateEmailInImport(rowByEmail[employee.Email.Value] + 1)));
+            }
+
+            if (!rowByName.TryAdd(employee.Name.Value, row))
+            {
+                errors.Add(RowError(row, EmployeeErrors.DuplicateNameInImport(rowByName[employee.Name.Value] + 1)));
+            }
+        }
+
+        var existingByEmail = await employeeRepository.GetByEmailsAsync(rowByEmail.Keys, cancellationToken);
+        errors.AddRange(existingByEmail.Select(existing => RowError(rowByEmail[existing.Email.Value], EmployeeErrors.DuplicateEmail)));
+
+        var existingByName = await employeeRepository.GetByNamesAsync(rowByName.Keys, cancellationToken);
+        errors.AddRange(existingByName.Select(existing => RowError(rowByName[existing.Name.Value], EmployeeErrors.DuplicateName)));
+    }
+
+    // A supervisor is either another row of the import or an existing employee, matched by email
+    private async Task<(int?[] SupervisorRows, int?[] ExistingSupervisorIds)> ResolveSupervisorsAsync(
+        IReadOnlyList<BulkCreateEmployeeItem> rows,
+        Employee?[] employees,
+        List<Error> errors,
+        CancellationToken cancellationToken)
+    {
+        var supervisorRows = new int?[rows.Count];
+        var existingSupervisorIds = new int?[rows.Count];
+
+        var rowByEmail = new Dictionary<string, int>();
+        for (var row = 0; row < rows.Count; row++)
+        {
+            rowByEmail.TryAdd(NormalizeEmail(rows[row].Email), row);
+        }
+
+        var supervisorEmails = rows
+            .Select(row => row.SupervisorEmail)
+            .OfType<string>()
+            .Where(email => !string.IsNullOrWhiteSpace(email));
+        var existingSupervisors = (await employeeRepository.GetByEmailsAsync(supervisorEmails, cancellationToken))
+            .ToDictionary(supervisor => supervisor.Email.Value, supervisor => supervisor.Id);
+
+        for (var row = 0; row < rows.Count; row++)
+        {
+            var supervisorEmail = rows[row].SupervisorEmail;
+            if (employees[row] is null || string.IsNullOrWhiteSpace(supervisorEmail))
+            {
+                continue;
+            }
+
+            var normalized = NormalizeEmail(supervisorEmail);
+            if (normalized == employees[row]!.Email.Value)
+            {
+                errors.Add(RowError(row, EmployeeErrors.CannotBeSelfSupervisor));
+            }
+            else if (rowByEmail.TryGetValue(normalized, out var supervisorRow))
+            {
+                supervisorRows[row] = supervisorRow;
+            }
+            else if (existingSupervisors.TryGetValue(normalized, out var supervisorId))
+            {
+                existingSupervisorIds[row] = supervisorId;
+            }
+            else
+            {
+                errors.Add(RowError(row, EmployeeErrors.UnknownSupervisor(supervisorEmail.Trim())));
+            }
+        }
+
+        return (supervisorRows, existingSupervisorIds);
+    }
+
+    // Existing employees can't report to new ones, so cycles can only run through rows of the import
+    private static void CheckCycles(int?[] supervisorRows, List<Error> errors)
+    {
+        const int unvisited = 0, onPath = 1, done = 2;
+        var state = new int[supervisorRows.Length];
+
+        for (var start = 0; start < supervisorRows.Length; start++)
+        {
+            var path = new List<int>();
+            var current = (int?)start;
+
+            while (current is { } row && state[row] == unvisited)
+            {
+                state[row] = onPath;
+                path.Add(row);
+                current = supervisorRows[row];
+            }
+
+            if (current is { } repeated && state[repeated] == onPath)
+            {
+                errors.AddRange(path
+                    .Skip(path.IndexOf(repeated))
+                    .Select(row => RowError(row, EmployeeErrors.CircularSupervisorReference)));
+            }
+
+            path.ForEach(row => state[row] = done);
+        }
+    }
+
+    private static int GetDepth(int row, int?[] supervisorRows)
+    {
+        var depth = 0;
+        for (var current = supervisorRows[row]; current is { } supervisorRow; current = supervisorRows[supervisorRow])
+        {
+            depth++;
+        }
+
+        return depth;
+    }
+
+    private static string NormalizeEmail(string email) => email.Trim().ToLowerInvariant();
+
+    // Keyed by the request property path (Employees[i]) so clients can show errors next to each row
+    private static Error RowError(int row, Error error) => Error.Validation(
+        code: $"Employees[{row}]",
+        description: error.Description);
+}
@@ -0,0 +1,68 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Template.Application.Employees.Mapping;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+
+namespace Weda.Template.Application.Employees.Commands.ChangeEmployeeStatus;
+
+public class ChangeEmployeeStatusCommandHandler(
+    IEmployeeRepository employeeRepository,
+    EmployeeHierarchyManager hierarchyManager) : IRequestHandler<ChangeEmployeeStatusCommand, ErrorOr<EmployeeDto>>
+{
+    public async ValueTask<ErrorOr<EmployeeDto>> Handle(ChangeEmployeeStatusCommand request, CancellationToken cancellationToken)
+    {
+        var employee = await employeeRepository.GetByIdAsync(request.Id, cancellationToken);
+        if (employee is null)
+        {
+            return EmployeeErrors.NotFound(request.Id);
+        }
+
+        // Same optimistic concurrency as an update (If-Match)
+        if (request.ExpectedVersion is not null &&
+            request.ExpectedVersion != EmployeeDto.VersionOf(employee.Version))
+        {
+            return EmployeeErrors.ConcurrencyConflict;
+        }
+
+        // Validate before touching the reports, so a rejected change leaves nothing half done
+        var effectiveDate = request.EffectiveDate ?? DateTime.UtcNow.Date;
+        var validation = employee.ValidateStatusChange(request.Status, request.Reason, effectiveDate);
+        if (validation.IsError)
+        {
+            return validation.Errors;
+        }
+
+        if (request.Status == EmployeeStatus.Inactive)
+        {
+            var reassignResult = await hierarchyManager.ReassignSubordinatesAsync(
+                employee,
+                request.ReassignSubordinatesTo ?? employee.SupervisorId);
+            if (reassignResult.IsError)
+            {
+                return reassignResult.Errors;
+            }
+
+            foreach (var subordinate in reassignResult.Value)
+            {
+                await employeeRepository.UpdateAsync(subordinate, cancellationToken);
+            }
+        }
+
+        var statusResult = employee.ChangeStatus(request.Status, request.Reason, effectiveDate);
+        if (statusResult.IsError)
+        {
+            return statusResult.Errors;
+        }
+
+        await employeeRepository.UpdateAsync(employee, cancellationToken);
+
+        return EmployeeMapper.ToDto(employee);
+    }
+}
@@ -25,6 +25,7 @@ public class DeleteEmployeeCommandHandler(
             return EmployeeErrors.HasSubordinates;
         }
 
+        employee.Delete();
         await _employeeRepository.DeleteAsync(employee, cancellationToken);
 
         return Result.Deleted;
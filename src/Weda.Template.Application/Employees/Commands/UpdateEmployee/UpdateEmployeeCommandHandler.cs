@@ -24,6 +24,20 @@ public class UpdateEmployeeCommandHandler(
             return EmployeeErrors.NotFound(request.Id);
         }
 
+        // Optimistic concurrency: reject the update if the employee changed since the client loaded it.
+        // A change saved after this check still fails on save, since the version is a concurrency token.
+        if (request.ExpectedVersion is not null &&
+            request.ExpectedVersion != EmployeeDto.VersionOf(employee.Version))
+        {
+            return EmployeeErrors.ConcurrencyConflict;
+        }
+
+        // Status changes need a reason and hand over reports, so they only go through ChangeEmployeeStatus
+        if (request.Status != employee.Status)
+        {
+            return EmployeeErrors.StatusChangeRequiresWorkflow;
+        }
+
         // Check for duplicate name (exclude current employee)
         var existingByName = await employeeRepository.GetByNameAsync(request.Name, cancellationToken);
         if (existingByName is not null && existingByName.Id != request.Id)
@@ -38,16 +52,11 @@ public class UpdateEmployeeCommandHandler(
             return EmployeeErrors.DuplicateEmail;
         }
 
-        var nameResult = employee.UpdateName(request.Name);
-        if (nameResult.IsError)
-        {
-            return nameResult.Errors;
-        }
-
-        var emailResult = employee.UpdateEmail(request.Email);
-        if (emailResult.IsError)
+        // Validate the whole update first, so a rejected one leaves neither the employee nor its reports half done
+        var validation = employee.ValidateUpdate(request.Name, request.Email, request.Position);
+        if (validation.IsError)
         {
-            return emailResult.Errors;
+            return validation.Errors;
         }
 
         var departmentResult = Department.Create(request.Department);
@@ -56,17 +65,24 @@ public class UpdateEmployeeCommandHandler(
             return departmentResult.Errors;
         }
 
+        var supervisorChanged = request.SupervisorId != employee.SupervisorId;
+        if (supervisorChanged)
+        {
+            var supervisorValidation = await hierarchyManager.ValidateSupervisorAsync(employee, request.SupervisorId);
+            if (supervisorValidation.IsError)
+            {
+                return supervisorValidation.Errors;
+            }
+        }
+
+        employee.UpdateName(request.Name);
+        employee.UpdateEmail(request.Email);
         employee.UpdateDepartment(departmentResult.Value);
         employee.UpdatePosition(request.Position);
-        employee.UpdateStatus(request.Status);
 
-        if (request.SupervisorId != employee.SupervisorId)
+        if (supervisorChanged)
         {
-            var supervisorResult = await hierarchyManager.AssignSupervisorAsync(employee, request.SupervisorId);
-            if (supervisorResult.IsError)
-            {
-                return supervisorResult.Errors;
-            }
+            employee.AssignSupervisor(request.SupervisorId);
         }
 
         await employeeRepository.UpdateAsync(employee, cancellationToken);
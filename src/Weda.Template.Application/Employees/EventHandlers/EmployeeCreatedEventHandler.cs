@@ -1,18 +1,20 @@
 using Mediator;
 using Microsoft.Extensions.Logging;
+using Weda.Core.Application.Interfaces.Messaging;
 using Weda.Template.Contracts.Employees.Events;
 using Weda.Template.Domain.Employees.Events;
 
 namespace Weda.Template.Application.Employees.EventHandlers;
 
 public class EmployeeCreatedEventHandler(
+    IJetStreamClientFactory clientFactory,
     ILogger<EmployeeCreatedEventHandler> logger)
     : INotificationHandler<EmployeeCreatedEvent>
 {
-    public ValueTask Handle(EmployeeCreatedEvent @event, CancellationToken cancellationToken)
+    public async ValueTask Handle(EmployeeCreatedEvent @event, CancellationToken cancellationToken)
     {
         var employee = @event.Employee;
-        var subject = EmployeeNatsSubjects.BuildCreatedEventSubject(employee.Id, "*");
+        var subject = EmployeeNatsSubjects.BuildCreatedEventSubject(employee.Id, EmployeeNatsSubjects.AllSubscribers);
 
         var natsEvent = new CreateEmployeeNatsEvent(
             employee.Name.Value,
@@ -22,6 +24,8 @@ public class EmployeeCreatedEventHandler(
 
         try
         {
+            await clientFactory.Create().PublishAsync(subject, natsEvent, cancellationToken);
+
             logger.LogInformation(
                 "Published CreateEmployeeNatsEvent for Employee {EmployeeId} to {Subject}",
                 employee.Id,
@@ -34,7 +38,5 @@ public class EmployeeCreatedEventHandler(
                 "Failed to publish CreateEmployeeNatsEvent for Employee {EmployeeId}. NATS may not be available.",
                 employee.Id);
         }
-
-        return ValueTask.CompletedTask;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,43 @@
+using Mediator;
+using Microsoft.Extensions.Logging;
+using Weda.Core.Application.Interfaces.Messaging;
+using Weda.Template.Contracts.Employees.Events;
+using Weda.Template.Domain.Employees.Events;
+
+namespace Weda.Template.Application.Employees.EventHandlers;
+
+public class EmployeeDeletedEventHandler(
+    IJetStreamClientFactory clientFactory,
+    ILogger<EmployeeDeletedEventHandler> logger)
+    : INotificationHandler<EmployeeDeletedEvent>
+{
+    public async ValueTask Handle(EmployeeDeletedEvent @event, CancellationToken cancellationToken)
+    {
+        var subject = EmployeeNatsSubjects.BuildEventSubject(
+            @event.EmployeeId,
+            EmployeeNatsSubjects.AllSubscribers,
+            EmployeeNatsSubjects.EventNames.Deleted);
+
+        var natsEvent = new EmployeeDeletedNatsEvent(
+            @event.EmployeeId,
+            @event.SupervisorId,
+            DateTime.UtcNow);
+
+        try
+        {
+            await clientFactory.Create().PublishAsync(subject, natsEvent, cancellationToken);
+
+            logger.LogInformation(
+                "Published EmployeeDeletedNatsEvent for Employee {EmployeeId} to {Subject}",
+                @event.EmployeeId,
+                subject);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(
+                ex,
+                "Failed to publish EmployeeDeletedNatsEvent for Employee {EmployeeId}. NATS may not be available.",
+                @event.EmployeeId);
+        }
+    }
+}
@@ -0,0 +1,47 @@
+using Mediator;
+using Microsoft.Extensions.Logging;
+using Weda.Core.Application.Interfaces.Messaging;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Contracts.Employees.Events;
+using Weda.Template.Domain.Employees.Events;
+
+namespace Weda.Template.Application.Employees.EventHandlers;
+
+public class EmployeeReparentedEventHandler(
+    IJetStreamClientFactory clientFactory,
+    ILogger<EmployeeReparentedEventHandler> logger)
+    : INotificationHandler<EmployeeReparentedEvent>
+{
+    public async ValueTask Handle(EmployeeReparentedEvent @event, CancellationToken cancellationToken)
+    {
+        var employee = @event.Employee;
+        var subject = EmployeeNatsSubjects.BuildEventSubject(
+            employee.Id,
+            EmployeeNatsSubjects.AllSubscribers,
+            EmployeeNatsSubjects.EventNames.Reparented);
+
+        var natsEvent = new EmployeeReparentedNatsEvent(
+            employee.Id,
+            @event.PreviousSupervisorId,
+            employee.SupervisorId,
+            employee.UpdatedAt ?? DateTime.UtcNow,
+            EmployeeDto.VersionOf(employee.Version));
+
+        try
+        {
+            await clientFactory.Create().PublishAsync(subject, natsEvent, cancellationToken);
+
+            logger.LogInformation(
+                "Published EmployeeReparentedNatsEvent for Employee {EmployeeId} to {Subject}",
+                employee.Id,
+                subject);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(
+                ex,
+                "Failed to publish EmployeeReparentedNatsEvent for Employee {EmployeeId}. NATS may not be available.",
+                employee.Id);
+        }
+    }
+}
@@ -0,0 +1,49 @@
+using Mediator;
+using Microsoft.Extensions.Logging;
+using Weda.Core.Application.Interfaces.Messaging;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Contracts.Employees.Events;
+using Weda.Template.Domain.Employees.Events;
+
+namespace Weda.Template.Application.Employees.EventHandlers;
+
+public class EmployeeStatusChangedEventHandler(
+    IJetStreamClientFactory clientFactory,
+    ILogger<EmployeeStatusChangedEventHandler> logger)
+    : INotificationHandler<EmployeeStatusChangedEvent>
+{
+    public async ValueTask Handle(EmployeeStatusChangedEvent @event, CancellationToken cancellationToken)
+    {
+        var employee = @event.Employee;
+        var subject = EmployeeNatsSubjects.BuildEventSubject(
+            employee.Id,
+            EmployeeNatsSubjects.AllSubscribers,
+            EmployeeNatsSubjects.EventNames.StatusChanged);
+
+        var natsEvent = new EmployeeStatusChangedNatsEvent(
+            employee.Id,
+            @event.PreviousStatus.ToString(),
+            employee.Status.ToString(),
+            employee.UpdatedAt ?? DateTime.UtcNow,
+            EmployeeDto.VersionOf(employee.Version),
+            @event.Reason,
+            @event.EffectiveDate);
+
+        try
+        {
+            await clientFactory.Create().PublishAsync(subject, natsEvent, cancellationToken);
+
+            logger.LogInformation(
+                "Published EmployeeStatusChangedNatsEvent for Employee {EmployeeId} to {Subject}",
+                employee.Id,
+                subject);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(
+                ex,
+                "Failed to publish EmployeeStatusChangedNatsEvent for Employee {EmployeeId}. NATS may not be available.",
+                employee.Id);
+        }
+    }
+}
@@ -0,0 +1,51 @@
+using Mediator;
+using Microsoft.Extensions.Logging;
+using Weda.Core.Application.Interfaces.Messaging;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Contracts.Employees.Events;
+using Weda.Template.Domain.Employees.Events;
+
+namespace Weda.Template.Application.Employees.EventHandlers;
+
+public class EmployeeUpdatedEventHandler(
+    IJetStreamClientFactory clientFactory,
+    ILogger<EmployeeUpdatedEventHandler> logger)
+    : INotificationHandler<EmployeeUpdatedEvent>
+{
+    public async ValueTask Handle(EmployeeUpdatedEvent @event, CancellationToken cancellationToken)
+    {
+        var employee = @event.Employee;
+        var subject = EmployeeNatsSubjects.BuildEventSubject(
+            employee.Id,
+            EmployeeNatsSubjects.AllSubscribers,
+            EmployeeNatsSubjects.EventNames.Updated);
+
+        var natsEvent = new EmployeeUpdatedNatsEvent(
+            employee.Id,
+            employee.Name.Value,
+            employee.Email.Value,
+            employee.Department.ToString(),
+            employee.Position,
+            employee.Status.ToString(),
+            employee.SupervisorId,
+            employee.UpdatedAt ?? DateTime.UtcNow,
+            EmployeeDto.VersionOf(employee.Version));
+
+        try
+        {
+            await clientFactory.Create().PublishAsync(subject, natsEvent, cancellationToken);
+
+            logger.LogInformation(
+                "Published EmployeeUpdatedNatsEvent for Employee {EmployeeId} to {Subject}",
+                employee.Id,
+                subject);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(
+                ex,
+                "Failed to publish EmployeeUpdatedNatsEvent for Employee {EmployeeId}. NATS may not be available.",
+                employee.Id);
+        }
+    }
+}
@@ -14,11 +14,18 @@ public static partial class EmployeeMapper
     [MapProperty(nameof(Employee.Email), nameof(EmployeeDto.Email), Use = nameof(MapEmail))]
     [MapProperty(nameof(Employee.Department), nameof(EmployeeDto.Department), Use = nameof(MapDepartment))]
     [MapProperty(nameof(Employee.Status), nameof(EmployeeDto.Status), Use = nameof(MapStatus))]
+    [MapProperty(nameof(Employee.Version), nameof(EmployeeDto.Version), Use = nameof(MapVersion))]
+    [MapperIgnoreTarget(nameof(EmployeeDto.SubordinateCount))]
     public static partial EmployeeDto ToDto(Employee employee);
 
     public static List<EmployeeDto> ToDtoList(IEnumerable<Employee> employees)
         => employees.Select(ToDto).ToList();
 
+    public static List<EmployeeDto> ToDtoList(IEnumerable<Employee> employees, IReadOnlyDictionary<int, int> subordinateCounts)
+        => employees
+            .Select(e => ToDto(e) with { SubordinateCount = subordinateCounts.GetValueOrDefault(e.Id) })
+            .ToList();
+
     private static string MapEmployeeName(EmployeeName name) => name.Value;
 
     private static string MapEmail(Email email) => email.Value;
@@ -26,4 +33,6 @@ public static partial class EmployeeMapper
     private static string MapDepartment(Department department) => department.Value;
 
     private static string MapStatus(EmployeeStatus status) => status.ToString();
+
+    private static string MapVersion(int version) => EmployeeDto.VersionOf(version);
 }
@@ -4,13 +4,22 @@ using Weda.Template.Application.Employees.Mapping;
 using Weda.Template.Contracts.Employees.Dtos;
 using Weda.Template.Contracts.Employees.Queries;
 using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
 
 namespace Weda.Template.Application.Employees.Queries.GetSubordinates;
 
-public class GetSubordinatesQueryHandler(EmployeeHierarchyManager hierarchyManager) : IRequestHandler<GetSubordinatesQuery, ErrorOr<List<EmployeeDto>>>
+public class GetSubordinatesQueryHandler(
+    EmployeeHierarchyManager hierarchyManager,
+    IEmployeeRepository employeeRepository) : IRequestHandler<GetSubordinatesQuery, ErrorOr<List<EmployeeDto>>>
 {
     public async ValueTask<ErrorOr<List<EmployeeDto>>> Handle(GetSubordinatesQuery request, CancellationToken cancellationToken)
     {
+        if (request.DirectOnly)
+        {
+            return await GetDirectReportsAsync(request.SupervisorId, cancellationToken);
+        }
+
         var subordinatesResult = await hierarchyManager.GetAllReportsAsync(request.SupervisorId);
 
         if (subordinatesResult.IsError)
@@ -20,4 +29,24 @@ public class GetSubordinatesQueryHandler(EmployeeHierarchyManager hierarchyManag
 
         return EmployeeMapper.ToDtoList(subordinatesResult.Value);
     }
+
+    // One level of the tree with each report's own report count, so clients can lazy-load subtrees
+    private async Task<ErrorOr<List<EmployeeDto>>> GetDirectReportsAsync(int supervisorId, CancellationToken cancellationToken)
+    {
+        var supervisor = await employeeRepository.GetByIdAsync(supervisorId, cancellationToken);
+        if (supervisor is null)
+        {
+            return EmployeeErrors.NotFound(supervisorId);
+        }
+
+        var directReports = (await employeeRepository.GetBySupervisorIdAsync(supervisorId, cancellationToken))
+            .OrderBy(e => e.Name.Value)
+            .ThenBy(e => e.Id)
+            .ToList();
+        var subordinateCounts = await employeeRepository.GetSubordinateCountsAsync(
+            directReports.Select(e => e.Id),
+            cancellationToken);
+
+        return EmployeeMapper.ToDtoList(directReports, subordinateCounts);
+    }
 }
@@ -0,0 +1,36 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Template.Application.Employees.Mapping;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Contracts.Employees.Queries;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Repositories;
+
+namespace Weda.Template.Application.Employees.Queries.ListAllEmployees;
+
+public class ListAllEmployeesQueryHandler(
+    IEmployeeRepository employeeRepository) : IRequestHandler<ListAllEmployeesQuery, ErrorOr<List<EmployeeDto>>>
+{
+    public async ValueTask<ErrorOr<List<EmployeeDto>>> Handle(ListAllEmployeesQuery request, CancellationToken cancellationToken)
+    {
+        // Read in the largest pages the list query allows; sorting by ID keeps pages stable while employees are added
+        var filter = new EmployeeListFilter(SortBy: EmployeeSortField.Id);
+        var employees = new List<EmployeeDto>();
+
+        for (var pageNumber = 1; ; pageNumber++)
+        {
+            var page = await employeeRepository.ListAsync(filter, pageNumber, ListEmployeesQuery.MaxPageSize, cancellationToken);
+            var subordinateCounts = await employeeRepository.GetSubordinateCountsAsync(
+                page.Items.Select(e => e.Id),
+                cancellationToken);
+            employees.AddRange(EmployeeMapper.ToDtoList(page.Items, subordinateCounts));
+
+            if (page.Items.Count == 0 || !page.HasNextPage)
+            {
+                return employees;
+            }
+        }
+    }
+}
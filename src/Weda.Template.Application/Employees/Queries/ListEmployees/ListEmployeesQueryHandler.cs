@@ -2,19 +2,61 @@ using ErrorOr;
 
 using Mediator;
 
+using Weda.Core.Domain;
 using Weda.Template.Application.Employees.Mapping;
 using Weda.Template.Contracts.Employees.Dtos;
 using Weda.Template.Contracts.Employees.Queries;
+using Weda.Template.Domain.Employees.Errors;
 using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
 
 namespace Weda.Template.Application.Employees.Queries.ListEmployees;
 
 public class ListEmployeesQueryHandler(
-    IEmployeeRepository employeeRepository) : IRequestHandler<ListEmployeesQuery, ErrorOr<List<EmployeeDto>>>
+    IEmployeeRepository employeeRepository) : IRequestHandler<ListEmployeesQuery, ErrorOr<PagedResult<EmployeeDto>>>
 {
-    public async ValueTask<ErrorOr<List<EmployeeDto>>> Handle(ListEmployeesQuery request, CancellationToken cancellationToken)
+    public async ValueTask<ErrorOr<PagedResult<EmployeeDto>>> Handle(ListEmployeesQuery request, CancellationToken cancellationToken)
     {
-        var employees = await employeeRepository.GetAllAsync(cancellationToken);
-        return EmployeeMapper.ToDtoList(employees);
+        if (request.Page < 1)
+        {
+            return EmployeeErrors.InvalidPage;
+        }
+
+        if (request.PageSize is < 1 or > ListEmployeesQuery.MaxPageSize)
+        {
+            return EmployeeErrors.InvalidPageSize(ListEmployeesQuery.MaxPageSize);
+        }
+
+        Department? department = null;
+        if (request.Department is not null)
+        {
+            var departmentResult = Department.Create(request.Department);
+            if (departmentResult.IsError)
+            {
+                return departmentResult.Errors;
+            }
+
+            department = departmentResult.Value;
+        }
+
+        var filter = new EmployeeListFilter(
+            string.IsNullOrWhiteSpace(request.Search) ? null : request.Search.Trim(),
+            department,
+            request.Status,
+            request.SupervisorId,
+            request.RootsOnly,
+            request.SortBy,
+            request.Descending);
+
+        var page = await employeeRepository.ListAsync(filter, request.Page, request.PageSize, cancellationToken);
+        var subordinateCounts = await employeeRepository.GetSubordinateCountsAsync(
+            page.Items.Select(e => e.Id),
+            cancellationToken);
+
+        return new PagedResult<EmployeeDto>(
+            EmployeeMapper.ToDtoList(page.Items, subordinateCounts),
+            page.Page,
+            page.PageSize,
+            page.TotalCount);
     }
 }
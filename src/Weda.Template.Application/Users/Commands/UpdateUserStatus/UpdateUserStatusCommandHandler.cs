@@ -0,0 +1,48 @@
+using ErrorOr;
+
+using Mediator;
+
+using Weda.Core.Application.Security;
+
+using Weda.Core.Application.Security.Models;
+using Weda.Template.Application.Users.Mapping;
+using Weda.Template.Contracts.Users.Commands;
+using Weda.Template.Contracts.Users.Dtos;
+using Weda.Template.Domain.Users.Errors;
+using Weda.Template.Domain.Users.Repositories;
+
+namespace Weda.Template.Application.Users.Commands.UpdateUserStatus;
+
+public class UpdateUserStatusCommandHandler(
+    IUserRepository userRepository,
+    ICurrentUserProvider currentUserProvider) : IRequestHandler<UpdateUserStatusCommand, ErrorOr<UserDto>>
+{
+    public async ValueTask<ErrorOr<UserDto>> Handle(UpdateUserStatusCommand request, CancellationToken cancellationToken)
+    {
+        var user = await userRepository.GetByIdAsync(request.Id, cancellationToken);
+        if (user is null)
+        {
+            return UserErrors.NotFound;
+        }
+
+        var currentUser = currentUserProvider.GetCurrentUser();
+
+        // Prevent locking yourself out
+        if (user.Id == currentUser.Id)
+        {
+            return UserErrors.CannotChangeOwnStatus;
+        }
+
+        // Prevent non-SuperAdmin from deactivating SuperAdmin
+        if (user.Roles.Contains(Role.SuperAdmin) && !currentUser.Roles.Contains(Role.SuperAdmin))
+        {
+            return UserErrors.CannotChangeSuperAdminStatus;
+        }
+
+        user.UpdateStatus(request.Status);
+
+        await userRepository.UpdateAsync(user, cancellationToken);
+
+        return UserMapper.ToDto(user);
+    }
+}
@@ -0,0 +1,7 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+
+namespace Weda.Template.Contracts.Auth.Commands;
+
+public record LogoutCommand(
+    string RefreshToken) : ICommand<ErrorOr<Success>>;
@@ -0,0 +1,4 @@
+namespace Weda.Template.Contracts.Auth.Requests;
+
+public record LogoutRequest(
+    string RefreshToken);
@@ -4,6 +4,7 @@ namespace Weda.Template.Contracts.Auth;
 
 public record AuthResponse(
     string Token,
+    string RefreshToken,
     Guid Id,
     string Name,
     string Email,
@@ -14,6 +15,7 @@ public class AuthResponseExample : IExamplesProvider<AuthResponse>
 {
     public AuthResponse GetExamples() => new(
         Token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+        RefreshToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
         Id: Guid.Parse("6DE4C12D-D70A-4C2F-88A3-E6DB8630AC5D"),
         Name: "John Doe",
         Email: "john.doe@example.com",
@@ -0,0 +1,21 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.Enums;
+
+namespace Weda.Template.Contracts.Employees.Commands;
+
+public record BatchEmployeesCommand(
+    IReadOnlyList<int> EmployeeIds,
+    BatchEmployeeAction Action,
+    int? SupervisorId = null,
+    string? Department = null,
+    EmployeeStatus? Status = null,
+    string? Reason = null,
+    DateTime? EffectiveDate = null,
+    OrphanPolicy OrphanPolicy = OrphanPolicy.ReassignToManager,
+    int? ReassignOrphansTo = null,
+    IReadOnlyList<string?>? ExpectedVersions = null) : ICommand<ErrorOr<BatchEmployeesResultDto>>
+{
+    public const int MaxEmployees = 500;
+}
@@ -0,0 +1,20 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Contracts.Employees.Dtos;
+
+namespace Weda.Template.Contracts.Employees.Commands;
+
+public record BulkCreateEmployeesCommand(
+    IReadOnlyList<BulkCreateEmployeeItem> Employees,
+    bool ValidateOnly = false) : ICommand<ErrorOr<BulkCreateEmployeesResultDto>>
+{
+    public const int MaxEmployees = 1000;
+}
+
+public record BulkCreateEmployeeItem(
+    string Name,
+    string Email,
+    string Department,
+    string Position,
+    DateTime? HireDate,
+    string? SupervisorEmail);
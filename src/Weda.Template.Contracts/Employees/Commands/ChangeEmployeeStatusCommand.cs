@@ -0,0 +1,14 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.Enums;
+
+namespace Weda.Template.Contracts.Employees.Commands;
+
+public record ChangeEmployeeStatusCommand(
+    int Id,
+    EmployeeStatus Status,
+    string? Reason,
+    DateTime? EffectiveDate,
+    int? ReassignSubordinatesTo,
+    string? ExpectedVersion = null) : ICommand<ErrorOr<EmployeeDto>>;
@@ -12,4 +12,5 @@ public record UpdateEmployeeCommand(
     string Department,
     string Position,
     EmployeeStatus Status,
-    int? SupervisorId) : ICommand<ErrorOr<EmployeeDto>>;
+    int? SupervisorId,
+    string? ExpectedVersion = null) : ICommand<ErrorOr<EmployeeDto>>;
@@ -0,0 +1,6 @@
+namespace Weda.Template.Contracts.Employees.Dtos;
+
+public record BatchEmployeesResultDto(
+    int Count,
+    List<EmployeeDto> Updated,
+    List<int> DeletedIds);
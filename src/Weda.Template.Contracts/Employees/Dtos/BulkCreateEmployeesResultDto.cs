@@ -0,0 +1,6 @@
+namespace Weda.Template.Contracts.Employees.Dtos;
+
+public record BulkCreateEmployeesResultDto(
+    int Count,
+    bool Committed,
+    List<EmployeeDto> Employees);
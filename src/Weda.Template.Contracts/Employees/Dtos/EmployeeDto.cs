@@ -1,3 +1,5 @@
+using System.Globalization;
+
 namespace Weda.Template.Contracts.Employees.Dtos;
 
 public record EmployeeDto(
@@ -10,4 +12,18 @@ public record EmployeeDto(
     string Status,
     int? SupervisorId,
     DateTime CreatedAt,
-    DateTime? UpdatedAt);
\ No newline at end of file
+    DateTime? UpdatedAt)
+{
+    /// <summary>
+    /// Number of direct reports, or null when the query did not count them.
+    /// </summary>
+    public int? SubordinateCount { get; init; }
+
+    /// <summary>
+    /// Concurrency token, sent as the ETag and expected back in If-Match.
+    /// </summary>
+    public string Version { get; init; } = string.Empty;
+
+    // The employee's version counter, which the database checks on every save
+    public static string VersionOf(int version) => version.ToString(CultureInfo.InvariantCulture);
+}
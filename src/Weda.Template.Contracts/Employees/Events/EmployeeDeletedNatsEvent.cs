@@ -0,0 +1,6 @@
+namespace Weda.Template.Contracts.Employees.Events;
+
+public record EmployeeDeletedNatsEvent(
+    int Id,
+    int? SupervisorId,
+    DateTime DeletedAt);
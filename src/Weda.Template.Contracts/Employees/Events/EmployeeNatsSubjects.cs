@@ -37,9 +37,56 @@ public static class EmployeeNatsSubjects
     // eco1j.weda.{id}.emp.*.event.updated
     public const string UpdatedEvent = $"{ProtoVer}.{GroupId}.*.{ServiceName}.*.event.updated";
 
+    // eco1j.weda.{id}.emp.*.event.deleted
+    public const string DeletedEvent = $"{ProtoVer}.{GroupId}.*.{ServiceName}.*.event.deleted";
+
+    // eco1j.weda.{id}.emp.*.event.reparented
+    public const string ReparentedEvent = $"{ProtoVer}.{GroupId}.*.{ServiceName}.*.event.reparented";
+
+    // eco1j.weda.{id}.emp.*.event.status
+    public const string StatusChangedEvent = $"{ProtoVer}.{GroupId}.*.{ServiceName}.*.event.status";
+
+    // Every employee event: eco1j.weda.{id}.emp.*.event.*
+    public const string AllEvents = $"{ProtoVer}.{GroupId}.*.{ServiceName}.*.event.*";
+
+    // Subscriber token for events meant for every listener (a published subject can't contain wildcards)
+    public const string AllSubscribers = "all";
+
+    /// <summary>
+    /// Last token of an employee event subject.
+    /// </summary>
+    public static class EventNames
+    {
+        public const string Created = "created";
+        public const string Updated = "updated";
+        public const string Deleted = "deleted";
+        public const string Reparented = "reparented";
+        public const string StatusChanged = "status";
+    }
+
     public static string BuildGetSubject(int employeeId, string requestor) =>
         $"{ProtoVer}.{GroupId}.{employeeId}.{requestor}.{ServiceName}.get";
 
     public static string BuildCreatedEventSubject(int employeeId, string subscriber) =>
-        $"{ProtoVer}.{GroupId}.{employeeId}.{ServiceName}.{subscriber}.event.created";
+        BuildEventSubject(employeeId, subscriber, EventNames.Created);
+
+    public static string BuildEventSubject(int employeeId, string subscriber, string eventName) =>
+        $"{ProtoVer}.{GroupId}.{employeeId}.{ServiceName}.{subscriber}.event.{eventName}";
+
+    /// <summary>
+    /// Reads the employee ID and event name back out of a subject built by <see cref="BuildEventSubject"/>.
+    /// </summary>
+    public static bool TryParseEventSubject(string subject, out int employeeId, out string eventName)
+    {
+        var tokens = subject.Split('.');
+        eventName = tokens.Length == 7 ? tokens[6] : string.Empty;
+        employeeId = 0;
+
+        return tokens.Length == 7 &&
+            tokens[0] == ProtoVer &&
+            tokens[1] == GroupId &&
+            tokens[3] == ServiceName &&
+            tokens[5] == "event" &&
+            int.TryParse(tokens[2], out employeeId);
+    }
 }
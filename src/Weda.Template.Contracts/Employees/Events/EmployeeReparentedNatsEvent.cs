@@ -0,0 +1,8 @@
+namespace Weda.Template.Contracts.Employees.Events;
+
+public record EmployeeReparentedNatsEvent(
+    int Id,
+    int? PreviousSupervisorId,
+    int? NewSupervisorId,
+    DateTime ChangedAt,
+    string Version);
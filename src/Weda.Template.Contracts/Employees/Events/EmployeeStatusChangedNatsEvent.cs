@@ -4,4 +4,7 @@ public record EmployeeStatusChangedNatsEvent(
     int Id,
     string PreviousStatus,
     string NewStatus,
-    DateTime ChangedAt);
+    DateTime ChangedAt,
+    string Version,
+    string? Reason = null,
+    DateTime? EffectiveDate = null);
@@ -0,0 +1,40 @@
+using Swashbuckle.AspNetCore.Filters;
+
+namespace Weda.Template.Contracts.Employees.Events;
+
+/// <summary>
+/// Published when an employee's details change; carries the full current state.
+/// </summary>
+/// <param name="Id">ID of the updated employee.</param>
+/// <param name="Name">Employee's full name.</param>
+/// <param name="Email">Employee's email address.</param>
+/// <param name="Department">Department the employee belongs to.</param>
+/// <param name="Position">Job title or position.</param>
+/// <param name="Status">Current employee status.</param>
+/// <param name="SupervisorId">ID of the direct supervisor, if any.</param>
+/// <param name="UpdatedAt">When the change was made.</param>
+/// <param name="Version">The employee's version after the change (its ETag for the next update).</param>
+public record EmployeeUpdatedNatsEvent(
+    int Id,
+    string Name,
+    string Email,
+    string Department,
+    string Position,
+    string Status,
+    int? SupervisorId,
+    DateTime UpdatedAt,
+    string Version);
+
+public class EmployeeUpdatedNatsEventExample : IExamplesProvider<EmployeeUpdatedNatsEvent>
+{
+    public EmployeeUpdatedNatsEvent GetExamples() => new(
+        Id: 1,
+        Name: "John Doe",
+        Email: "john.doe@example.com",
+        Department: "engineering",
+        Position: "Senior Software Engineer",
+        Status: "Active",
+        SupervisorId: 2,
+        UpdatedAt: new DateTime(2026, 1, 15, 9, 30, 0, DateTimeKind.Utc),
+        Version: "5");
+}
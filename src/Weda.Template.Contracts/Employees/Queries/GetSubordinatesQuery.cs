@@ -4,4 +4,4 @@ using Weda.Template.Contracts.Employees.Dtos;
 
 namespace Weda.Template.Contracts.Employees.Queries;
 
-public record GetSubordinatesQuery(int SupervisorId) : IQuery<ErrorOr<List<EmployeeDto>>>;
+public record GetSubordinatesQuery(int SupervisorId, bool DirectOnly = false) : IQuery<ErrorOr<List<EmployeeDto>>>;
@@ -0,0 +1,10 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Contracts.Employees.Dtos;
+
+namespace Weda.Template.Contracts.Employees.Queries;
+
+/// <summary>
+/// Every employee, ordered by ID, for callers that need the whole organization rather than one page.
+/// </summary>
+public record ListAllEmployeesQuery : IQuery<ErrorOr<List<EmployeeDto>>>;
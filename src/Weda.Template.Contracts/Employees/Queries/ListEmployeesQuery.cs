@@ -1,7 +1,22 @@
 using ErrorOr;
 using Weda.Core.Application.Interfaces;
+using Weda.Core.Domain;
 using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.Enums;
 
 namespace Weda.Template.Contracts.Employees.Queries;
 
-public record ListEmployeesQuery : IQuery<ErrorOr<List<EmployeeDto>>>;
+public record ListEmployeesQuery(
+    int Page = 1,
+    int PageSize = ListEmployeesQuery.DefaultPageSize,
+    string? Search = null,
+    string? Department = null,
+    EmployeeStatus? Status = null,
+    int? SupervisorId = null,
+    bool RootsOnly = false,
+    EmployeeSortField SortBy = EmployeeSortField.Name,
+    bool Descending = false) : IQuery<ErrorOr<PagedResult<EmployeeDto>>>
+{
+    public const int DefaultPageSize = 50;
+    public const int MaxPageSize = 500;
+}
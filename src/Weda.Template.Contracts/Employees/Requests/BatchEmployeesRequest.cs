@@ -0,0 +1,49 @@
+using Swashbuckle.AspNetCore.Filters;
+
+namespace Weda.Template.Contracts.Employees.Requests;
+
+/// <summary>
+/// Request to apply one action to several employees at once. Either every employee changes or none does.
+/// </summary>
+/// <param name="EmployeeIds">IDs of the selected employees.</param>
+/// <param name="Action">Move, ChangeDepartment, ChangeStatus or Delete.</param>
+/// <param name="SupervisorId">Move: the new supervisor, or null to make the employees top-level.</param>
+/// <param name="Department">ChangeDepartment: the new department.</param>
+/// <param name="Status">ChangeStatus: the new status (Active, OnLeave, Inactive).</param>
+/// <param name="Reason">ChangeStatus: why the status changes; required for OnLeave and Inactive.</param>
+/// <param name="EffectiveDate">ChangeStatus: date the change takes effect (today or earlier; defaults to today).</param>
+/// <param name="OrphanPolicy">
+/// Delete, or ChangeStatus to Inactive: where the direct reports go (ReassignToManager, ReassignTo, MakeTopLevel).
+/// Defaults to the closest manager above who stays.
+/// </param>
+/// <param name="ReassignOrphansTo">ID of the manager who takes over the direct reports, for ReassignTo.</param>
+/// <param name="Versions">
+/// Optional: the version of each selected employee as last read (Versions[i] for EmployeeIds[i]; null skips the check).
+/// If any of them changed since, nothing is applied and the response is 412 listing those employees.
+/// </param>
+public record BatchEmployeesRequest(
+    List<int> EmployeeIds,
+    string Action,
+    int? SupervisorId,
+    string? Department,
+    string? Status,
+    string? Reason,
+    DateTime? EffectiveDate,
+    string? OrphanPolicy,
+    int? ReassignOrphansTo,
+    List<string?>? Versions = null);
+
+public class BatchEmployeesRequestExample : IExamplesProvider<BatchEmployeesRequest>
+{
+    public BatchEmployeesRequest GetExamples() => new(
+        EmployeeIds: [2, 3],
+        Action: "Delete",
+        SupervisorId: null,
+        Department: null,
+        Status: null,
+        Reason: null,
+        EffectiveDate: null,
+        OrphanPolicy: "ReassignTo",
+        ReassignOrphansTo: 1,
+        Versions: ["4", "2"]);
+}
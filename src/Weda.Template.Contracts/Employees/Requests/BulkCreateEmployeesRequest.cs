@@ -0,0 +1,52 @@
+using Swashbuckle.AspNetCore.Filters;
+
+namespace Weda.Template.Contracts.Employees.Requests;
+
+/// <summary>
+/// Request to create many employees at once. Either every employee is created or none is.
+/// </summary>
+/// <param name="Employees">Employees to create, in any order.</param>
+/// <param name="ValidateOnly">Only validate the import (preview) without creating anything.</param>
+public record BulkCreateEmployeesRequest(
+    List<BulkCreateEmployeeRow> Employees,
+    bool ValidateOnly = false);
+
+/// <summary>
+/// One employee of a bulk import.
+/// </summary>
+/// <param name="Name">Employee's full name.</param>
+/// <param name="Email">Employee's email address.</param>
+/// <param name="Department">Department the employee belongs to.</param>
+/// <param name="Position">Job title or position.</param>
+/// <param name="HireDate">Date when the employee was hired (defaults to today).</param>
+/// <param name="SupervisorEmail">Email of the supervisor: an existing employee or another row of the import (optional).</param>
+public record BulkCreateEmployeeRow(
+    string Name,
+    string Email,
+    string Department,
+    string Position,
+    DateTime? HireDate,
+    string? SupervisorEmail);
+
+public class BulkCreateEmployeesRequestExample : IExamplesProvider<BulkCreateEmployeesRequest>
+{
+    public BulkCreateEmployeesRequest GetExamples() => new(
+        Employees:
+        [
+            new(
+                Name: "Jane Smith",
+                Email: "jane.smith@example.com",
+                Department: "Engineering",
+                Position: "Tech Lead",
+                HireDate: new DateTime(2023, 6, 1),
+                SupervisorEmail: null),
+            new(
+                Name: "John Doe",
+                Email: "john.doe@example.com",
+                Department: "Engineering",
+                Position: "Software Engineer",
+                HireDate: new DateTime(2024, 1, 15),
+                SupervisorEmail: "jane.smith@example.com"),
+        ],
+        ValidateOnly: true);
+}
@@ -0,0 +1,28 @@
+using Swashbuckle.AspNetCore.Filters;
+
+namespace Weda.Template.Contracts.Employees.Requests;
+
+/// <summary>
+/// Request to change an employee's status.
+/// </summary>
+/// <param name="Status">New status (Active, OnLeave, Inactive).</param>
+/// <param name="Reason">Why the status changes; required for OnLeave and Inactive.</param>
+/// <param name="EffectiveDate">Date the change takes effect (today or earlier; defaults to today).</param>
+/// <param name="ReassignSubordinatesTo">
+/// When becoming Inactive: ID of the manager who takes over the direct reports.
+/// Leave empty to move them to the employee's own manager.
+/// </param>
+public record ChangeEmployeeStatusRequest(
+    string Status,
+    string? Reason,
+    DateTime? EffectiveDate,
+    int? ReassignSubordinatesTo);
+
+public class ChangeEmployeeStatusRequestExample : IExamplesProvider<ChangeEmployeeStatusRequest>
+{
+    public ChangeEmployeeStatusRequest GetExamples() => new(
+        Status: "Inactive",
+        Reason: "Resigned",
+        EffectiveDate: new DateTime(2026, 3, 31),
+        ReassignSubordinatesTo: null);
+}
@@ -0,0 +1,23 @@
+namespace Weda.Template.Contracts.Employees;
+
+/// <summary>
+/// Result of a batch action.
+/// </summary>
+/// <param name="Count">Number of selected employees the action was applied to.</param>
+/// <param name="Updated">Every employee that changed: the selection, and reports that moved to a new supervisor.</param>
+/// <param name="DeletedIds">IDs of the deleted employees (Delete only).</param>
+public record BatchEmployeesResponse(
+    int Count,
+    IEnumerable<EmployeeResponse> Updated,
+    IEnumerable<int> DeletedIds);
+
+/// <summary>
+/// A selected employee that changed since the client read it, listed in the 412 of a batch action.
+/// </summary>
+/// <param name="Index">Position of the employee in the request's EmployeeIds.</param>
+/// <param name="EmployeeId">ID of the employee.</param>
+/// <param name="Current">The employee as it is now, or null when it was deleted in the meantime.</param>
+public record BatchEmployeeConflictResponse(
+    int Index,
+    int EmployeeId,
+    EmployeeResponse? Current);
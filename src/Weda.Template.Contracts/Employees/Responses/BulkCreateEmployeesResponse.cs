@@ -0,0 +1,12 @@
+namespace Weda.Template.Contracts.Employees;
+
+/// <summary>
+/// Result of a bulk import.
+/// </summary>
+/// <param name="Count">Number of employees validated or created.</param>
+/// <param name="Committed">False for a validate-only preview.</param>
+/// <param name="Employees">The created employees (empty for a preview).</param>
+public record BulkCreateEmployeesResponse(
+    int Count,
+    bool Committed,
+    IEnumerable<EmployeeResponse> Employees);
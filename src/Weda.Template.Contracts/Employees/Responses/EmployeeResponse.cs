@@ -1,4 +1,5 @@
 using Swashbuckle.AspNetCore.Filters;
+using Weda.Core.Domain;
 
 namespace Weda.Template.Contracts.Employees;
 
@@ -12,7 +13,9 @@ public record EmployeeResponse(
     string Status,
     int? SupervisorId,
     DateTime CreatedAt,
-    DateTime? UpdatedAt);
+    DateTime? UpdatedAt,
+    int? SubordinateCount = null,
+    string? Version = null);
 
 public class EmployeeResponseExample : IExamplesProvider<EmployeeResponse>
 {
@@ -57,3 +60,26 @@ public class EmployeeResponseListExample : IExamplesProvider<IEnumerable<Employe
             UpdatedAt: new DateTime(2024, 1, 10, 14, 30, 0)),
     ];
 }
+
+public class EmployeeResponsePageExample : IExamplesProvider<PagedResult<EmployeeResponse>>
+{
+    public PagedResult<EmployeeResponse> GetExamples() => new(
+        Items:
+        [
+            new(
+                Id: 2,
+                Name: "Jane Smith",
+                Email: "jane.smith@example.com",
+                Department: "Engineering",
+                Position: "Tech Lead",
+                HireDate: new DateTime(2023, 6, 1),
+                Status: "Active",
+                SupervisorId: null,
+                CreatedAt: new DateTime(2023, 6, 1, 9, 0, 0),
+                UpdatedAt: new DateTime(2024, 1, 10, 14, 30, 0),
+                SubordinateCount: 3),
+        ],
+        Page: 1,
+        PageSize: 50,
+        TotalCount: 1);
+}
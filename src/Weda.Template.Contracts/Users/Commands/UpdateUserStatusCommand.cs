@@ -0,0 +1,10 @@
+using ErrorOr;
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Contracts.Users.Dtos;
+using Weda.Template.Domain.Users.Enums;
+
+namespace Weda.Template.Contracts.Users.Commands;
+
+public record UpdateUserStatusCommand(
+    Guid Id,
+    UserStatus Status) : ICommand<ErrorOr<UserDto>>;
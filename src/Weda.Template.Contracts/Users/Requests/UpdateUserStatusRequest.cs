@@ -0,0 +1,4 @@
+namespace Weda.Template.Contracts.Users.Requests;
+
+public record UpdateUserStatusRequest(
+    string Status);
@@ -1,5 +1,6 @@
 using ErrorOr;
 using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
 using Weda.Template.Domain.Employees.Errors;
 using Weda.Template.Domain.Employees.Repositories;
 
@@ -12,23 +13,159 @@ public class EmployeeHierarchyManager(IEmployeeRepository employeeRepository)
 {
     public async Task<ErrorOr<Success>> AssignSupervisorAsync(Employee employee, int? supervisorId)
     {
-        if (supervisorId is null)
+        var validation = await ValidateSupervisorAsync(employee, supervisorId);
+        if (validation.IsError)
         {
-            return employee.AssignSupervisor(null);
+            return validation.Errors;
         }
 
-        var supervisor = await employeeRepository.GetByIdAsync(supervisorId.Value);
+        return employee.AssignSupervisor(supervisorId);
+    }
+
+    /// <summary>
+    /// Checks that a supervisor can be assigned to an employee, without assigning it.
+    /// </summary>
+    /// <param name="employee">The employee to move.</param>
+    /// <param name="supervisorId">The new supervisor, or null for no supervisor.</param>
+    /// <returns>Success or validation errors.</returns>
+    public async Task<ErrorOr<Success>> ValidateSupervisorAsync(Employee employee, int? supervisorId)
+    {
+        if (supervisorId is not null)
+        {
+            var supervisor = await employeeRepository.GetByIdAsync(supervisorId.Value);
+            if (supervisor is null)
+            {
+                return EmployeeErrors.SupervisorNotFound;
+            }
+
+            if (await WouldCreateCircularReferenceAsync(employee.Id, supervisorId.Value))
+            {
+                return EmployeeErrors.CircularSupervisorReference;
+            }
+        }
+
+        if (employee.Status == EmployeeStatus.Inactive)
+        {
+            return EmployeeErrors.CannotModifyInactiveEmployee;
+        }
+
+        return Result.Success;
+    }
+
+    /// <summary>
+    /// Moves the direct reports of a supervisor who is becoming inactive to a new supervisor.
+    /// The target is validated before anyone is moved. Reports that are already inactive stay
+    /// where they are, since inactive employees can't be modified.
+    /// </summary>
+    /// <param name="supervisor">The supervisor who is leaving.</param>
+    /// <param name="newSupervisorId">The manager to take over the reports, or null for no supervisor.</param>
+    /// <returns>The reassigned reports or validation errors.</returns>
+    public async Task<ErrorOr<IReadOnlyList<Employee>>> ReassignSubordinatesAsync(Employee supervisor, int? newSupervisorId)
+    {
+        if (newSupervisorId is not null)
+        {
+            var targetResult = await ValidateReassignmentTargetAsync([supervisor.Id], newSupervisorId.Value);
+            if (targetResult.IsError)
+            {
+                return targetResult.Errors;
+            }
+        }
+
+        var subordinates = (await employeeRepository.GetBySupervisorIdAsync(supervisor.Id))
+            .Where(subordinate => subordinate.Status != EmployeeStatus.Inactive)
+            .ToList();
+
+        foreach (var subordinate in subordinates)
+        {
+            var assignResult = subordinate.AssignSupervisor(newSupervisorId);
+            if (assignResult.IsError)
+            {
+                return assignResult.Errors;
+            }
+        }
+
+        return subordinates;
+    }
+
+    /// <summary>
+    /// Checks a manager who takes over the direct reports of one or more leaving employees.
+    /// </summary>
+    /// <param name="leavingIds">The employees who are leaving.</param>
+    /// <param name="newSupervisorId">The manager to take over their reports.</param>
+    /// <returns>Success or validation errors.</returns>
+    public async Task<ErrorOr<Success>> ValidateReassignmentTargetAsync(IReadOnlyCollection<int> leavingIds, int newSupervisorId)
+    {
+        var newSupervisor = await employeeRepository.GetByIdAsync(newSupervisorId);
+        if (newSupervisor is null)
+        {
+            return EmployeeErrors.SupervisorNotFound;
+        }
+
+        if (newSupervisor.Status == EmployeeStatus.Inactive)
+        {
+            return EmployeeErrors.ReassignmentTargetInactive;
+        }
+
+        // Reports can't go to a leaving supervisor or anywhere below one
+        if (leavingIds.Contains(newSupervisorId) || await IsBelowAnyAsync(newSupervisor, leavingIds))
+        {
+            return EmployeeErrors.InvalidReassignmentTarget;
+        }
+
+        return Result.Success;
+    }
+
+    /// <summary>
+    /// Checks that a group of employees can all be moved under one supervisor. Checking the group
+    /// as a whole also catches cycles that only appear once several of them have moved.
+    /// </summary>
+    /// <param name="employeeIds">The employees to move.</param>
+    /// <param name="supervisorId">Their new supervisor.</param>
+    /// <returns>Success or validation errors.</returns>
+    public async Task<ErrorOr<Success>> ValidateGroupMoveAsync(IReadOnlyCollection<int> employeeIds, int supervisorId)
+    {
+        var supervisor = await employeeRepository.GetByIdAsync(supervisorId);
         if (supervisor is null)
         {
             return EmployeeErrors.SupervisorNotFound;
         }
 
-        if (await WouldCreateCircularReferenceAsync(employee.Id, supervisorId.Value))
+        if (employeeIds.Contains(supervisorId))
+        {
+            return EmployeeErrors.CannotBeSelfSupervisor;
+        }
+
+        if (await IsBelowAnyAsync(supervisor, employeeIds))
         {
             return EmployeeErrors.CircularSupervisorReference;
         }
 
-        return employee.AssignSupervisor(supervisorId);
+        return Result.Success;
+    }
+
+    /// <summary>
+    /// Finds the closest manager above an employee who isn't leaving as well.
+    /// </summary>
+    /// <param name="employee">The leaving employee.</param>
+    /// <param name="leavingIds">Everyone who is leaving.</param>
+    /// <returns>That manager, or null when there is no one above who stays.</returns>
+    public async Task<Employee?> GetNearestRemainingManagerAsync(Employee employee, IReadOnlyCollection<int> leavingIds)
+    {
+        var visited = new HashSet<int> { employee.Id };
+        var supervisorId = employee.SupervisorId;
+
+        while (supervisorId is { } id && visited.Add(id))
+        {
+            var supervisor = await employeeRepository.GetByIdAsync(id);
+            if (supervisor is null || !leavingIds.Contains(id))
+            {
+                return supervisor;
+            }
+
+            supervisorId = supervisor.SupervisorId;
+        }
+
+        return null;
     }
 
     public async Task<ErrorOr<IReadOnlyList<Employee>>> GetManagementChainAsync(int employeeId)
@@ -89,6 +226,25 @@ public class EmployeeHierarchyManager(IEmployeeRepository employeeRepository)
         return allReports;
     }
 
+    // Whether one of the given employees is anywhere in the employee's management chain
+    private async Task<bool> IsBelowAnyAsync(Employee employee, IReadOnlyCollection<int> supervisorIds)
+    {
+        var visited = new HashSet<int> { employee.Id };
+        var supervisorId = employee.SupervisorId;
+
+        while (supervisorId is { } id && visited.Add(id))
+        {
+            if (supervisorIds.Contains(id))
+            {
+                return true;
+            }
+
+            supervisorId = (await employeeRepository.GetByIdAsync(id))?.SupervisorId;
+        }
+
+        return false;
+    }
+
     private async Task<bool> WouldCreateCircularReferenceAsync(int employeeId, int potentialSupervisorId)
     {
         var currentId = potentialSupervisorId;
@@ -13,6 +13,16 @@ namespace Weda.Template.Domain.Employees.Entities;
 /// </summary>
 public class Employee : AggregateRoot<int>
 {
+    /// <summary>
+    /// Maximum length of the reason given for a status change.
+    /// </summary>
+    public const int MaxStatusReasonLength = 500;
+
+    /// <summary>
+    /// Maximum length of <see cref="SearchText"/>: name, email, position (up to 100) and department with separators.
+    /// </summary>
+    public const int MaxSearchTextLength = EmployeeName.MaxLength + Email.MaxLength + 100 + Department.MaxLength + 3;
+
     /// <summary>
     /// Gets the employee's full name.
     /// </summary>
@@ -59,6 +69,18 @@ public class Employee : AggregateRoot<int>
     /// </summary>
     public DateTime? UpdatedAt { get; private set; }
 
+    /// <summary>
+    /// Gets the concurrency token: a counter that moves on with every change, so a save based on an
+    /// older read of the employee fails instead of overwriting what changed since.
+    /// </summary>
+    public int Version { get; private set; }
+
+    /// <summary>
+    /// Gets the name, email, position and department in lower case, one per line.
+    /// Stored as a plain string column so every database provider can search it with a substring match.
+    /// </summary>
+    public string SearchText { get; private set; }
+
     private Employee(
         EmployeeName name,
         Email email,
@@ -76,6 +98,7 @@ public class Employee : AggregateRoot<int>
         SupervisorId = supervisorId;
         Status = EmployeeStatus.Active;
         CreatedAt = createdAt;
+        SearchText = BuildSearchText();
     }
 
     /// <summary>
@@ -110,14 +133,10 @@ public class Employee : AggregateRoot<int>
             return emailResult.Errors;
         }
 
-        if (string.IsNullOrWhiteSpace(position))
-        {
-            return EmployeeErrors.EmptyPosition;
-        }
-
-        if (position.Trim().Length > 100)
+        var positionResult = ValidatePosition(position);
+        if (positionResult.IsError)
         {
-            return EmployeeErrors.PositionTooLong;
+            return positionResult.Errors;
         }
 
         var employee = new Employee(
@@ -134,6 +153,36 @@ public class Employee : AggregateRoot<int>
         return employee;
     }
 
+    /// <summary>
+    /// Checks the details of an update without changing anything, so callers can validate a whole
+    /// update before applying any part of it.
+    /// </summary>
+    /// <param name="newName">The new name for the employee.</param>
+    /// <param name="newEmail">The new email address for the employee.</param>
+    /// <param name="newPosition">The new position/title for the employee.</param>
+    /// <returns>Success or validation errors.</returns>
+    public ErrorOr<Success> ValidateUpdate(string newName, string newEmail, string newPosition)
+    {
+        if (Status == EmployeeStatus.Inactive)
+        {
+            return EmployeeErrors.CannotModifyInactiveEmployee;
+        }
+
+        var nameResult = EmployeeName.Create(newName);
+        if (nameResult.IsError)
+        {
+            return nameResult.Errors;
+        }
+
+        var emailResult = Email.Create(newEmail);
+        if (emailResult.IsError)
+        {
+            return emailResult.Errors;
+        }
+
+        return ValidatePosition(newPosition);
+    }
+
     /// <summary>
     /// Updates the employee's name.
     /// </summary>
@@ -152,8 +201,14 @@ public class Employee : AggregateRoot<int>
             return nameResult.Errors;
         }
 
+        if (!Name.Equals(nameResult.Value))
+        {
+            RaiseUpdatedEvent();
+        }
+
         Name = nameResult.Value;
-        UpdatedAt = DateTime.UtcNow;
+        SearchText = BuildSearchText();
+        Touch();
         return Result.Success;
     }
 
@@ -175,8 +230,14 @@ public class Employee : AggregateRoot<int>
             return emailResult.Errors;
         }
 
+        if (!Email.Equals(emailResult.Value))
+        {
+            RaiseUpdatedEvent();
+        }
+
         Email = emailResult.Value;
-        UpdatedAt = DateTime.UtcNow;
+        SearchText = BuildSearchText();
+        Touch();
         return Result.Success;
     }
 
@@ -192,8 +253,14 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotModifyInactiveEmployee;
         }
 
+        if (!Department.Equals(newDepartment))
+        {
+            RaiseUpdatedEvent();
+        }
+
         Department = newDepartment;
-        UpdatedAt = DateTime.UtcNow;
+        SearchText = BuildSearchText();
+        Touch();
         return Result.Success;
     }
 
@@ -209,18 +276,20 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotModifyInactiveEmployee;
         }
 
-        if (string.IsNullOrWhiteSpace(newPosition))
+        var positionResult = ValidatePosition(newPosition);
+        if (positionResult.IsError)
         {
-            return EmployeeErrors.EmptyPosition;
+            return positionResult.Errors;
         }
 
-        if (newPosition.Trim().Length > 100)
+        if (Position != newPosition.Trim())
         {
-            return EmployeeErrors.PositionTooLong;
+            RaiseUpdatedEvent();
         }
 
         Position = newPosition.Trim();
-        UpdatedAt = DateTime.UtcNow;
+        SearchText = BuildSearchText();
+        Touch();
         return Result.Success;
     }
 
@@ -241,8 +310,13 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotBeSelfSupervisor;
         }
 
+        if (SupervisorId != supervisorId && !IsUnsaved)
+        {
+            RaiseDomainEvent(new EmployeeReparentedEvent(this, SupervisorId));
+        }
+
         SupervisorId = supervisorId;
-        UpdatedAt = DateTime.UtcNow;
+        Touch();
 
         return Result.Success;
     }
@@ -259,8 +333,7 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotModifyInactiveEmployee;
         }
 
-        Status = newStatus;
-        UpdatedAt = DateTime.UtcNow;
+        SetStatus(newStatus);
         return Result.Success;
     }
 
@@ -275,8 +348,7 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotModifyInactiveEmployee;
         }
 
-        Status = EmployeeStatus.OnLeave;
-        UpdatedAt = DateTime.UtcNow;
+        SetStatus(EmployeeStatus.OnLeave);
         return Result.Success;
     }
 
@@ -296,8 +368,7 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.CannotModifyInactiveEmployee;
         }
 
-        Status = EmployeeStatus.Active;
-        UpdatedAt = DateTime.UtcNow;
+        SetStatus(EmployeeStatus.Active);
         return Result.Success;
     }
 
@@ -312,16 +383,134 @@ public class Employee : AggregateRoot<int>
             return EmployeeErrors.AlreadyInactive;
         }
 
-        Status = EmployeeStatus.Inactive;
-        UpdatedAt = DateTime.UtcNow;
+        SetStatus(EmployeeStatus.Inactive);
         return Result.Success;
     }
 
+    /// <summary>
+    /// Checks whether the status workflow allows moving to a new status.
+    /// Active and OnLeave can move to any other status; Inactive can only return to Active.
+    /// </summary>
+    /// <param name="newStatus">The status to move to.</param>
+    /// <param name="reason">Why the status changes; required for OnLeave and Inactive.</param>
+    /// <param name="effectiveDate">The date the change takes effect; today or earlier.</param>
+    /// <returns>Success or validation errors.</returns>
+    public ErrorOr<Success> ValidateStatusChange(EmployeeStatus newStatus, string? reason, DateTime effectiveDate)
+    {
+        if (newStatus == Status)
+        {
+            return Status switch
+            {
+                EmployeeStatus.Active => EmployeeErrors.AlreadyActive,
+                EmployeeStatus.OnLeave => EmployeeErrors.AlreadyOnLeave,
+                _ => EmployeeErrors.AlreadyInactive,
+            };
+        }
+
+        if (Status == EmployeeStatus.Inactive && newStatus != EmployeeStatus.Active)
+        {
+            return EmployeeErrors.CannotModifyInactiveEmployee;
+        }
+
+        if (newStatus != EmployeeStatus.Active && string.IsNullOrWhiteSpace(reason))
+        {
+            return EmployeeErrors.StatusReasonRequired;
+        }
+
+        if (reason?.Trim().Length > MaxStatusReasonLength)
+        {
+            return EmployeeErrors.StatusReasonTooLong(MaxStatusReasonLength);
+        }
+
+        if (effectiveDate.Date > DateTime.UtcNow.Date)
+        {
+            return EmployeeErrors.EffectiveDateInFuture;
+        }
+
+        return Result.Success;
+    }
+
+    /// <summary>
+    /// Moves the employee to a new status through the status workflow, recording why and from when.
+    /// </summary>
+    /// <param name="newStatus">The status to move to.</param>
+    /// <param name="reason">Why the status changes; required for OnLeave and Inactive.</param>
+    /// <param name="effectiveDate">The date the change takes effect; today or earlier.</param>
+    /// <returns>Success or validation errors.</returns>
+    public ErrorOr<Success> ChangeStatus(EmployeeStatus newStatus, string? reason, DateTime effectiveDate)
+    {
+        var validation = ValidateStatusChange(newStatus, reason, effectiveDate);
+        if (validation.IsError)
+        {
+            return validation.Errors;
+        }
+
+        SetStatus(newStatus, string.IsNullOrWhiteSpace(reason) ? null : reason.Trim(), effectiveDate.Date);
+        return Result.Success;
+    }
+
+    /// <summary>
+    /// Marks the employee as deleted so the deletion is announced once it is saved.
+    /// Call this before removing the employee from the repository.
+    /// </summary>
+    public void Delete()
+    {
+        RaiseDomainEvent(new EmployeeDeletedEvent(Id, SupervisorId));
+    }
+
+    private static ErrorOr<Success> ValidatePosition(string position)
+    {
+        if (string.IsNullOrWhiteSpace(position))
+        {
+            return EmployeeErrors.EmptyPosition;
+        }
+
+        if (position.Trim().Length > 100)
+        {
+            return EmployeeErrors.PositionTooLong;
+        }
+
+        return Result.Success;
+    }
+
+    private void SetStatus(EmployeeStatus newStatus, string? reason = null, DateTime? effectiveDate = null)
+    {
+        if (Status != newStatus && !IsUnsaved)
+        {
+            RaiseDomainEvent(new EmployeeStatusChangedEvent(this, Status, reason, effectiveDate));
+        }
+
+        Status = newStatus;
+        Touch();
+    }
+
+    private void Touch()
+    {
+        UpdatedAt = DateTime.UtcNow;
+        Version++;
+    }
+
+    // Changes made before the employee is first saved are part of its EmployeeCreatedEvent
+    private bool IsUnsaved => HasDomainEvent<EmployeeCreatedEvent>();
+
+    private string BuildSearchText() =>
+        string.Join('\n', Name.Value, Email.Value, Position, Department.Value).ToLowerInvariant();
+
+    // One event per save, however many fields a single update touches
+    private void RaiseUpdatedEvent()
+    {
+        if (!IsUnsaved && !HasDomainEvent<EmployeeUpdatedEvent>())
+        {
+            RaiseDomainEvent(new EmployeeUpdatedEvent(this));
+        }
+    }
+
     private Employee()
     {
         Name = null!;
         Email = null!;
         Department = null!;
         Position = null!;
+        SearchText = null!;
     }
 }
@@ -0,0 +1,12 @@
+namespace Weda.Template.Domain.Employees.Enums;
+
+/// <summary>
+/// Actions that can be applied to a selection of employees at once.
+/// </summary>
+public enum BatchEmployeeAction
+{
+    Move = 0,
+    ChangeDepartment = 1,
+    ChangeStatus = 2,
+    Delete = 3,
+}
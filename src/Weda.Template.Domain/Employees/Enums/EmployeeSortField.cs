@@ -0,0 +1,13 @@
+namespace Weda.Template.Domain.Employees.Enums;
+
+/// <summary>
+/// Fields an employee list can be sorted by.
+/// </summary>
+public enum EmployeeSortField
+{
+    Name = 0,
+    Department = 1,
+    Position = 2,
+    HireDate = 3,
+    Id = 4,
+}
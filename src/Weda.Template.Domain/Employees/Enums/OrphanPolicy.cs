@@ -0,0 +1,22 @@
+namespace Weda.Template.Domain.Employees.Enums;
+
+/// <summary>
+/// Where the direct reports go when their supervisor is deleted or becomes inactive.
+/// </summary>
+public enum OrphanPolicy
+{
+    /// <summary>
+    /// To the closest manager above the supervisor who stays.
+    /// </summary>
+    ReassignToManager = 0,
+
+    /// <summary>
+    /// To a chosen manager.
+    /// </summary>
+    ReassignTo = 1,
+
+    /// <summary>
+    /// Nowhere: the reports become top-level employees.
+    /// </summary>
+    MakeTopLevel = 2,
+}
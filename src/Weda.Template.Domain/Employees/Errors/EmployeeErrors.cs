@@ -16,6 +16,15 @@ public static class EmployeeErrors
         code: "Employee.SupervisorNotFound",
         description: "The specified supervisor was not found.");
 
+    // Validation Errors - Paging
+    public static readonly Error InvalidPage = Error.Validation(
+        code: "Employee.InvalidPage",
+        description: "Page must be 1 or greater.");
+
+    public static Error InvalidPageSize(int maxPageSize) => Error.Validation(
+        code: "Employee.InvalidPageSize",
+        description: $"Page size must be between 1 and {maxPageSize}.");
+
     // Validation Errors - Name
     public static readonly Error EmptyName = Error.Validation(
         code: "Employee.EmptyName",
@@ -88,4 +97,86 @@ public static class EmployeeErrors
     public static readonly Error HasSubordinates = Error.Conflict(
         code: "Employee.HasSubordinates",
         description: "Cannot delete an employee who has subordinates. Please reassign or remove subordinates first.");
+
+    // Concurrency Errors
+    public static readonly Error ConcurrencyConflict = Error.Conflict(
+        code: "Employee.ConcurrencyConflict",
+        description: "The employee was changed by someone else since it was loaded.");
+
+    // One per changed employee of a batch: where it is in the request and which employee it is
+    public static Error BatchConcurrencyConflict(int index, int id) => Error.Conflict(
+        code: ConcurrencyConflict.Code,
+        description: $"The employee with the ID {id} was changed by someone else since it was loaded.",
+        metadata: new Dictionary<string, object> { ["index"] = index, ["employeeId"] = id });
+
+    // Status Workflow Errors
+    public static readonly Error AlreadyOnLeave = Error.Conflict(
+        code: "Employee.AlreadyOnLeave",
+        description: "The employee is already on leave.");
+
+    public static readonly Error StatusReasonRequired = Error.Validation(
+        code: "Employee.StatusReasonRequired",
+        description: "A reason is required when an employee goes on leave or becomes inactive.");
+
+    public static Error StatusReasonTooLong(int maxLength) => Error.Validation(
+        code: "Employee.StatusReasonTooLong",
+        description: $"The status change reason cannot exceed {maxLength} characters.");
+
+    public static readonly Error StatusChangeRequiresWorkflow = Error.Validation(
+        code: "Employee.StatusChangeRequiresWorkflow",
+        description: "The status cannot be changed by an update; use the status change (PUT employees/{id}/status) with a reason.");
+
+    public static readonly Error EffectiveDateInFuture = Error.Validation(
+        code: "Employee.EffectiveDateInFuture",
+        description: "The effective date of a status change cannot be in the future.");
+
+    public static readonly Error InvalidReassignmentTarget = Error.Validation(
+        code: "Employee.InvalidReassignmentTarget",
+        description: "Subordinates cannot be reassigned to the employee who is leaving or to one of their reports.");
+
+    public static readonly Error ReassignmentTargetInactive = Error.Validation(
+        code: "Employee.ReassignmentTargetInactive",
+        description: "Subordinates cannot be reassigned to an inactive employee.");
+
+    // Bulk Import Errors
+    public static readonly Error EmptyImport = Error.Validation(
+        code: "Employee.EmptyImport",
+        description: "The import does not contain any employees.");
+
+    public static Error ImportTooLarge(int maxRows) => Error.Validation(
+        code: "Employee.ImportTooLarge",
+        description: $"An import can contain at most {maxRows} employees.");
+
+    public static Error DuplicateEmailInImport(int firstRow) => Error.Validation(
+        code: "Employee.DuplicateEmailInImport",
+        description: $"This email is already used by row {firstRow} of the import.");
+
+    public static Error DuplicateNameInImport(int firstRow) => Error.Validation(
+        code: "Employee.DuplicateNameInImport",
+        description: $"This name is already used by row {firstRow} of the import.");
+
+    public static Error UnknownSupervisor(string supervisorEmail) => Error.Validation(
+        code: "Employee.UnknownSupervisor",
+        description: $"Supervisor '{supervisorEmail}' is neither an existing employee nor part of the import.");
+
+    // Batch Errors
+    public static readonly Error EmptyBatch = Error.Validation(
+        code: "Employee.EmptyBatch",
+        description: "Select at least one employee.");
+
+    public static Error BatchTooLarge(int maxEmployees) => Error.Validation(
+        code: "Employee.BatchTooLarge",
+        description: $"A batch can contain at most {maxEmployees} employees.");
+
+    public static readonly Error StatusRequired = Error.Validation(
+        code: "Employee.StatusRequired",
+        description: "A status is required to change the status.");
+
+    public static readonly Error ReassignmentTargetRequired = Error.Validation(
+        code: "Employee.ReassignmentTargetRequired",
+        description: "Choose the manager who takes over the direct reports.");
+
+    public static readonly Error HasInactiveSubordinates = Error.Validation(
+        code: "Employee.HasInactiveSubordinates",
+        description: "Cannot delete an employee with inactive subordinates, since inactive employees cannot be reassigned.");
 }
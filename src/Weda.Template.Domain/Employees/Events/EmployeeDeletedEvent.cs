@@ -0,0 +1,9 @@
+using Weda.Core.Domain;
+
+namespace Weda.Template.Domain.Employees.Events;
+
+/// <summary>
+/// Domain event raised when an employee is deleted.
+/// Carries the IDs rather than the entity, which no longer exists once the event is handled.
+/// </summary>
+public record EmployeeDeletedEvent(int EmployeeId, int? SupervisorId) : IDomainEvent;
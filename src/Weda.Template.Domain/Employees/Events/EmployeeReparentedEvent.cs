@@ -0,0 +1,9 @@
+using Weda.Core.Domain;
+using Weda.Template.Domain.Employees.Entities;
+
+namespace Weda.Template.Domain.Employees.Events;
+
+/// <summary>
+/// Domain event raised when an employee is moved to a different supervisor.
+/// </summary>
+public record EmployeeReparentedEvent(Employee Employee, int? PreviousSupervisorId) : IDomainEvent;
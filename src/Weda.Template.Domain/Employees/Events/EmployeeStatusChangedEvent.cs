@@ -0,0 +1,15 @@
+using Weda.Core.Domain;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+
+namespace Weda.Template.Domain.Employees.Events;
+
+/// <summary>
+/// Domain event raised when an employee's status changes.
+/// Reason and effective date are set when the change goes through the status workflow.
+/// </summary>
+public record EmployeeStatusChangedEvent(
+    Employee Employee,
+    EmployeeStatus PreviousStatus,
+    string? Reason = null,
+    DateTime? EffectiveDate = null) : IDomainEvent;
@@ -0,0 +1,10 @@
+using Weda.Core.Domain;
+using Weda.Template.Domain.Employees.Entities;
+
+namespace Weda.Template.Domain.Employees.Events;
+
+/// <summary>
+/// Domain event raised when an employee's details (name, email, department or position) change.
+/// Raised at most once per save, however many fields were changed.
+/// </summary>
+public record EmployeeUpdatedEvent(Employee Employee) : IDomainEvent;
@@ -0,0 +1,23 @@
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.Domain.Employees.Repositories;
+
+/// <summary>
+/// Filtering and sorting options for listing employees.
+/// </summary>
+/// <param name="Search">Case-insensitive text matched against name, email, position and department.</param>
+/// <param name="Department">Only employees in this department.</param>
+/// <param name="Status">Only employees with this status.</param>
+/// <param name="SupervisorId">Only direct reports of this supervisor.</param>
+/// <param name="RootsOnly">Only employees without a supervisor (top of the org chart).</param>
+/// <param name="SortBy">Sort field; ties are broken by ID so paging is stable.</param>
+/// <param name="Descending">Sort descending instead of ascending.</param>
+public record EmployeeListFilter(
+    string? Search = null,
+    Department? Department = null,
+    EmployeeStatus? Status = null,
+    int? SupervisorId = null,
+    bool RootsOnly = false,
+    EmployeeSortField SortBy = EmployeeSortField.Name,
+    bool Descending = false);
@@ -24,6 +24,22 @@ public interface IEmployeeRepository : IRepository<Employee, int>
     /// <returns>The employee if found, otherwise null.</returns>
     Task<Employee?> GetByNameAsync(string name, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Finds the employees with any of the given email addresses.
+    /// </summary>
+    /// <param name="emails">The email addresses to search for; invalid ones are ignored.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The matching employees.</returns>
+    Task<List<Employee>> GetByEmailsAsync(IEnumerable<string> emails, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Finds the employees with any of the given names.
+    /// </summary>
+    /// <param name="names">The names to search for; invalid ones are ignored.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The matching employees.</returns>
+    Task<List<Employee>> GetByNamesAsync(IEnumerable<string> names, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Gets all employees who report to a specific supervisor.
     /// </summary>
@@ -31,4 +47,22 @@ public interface IEmployeeRepository : IRepository<Employee, int>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>List of employees reporting to the supervisor.</returns>
     Task<List<Employee>> GetBySupervisorIdAsync(int supervisorId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets one page of employees matching a filter.
+    /// </summary>
+    /// <param name="filter">Filtering and sorting options.</param>
+    /// <param name="page">1-based page number.</param>
+    /// <param name="pageSize">Maximum number of employees per page.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The requested page and the total number of matches.</returns>
+    Task<PagedResult<Employee>> ListAsync(EmployeeListFilter filter, int page, int pageSize, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Counts the direct reports of each given supervisor.
+    /// </summary>
+    /// <param name="supervisorIds">The supervisors' IDs.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Direct report count per supervisor ID; supervisors without reports are omitted.</returns>
+    Task<Dictionary<int, int>> GetSubordinateCountsAsync(IEnumerable<int> supervisorIds, CancellationToken cancellationToken = default);
 }
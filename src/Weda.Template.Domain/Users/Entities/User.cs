@@ -11,6 +11,11 @@ namespace Weda.Template.Domain.Users.Entities;
 
 public class User : AggregateRoot<Guid>
 {
+    /// <summary>
+    /// Login sessions kept per user; logging in beyond this ends the oldest session's refresh token.
+    /// </summary>
+    public const int MaxRefreshTokenSessions = 10;
+
     public UserEmail Email { get; private set; } = null!;
     public PasswordHash PasswordHash { get; private set; } = null!;
     public string Name { get; private set; } = null!;
@@ -22,6 +27,9 @@ public class User : AggregateRoot<Guid>
     private readonly List<string> _permissions = [];
     public IReadOnlyList<string> Permissions => _permissions.AsReadOnly();
 
+    // The refresh token currently valid for each login session, as "familyId:tokenId", oldest first
+    private readonly List<string> _refreshTokens = [];
+
     public DateTime CreatedAt { get; private init; }
     public DateTime? UpdatedAt { get; private set; }
     public DateTime? LastLoginAt { get; private set; }
@@ -147,6 +155,36 @@ public class User : AggregateRoot<Guid>
         LastLoginAt = DateTime.UtcNow;
     }
 
+    /// <summary>
+    /// Issues the next refresh token of a login session (a new session for a new family id),
+    /// replacing the session's previous token. Returns the new token id.
+    /// </summary>
+    public Guid RotateRefreshToken(Guid familyId)
+    {
+        var tokenId = Guid.NewGuid();
+        RevokeRefreshTokenFamily(familyId);
+        _refreshTokens.Add(RefreshTokenEntry(familyId, tokenId));
+        if (_refreshTokens.Count > MaxRefreshTokenSessions)
+        {
+            _refreshTokens.RemoveAt(0);
+        }
+
+        return tokenId;
+    }
+
+    public bool IsCurrentRefreshToken(Guid familyId, Guid tokenId) =>
+        _refreshTokens.Contains(RefreshTokenEntry(familyId, tokenId));
+
+    /// <summary>
+    /// Ends a login session: none of its refresh tokens can be used any more.
+    /// </summary>
+    public void RevokeRefreshTokenFamily(Guid familyId)
+    {
+        _refreshTokens.RemoveAll(entry => entry.StartsWith($"{familyId:N}:", StringComparison.Ordinal));
+    }
+
+    private static string RefreshTokenEntry(Guid familyId, Guid tokenId) => $"{familyId:N}:{tokenId:N}";
+
     private User()
     {
     }
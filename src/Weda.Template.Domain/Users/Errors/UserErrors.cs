@@ -64,6 +64,10 @@ public static class UserErrors
         code: "User.AccountNotActive",
         description: "This account is not active.");
 
+    public static readonly Error InvalidRefreshToken = Error.Unauthorized(
+        code: "User.InvalidRefreshToken",
+        description: "The refresh token is invalid or expired.");
+
     public static readonly Error DuplicateEmail = Error.Conflict(
         code: "User.DuplicateEmail",
         description: "A user with this email address already exists.");
@@ -71,4 +75,12 @@ public static class UserErrors
     public static readonly Error CannotDeleteSuperAdmin = Error.Forbidden(
         code: "User.CannotDeleteSuperAdmin",
         description: "Only SuperAdmin can delete another SuperAdmin.");
+
+    public static readonly Error CannotChangeOwnStatus = Error.Validation(
+        code: "User.CannotChangeOwnStatus",
+        description: "You cannot change the status of your own account.");
+
+    public static readonly Error CannotChangeSuperAdminStatus = Error.Forbidden(
+        code: "User.CannotChangeSuperAdminStatus",
+        description: "Only SuperAdmin can change the status of another SuperAdmin.");
 }
@@ -43,6 +43,10 @@ public class EmployeeConfiguration : IEntityTypeConfiguration<Employee>
             .HasMaxLength(100)
             .IsRequired();
 
+        builder.Property(e => e.SearchText)
+            .HasMaxLength(Employee.MaxSearchTextLength)
+            .IsRequired();
+
         builder.Property(e => e.HireDate)
             .IsRequired();
 
@@ -65,5 +69,9 @@ public class EmployeeConfiguration : IEntityTypeConfiguration<Employee>
 
         builder.Property(e => e.UpdatedAt)
             .IsRequired(false);
+
+        // Updates and deletes only apply while the stored version is still the one that was read
+        builder.Property(e => e.Version)
+            .IsConcurrencyToken();
     }
 }
@@ -1,7 +1,9 @@
 using Microsoft.EntityFrameworkCore;
 
+using Weda.Core.Domain;
 using Weda.Core.Infrastructure.Persistence;
 using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
 using Weda.Template.Domain.Employees.Repositories;
 using Weda.Template.Domain.Employees.ValueObjects;
 using Weda.Template.Infrastructure.Common.Persistence;
@@ -26,8 +28,103 @@ public class EmployeeRepository(AppDbContext dbContext) : GenericRepository<Empl
         return await DbSet.FirstOrDefaultAsync(e => e.Name == nameVo.Value, cancellationToken);
     }
 
+    public async Task<List<Employee>> GetByEmailsAsync(IEnumerable<string> emails, CancellationToken cancellationToken = default)
+    {
+        var emailVos = emails
+            .Select(Email.Create)
+            .Where(result => !result.IsError)
+            .Select(result => result.Value)
+            .Distinct()
+            .ToList();
+
+        return await DbSet.Where(e => emailVos.Contains(e.Email)).ToListAsync(cancellationToken);
+    }
+
+    public async Task<List<Employee>> GetByNamesAsync(IEnumerable<string> names, CancellationToken cancellationToken = default)
+    {
+        var nameVos = names
+            .Select(EmployeeName.Create)
+            .Where(result => !result.IsError)
+            .Select(result => result.Value)
+            .Distinct()
+            .ToList();
+
+        return await DbSet.Where(e => nameVos.Contains(e.Name)).ToListAsync(cancellationToken);
+    }
+
     public async Task<List<Employee>> GetBySupervisorIdAsync(int supervisorId, CancellationToken cancellationToken = default)
     {
         return await DbSet.Where(e => e.SupervisorId == supervisorId).ToListAsync(cancellationToken);
     }
+
+    public async Task<PagedResult<Employee>> ListAsync(EmployeeListFilter filter, int page, int pageSize, CancellationToken cancellationToken = default)
+    {
+        var query = DbSet.AsQueryable();
+
+        if (filter.Search is not null)
+        {
+            // SearchText is already lower case, so a plain substring match works on every provider
+            var search = filter.Search.ToLowerInvariant();
+            query = query.Where(e => e.SearchText.Contains(search));
+        }
+
+        if (filter.Department is not null)
+        {
+            query = query.Where(e => e.Department == filter.Department);
+        }
+
+        if (filter.Status is not null)
+        {
+            query = query.Where(e => e.Status == filter.Status);
+        }
+
+        if (filter.SupervisorId is not null)
+        {
+            query = query.Where(e => e.SupervisorId == filter.SupervisorId);
+        }
+
+        if (filter.RootsOnly)
+        {
+            query = query.Where(e => e.SupervisorId == null);
+        }
+
+        var totalCount = await query.CountAsync(cancellationToken);
+
+        var items = await Sort(query, filter.SortBy, filter.Descending)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync(cancellationToken);
+
+        return new PagedResult<Employee>(items, page, pageSize, totalCount);
+    }
+
+    public async Task<Dictionary<int, int>> GetSubordinateCountsAsync(IEnumerable<int> supervisorIds, CancellationToken cancellationToken = default)
+    {
+        var ids = supervisorIds.Distinct().ToList();
+
+        return await DbSet
+            .Where(e => e.SupervisorId != null && ids.Contains(e.SupervisorId.Value))
+            .GroupBy(e => e.SupervisorId!.Value)
+            .Select(g => new { SupervisorId = g.Key, Count = g.Count() })
+            .ToDictionaryAsync(x => x.SupervisorId, x => x.Count, cancellationToken);
+    }
+
+    private static IQueryable<Employee> Sort(IQueryable<Employee> query, EmployeeSortField sortBy, bool descending)
+    {
+        var sorted = (sortBy, descending) switch
+        {
+            (EmployeeSortField.Department, false) => query.OrderBy(e => e.Department),
+            (EmployeeSortField.Department, true) => query.OrderByDescending(e => e.Department),
+            (EmployeeSortField.Position, false) => query.OrderBy(e => e.Position),
+            (EmployeeSortField.Position, true) => query.OrderByDescending(e => e.Position),
+            (EmployeeSortField.HireDate, false) => query.OrderBy(e => e.HireDate),
+            (EmployeeSortField.HireDate, true) => query.OrderByDescending(e => e.HireDate),
+            (EmployeeSortField.Id, false) => query.OrderBy(e => e.Id),
+            (EmployeeSortField.Id, true) => query.OrderByDescending(e => e.Id),
+            (_, false) => query.OrderBy(e => e.Name),
+            (_, true) => query.OrderByDescending(e => e.Name),
+        };
+
+        return sorted.ThenBy(e => e.Id);
+    }
 }
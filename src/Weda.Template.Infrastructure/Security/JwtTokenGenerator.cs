@@ -13,6 +13,13 @@ public class JwtTokenGenerator(IOptions<JwtSettings> jwtOptions) : IJwtTokenGene
 {
     private readonly JwtSettings _jwtSettings = jwtOptions.Value;
 
+    private const string FamilyClaim = "fam";
+
+    // Refresh tokens get their own audience so JWT bearer validation rejects them as access tokens
+    private string RefreshAudience => $"{_jwtSettings.Audience}:refresh";
+
+    private SymmetricSecurityKey SigningKey => new(Encoding.UTF8.GetBytes(_jwtSettings.Secret));
+
     public string GenerateToken(
         Guid id,
         string Name,
@@ -20,8 +27,7 @@ public class JwtTokenGenerator(IOptions<JwtSettings> jwtOptions) : IJwtTokenGene
         List<string> permissions,
         List<string> roles)
     {
-        var key = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(_jwtSettings.Secret));
-        var credentials = new SigningCredentials(key, SecurityAlgorithms.HmacSha256);
+        var credentials = new SigningCredentials(SigningKey, SecurityAlgorithms.HmacSha256);
 
         var claims = new List<Claim>
         {
@@ -42,4 +48,56 @@ public class JwtTokenGenerator(IOptions<JwtSettings> jwtOptions) : IJwtTokenGene
 
         return new JwtSecurityTokenHandler().WriteToken(token);
     }
-}
\ No newline at end of file
+
+    public string GenerateRefreshToken(Guid id, Guid familyId, Guid tokenId)
+    {
+        var credentials = new SigningCredentials(SigningKey, SecurityAlgorithms.HmacSha256);
+
+        var claims = new List<Claim>
+        {
+            new("id", id.ToString()),
+            new(FamilyClaim, familyId.ToString()),
+            new(JwtRegisteredClaimNames.Jti, tokenId.ToString()),
+        };
+
+        var token = new JwtSecurityToken(
+            _jwtSettings.Issuer,
+            RefreshAudience,
+            claims,
+            expires: DateTime.UtcNow.AddMinutes(_jwtSettings.RefreshTokenExpirationInMinutes),
+            signingCredentials: credentials);
+
+        return new JwtSecurityTokenHandler().WriteToken(token);
+    }
+
+    public RefreshTokenClaims? ValidateRefreshToken(string refreshToken)
+    {
+        var parameters = new TokenValidationParameters
+        {
+            ValidateIssuer = true,
+            ValidateAudience = true,
+            ValidateLifetime = true,
+            ValidateIssuerSigningKey = true,
+            ValidIssuer = _jwtSettings.Issuer,
+            ValidAudience = RefreshAudience,
+            IssuerSigningKey = SigningKey,
+            ClockSkew = TimeSpan.Zero,
+        };
+
+        try
+        {
+            var handler = new JwtSecurityTokenHandler { MapInboundClaims = false };
+            var principal = handler.ValidateToken(refreshToken, parameters, out _);
+            return Guid.TryParse(principal.FindFirst("id")?.Value, out var id)
+                && Guid.TryParse(principal.FindFirst(FamilyClaim)?.Value, out var familyId)
+                && Guid.TryParse(principal.FindFirst(JwtRegisteredClaimNames.Jti)?.Value, out var tokenId)
+                    ? new RefreshTokenClaims(id, familyId, tokenId)
+                    : null;
+        }
+        catch (Exception ex) when (ex is SecurityTokenException or ArgumentException)
+        {
+            // Malformed tokens throw ArgumentException subclasses
+            return null;
+        }
+    }
+}
@@ -1,6 +1,8 @@
 using System.Text;
+using System.Text.RegularExpressions;
 
 using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Options;
 using Microsoft.IdentityModel.Tokens;
 
@@ -9,6 +11,17 @@ namespace Weda.Template.Infrastructure.Security.TokenValidation;
 public sealed class JwtBearerTokenValidationConfiguration(IOptions<JwtSettings> jwtSettings)
     : IConfigureNamedOptions<JwtBearerOptions>
 {
+    /// <summary>
+    /// Query parameter carrying the token for Server-Sent Events, since EventSource cannot send headers.
+    /// </summary>
+    public const string AccessTokenQueryParameter = "access_token";
+
+    // The Server-Sent Events endpoints (Wedally subscriptions and the employee event stream) - the only
+    // places a token is read from the URL, where it can end up in logs, browser history and Referer headers
+    private static readonly Regex EventStreamPath = new(
+        "^/api/v[0-9.]+/(wedally/subscribe|employees/events)/?$",
+        RegexOptions.IgnoreCase | RegexOptions.CultureInvariant | RegexOptions.Compiled);
+
     private readonly JwtSettings _jwtSettings = jwtSettings.Value;
 
     public void Configure(string? name, JwtBearerOptions options) => Configure(options);
@@ -26,5 +39,21 @@ public sealed class JwtBearerTokenValidationConfiguration(IOptions<JwtSettings>
             IssuerSigningKey = new SymmetricSecurityKey(
                 Encoding.UTF8.GetBytes(_jwtSettings.Secret)),
         };
+
+        options.Events = new JwtBearerEvents
+        {
+            OnMessageReceived = context =>
+            {
+                var request = context.Request;
+                if (HttpMethods.IsGet(request.Method) &&
+                    EventStreamPath.IsMatch(request.Path.Value ?? string.Empty) &&
+                    request.Query.TryGetValue(AccessTokenQueryParameter, out var token))
+                {
+                    context.Token = token;
+                }
+
+                return Task.CompletedTask;
+            },
+        };
     }
 }
@@ -73,6 +73,18 @@ public class UserConfiguration : IEntityTypeConfiguration<User>
             .HasMaxLength(2000)
             .IsRequired();
 
+        // Store the current refresh token of each login session as comma-separated "familyId:tokenId"
+        builder.Property<List<string>>("_refreshTokens")
+            .HasColumnName("RefreshTokens")
+            .HasConversion(
+                tokens => string.Join(",", tokens),
+                value => value.Split(',', StringSplitOptions.RemoveEmptyEntries).ToList())
+            .Metadata.SetValueComparer(stringListComparer);
+
+        builder.Property<List<string>>("_refreshTokens")
+            .HasMaxLength(1000)
+            .IsRequired();
+
         builder.Property(u => u.CreatedAt)
             .IsRequired();
 
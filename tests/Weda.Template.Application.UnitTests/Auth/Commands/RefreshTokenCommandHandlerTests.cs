@@ -0,0 +1,82 @@
+using Weda.Core.Application.Security;
+using Weda.Template.Application.Auth.Commands.RefreshToken;
+using Weda.Template.Contracts.Auth.Commands;
+using Weda.Template.Domain.Users.Entities;
+using Weda.Template.Domain.Users.Errors;
+using Weda.Template.Domain.Users.Repositories;
+
+namespace Weda.Template.Application.UnitTests.Auth.Commands;
+
+public class RefreshTokenCommandHandlerTests
+{
+    private readonly IUserRepository _mockUserRepository;
+    private readonly IJwtTokenGenerator _mockJwtTokenGenerator;
+    private readonly User _user;
+    private readonly Guid _familyId = Guid.NewGuid();
+    private readonly Guid _tokenId;
+    private readonly RefreshTokenCommandHandler _handler;
+
+    public RefreshTokenCommandHandlerTests()
+    {
+        _user = User.Create("john@example.com", "hash", "John Doe").Value;
+        _tokenId = _user.RotateRefreshToken(_familyId);
+
+        _mockUserRepository = Substitute.For<IUserRepository>();
+        _mockUserRepository.GetByIdAsync(_user.Id, Arg.Any<CancellationToken>()).Returns(_user);
+
+        _mockJwtTokenGenerator = Substitute.For<IJwtTokenGenerator>();
+        _mockJwtTokenGenerator.GenerateRefreshToken(_user.Id, _familyId, Arg.Any<Guid>()).Returns("new-refresh-token");
+
+        _handler = new RefreshTokenCommandHandler(_mockUserRepository, _mockJwtTokenGenerator);
+    }
+
+    [Fact]
+    public async Task Refresh_WithCurrentToken_ShouldRotateTheToken()
+    {
+        // Arrange
+        _mockJwtTokenGenerator.ValidateRefreshToken("current")
+            .Returns(new RefreshTokenClaims(_user.Id, _familyId, _tokenId));
+
+        // Act
+        var result = await _handler.Handle(new RefreshTokenCommand("current"), default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.RefreshToken.ShouldBe("new-refresh-token");
+        _user.IsCurrentRefreshToken(_familyId, _tokenId).ShouldBeFalse();
+        await _mockUserRepository.Received(1).UpdateAsync(_user, Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task Refresh_WithRotatedOutToken_ShouldRevokeTheSession()
+    {
+        // Arrange
+        var newTokenId = _user.RotateRefreshToken(_familyId);
+        _mockJwtTokenGenerator.ValidateRefreshToken("reused")
+            .Returns(new RefreshTokenClaims(_user.Id, _familyId, _tokenId));
+
+        // Act
+        var result = await _handler.Handle(new RefreshTokenCommand("reused"), default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(UserErrors.InvalidRefreshToken);
+        _user.IsCurrentRefreshToken(_familyId, newTokenId).ShouldBeFalse();
+    }
+
+    [Fact]
+    public async Task Refresh_WithTokenOfOtherSession_ShouldKeepThatSession()
+    {
+        // Arrange
+        var otherFamilyId = Guid.NewGuid();
+        var otherTokenId = _user.RotateRefreshToken(otherFamilyId);
+        _mockJwtTokenGenerator.ValidateRefreshToken("current")
+            .Returns(new RefreshTokenClaims(_user.Id, _familyId, _tokenId));
+
+        // Act
+        await _handler.Handle(new RefreshTokenCommand("current"), default);
+
+        // Assert
+        _user.IsCurrentRefreshToken(otherFamilyId, otherTokenId).ShouldBeTrue();
+    }
+}
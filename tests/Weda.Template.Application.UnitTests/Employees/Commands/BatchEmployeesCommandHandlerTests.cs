@@ -0,0 +1,146 @@
+using Weda.Template.Application.Employees.Commands.BatchEmployees;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.TestCommon.Employees;
+
+namespace Weda.Template.Application.UnitTests.Employees.Commands;
+
+public class BatchEmployeesCommandHandlerTests
+{
+    private readonly IEmployeeRepository _mockEmployeeRepository;
+    private readonly Dictionary<int, Employee> _employees = [];
+    private readonly BatchEmployeesCommandHandler _handler;
+
+    public BatchEmployeesCommandHandlerTests()
+    {
+        _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+        _mockEmployeeRepository.GetByIdAsync(Arg.Any<int>(), Arg.Any<CancellationToken>())
+            .Returns(call => _employees.GetValueOrDefault(call.Arg<int>()));
+        _mockEmployeeRepository.GetBySupervisorIdAsync(Arg.Any<int>(), Arg.Any<CancellationToken>())
+            .Returns(call => _employees.Values.Where(e => e.SupervisorId == call.Arg<int>()).ToList());
+
+        _handler = new BatchEmployeesCommandHandler(
+            _mockEmployeeRepository,
+            new EmployeeHierarchyManager(_mockEmployeeRepository));
+    }
+
+    [Fact]
+    public async Task Move_WhenSupervisorIsBelowASelectedEmployee_ShouldMoveNobody()
+    {
+        // Arrange
+        var first = AddEmployee(2, "Jane Smith");
+        var second = AddEmployee(3, "John Doe");
+        AddEmployee(4, "Ann Lee", supervisorId: 3);
+        var command = new BatchEmployeesCommand([2, 3], BatchEmployeeAction.Move, SupervisorId: 4);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.Code.ShouldBe(nameof(BatchEmployeesCommand.SupervisorId));
+        result.FirstError.Description.ShouldBe(EmployeeErrors.CircularSupervisorReference.Description);
+        first.SupervisorId.ShouldBeNull();
+        second.SupervisorId.ShouldBeNull();
+    }
+
+    [Fact]
+    public async Task ChangeDepartment_ShouldUpdateEverySelectedEmployee()
+    {
+        // Arrange
+        var first = AddEmployee(2, "Jane Smith");
+        var second = AddEmployee(3, "John Doe");
+        var command = new BatchEmployeesCommand([2, 3], BatchEmployeeAction.ChangeDepartment, Department: "sales");
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Count.ShouldBe(2);
+        first.Department.Value.ShouldBe("sales");
+        second.Department.Value.ShouldBe("sales");
+        await _mockEmployeeRepository.Received(2).UpdateAsync(Arg.Any<Employee>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenOneEmployeeCannotChange_ShouldChangeNobody()
+    {
+        // Arrange
+        var active = AddEmployee(2, "Jane Smith");
+        var onLeave = AddEmployee(3, "John Doe");
+        onLeave.ChangeStatus(EmployeeStatus.OnLeave, "Parental leave", DateTime.UtcNow.Date);
+        var command = new BatchEmployeesCommand(
+            [2, 3], BatchEmployeeAction.ChangeStatus, Status: EmployeeStatus.OnLeave, Reason: "Sabbatical");
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.Errors.ShouldHaveSingleItem().Code.ShouldBe("EmployeeIds[1]");
+        active.Status.ShouldBe(EmployeeStatus.Active);
+    }
+
+    [Fact]
+    public async Task ChangeDepartment_WhenOneEmployeeChangedSinceRead_ShouldReportItAndChangeNobody()
+    {
+        // Arrange
+        var unchanged = AddEmployee(2, "Jane Smith");
+        var changed = AddEmployee(3, "John Doe");
+        var staleVersion = EmployeeDto.VersionOf(changed.Version);
+        changed.UpdatePosition("Senior Software Engineer");
+        var command = new BatchEmployeesCommand(
+            [2, 3],
+            BatchEmployeeAction.ChangeDepartment,
+            Department: "sales",
+            ExpectedVersions: [EmployeeDto.VersionOf(unchanged.Version), staleVersion]);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        var error = result.Errors.ShouldHaveSingleItem();
+        error.Code.ShouldBe(EmployeeErrors.ConcurrencyConflict.Code);
+        error.Metadata!["index"].ShouldBe(1);
+        error.Metadata["employeeId"].ShouldBe(3);
+        unchanged.Department.Value.ShouldBe("engineering");
+        await _mockEmployeeRepository.DidNotReceive().UpdateAsync(Arg.Any<Employee>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task Delete_WhenWholeChainIsDeleted_ShouldMoveReportsToManagerAboveIt()
+    {
+        // Arrange
+        AddEmployee(1, "Ann Lee");
+        var manager = AddEmployee(2, "Jane Smith", supervisorId: 1);
+        var lead = AddEmployee(3, "John Doe", supervisorId: 2);
+        var report = AddEmployee(4, "Mary Major", supervisorId: 3);
+        var command = new BatchEmployeesCommand([2, 3], BatchEmployeeAction.Delete);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.DeletedIds.ShouldBe(new[] { 2, 3 });
+        report.SupervisorId.ShouldBe(1);
+        await _mockEmployeeRepository.Received(1).DeleteAsync(manager, Arg.Any<CancellationToken>());
+        await _mockEmployeeRepository.Received(1).DeleteAsync(lead, Arg.Any<CancellationToken>());
+        await _mockEmployeeRepository.Received(1).UpdateAsync(report, Arg.Any<CancellationToken>());
+    }
+
+    // Adds a saved employee to the fake repository
+    private Employee AddEmployee(int id, string name, int? supervisorId = null)
+    {
+        var employee = EmployeeFactory.CreateSavedEmployee(id, name, supervisorId: supervisorId);
+        _employees[id] = employee;
+        return employee;
+    }
+}
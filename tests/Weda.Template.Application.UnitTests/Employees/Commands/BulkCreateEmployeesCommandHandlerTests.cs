@@ -0,0 +1,164 @@
+using Weda.Core.Application.Interfaces;
+using Weda.Template.Application.Employees.Commands.BulkCreateEmployees;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.TestCommon.Employees;
+
+namespace Weda.Template.Application.UnitTests.Employees.Commands;
+
+public class BulkCreateEmployeesCommandHandlerTests
+{
+    private readonly IEmployeeRepository _mockEmployeeRepository;
+    private readonly IUnitOfWork _mockUnitOfWork;
+    private readonly IUnitOfWorkTransaction _mockTransaction;
+    private readonly List<Employee> _added = [];
+    private readonly BulkCreateEmployeesCommandHandler _handler;
+
+    public BulkCreateEmployeesCommandHandlerTests()
+    {
+        _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+        _mockEmployeeRepository.GetByEmailsAsync(Arg.Any<IEnumerable<string>>(), Arg.Any<CancellationToken>())
+            .Returns(new List<Employee>());
+        _mockEmployeeRepository.GetByNamesAsync(Arg.Any<IEnumerable<string>>(), Arg.Any<CancellationToken>())
+            .Returns(new List<Employee>());
+        _mockEmployeeRepository
+            .When(repository => repository.AddAsync(Arg.Any<Employee>(), Arg.Any<CancellationToken>()))
+            .Do(call => _added.Add(call.Arg<Employee>()));
+
+        // Simulate the database assigning identity values on save
+        _mockUnitOfWork = Substitute.For<IUnitOfWork>();
+        _mockTransaction = Substitute.For<IUnitOfWorkTransaction>();
+        _mockUnitOfWork.BeginTransactionAsync(Arg.Any<CancellationToken>()).Returns(_mockTransaction);
+        _mockUnitOfWork
+            .When(unitOfWork => unitOfWork.SaveChangesAsync(Arg.Any<CancellationToken>()))
+            .Do(_ =>
+            {
+                for (var i = 0; i < _added.Count; i++)
+                {
+                    EmployeeFactory.AssignId(_added[i], i + 1);
+                }
+            });
+
+        _handler = new BulkCreateEmployeesCommandHandler(_mockEmployeeRepository, _mockUnitOfWork);
+    }
+
+    [Fact]
+    public async Task BulkCreate_WhenSupervisorIsLaterRow_ShouldCreateSupervisorFirstAndLinkIds()
+    {
+        // Arrange
+        var command = new BulkCreateEmployeesCommand(
+        [
+            Row("John Doe", "john@example.com", supervisorEmail: "JANE@example.com"),
+            Row("Jane Smith", "jane@example.com"),
+        ]);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Committed.ShouldBeTrue();
+        _added.Select(e => e.Name.Value).ShouldBe(new[] { "Jane Smith", "John Doe" });
+        _added[1].SupervisorId.ShouldBe(_added[0].Id);
+        await _mockUnitOfWork.Received(2).SaveChangesAsync(Arg.Any<CancellationToken>());
+        await _mockTransaction.Received(1).CommitAsync(Arg.Any<CancellationToken>());
+        await _mockTransaction.Received(1).DisposeAsync();
+    }
+
+    [Fact]
+    public async Task BulkCreate_WhenLaterLevelFailsToSave_ShouldNotCommitEarlierLevels()
+    {
+        // Arrange
+        var command = new BulkCreateEmployeesCommand(
+        [
+            Row("John Doe", "john@example.com", supervisorEmail: "jane@example.com"),
+            Row("Jane Smith", "jane@example.com"),
+        ]);
+        var saves = 0;
+        _mockUnitOfWork
+            .When(unitOfWork => unitOfWork.SaveChangesAsync(Arg.Any<CancellationToken>()))
+            .Do(_ =>
+            {
+                if (++saves == 2)
+                {
+                    throw new InvalidOperationException("Save failed");
+                }
+            });
+
+        // Act & Assert
+        await Should.ThrowAsync<InvalidOperationException>(async () => await _handler.Handle(command, default));
+        await _mockTransaction.DidNotReceive().CommitAsync(Arg.Any<CancellationToken>());
+        await _mockTransaction.Received(1).DisposeAsync();
+    }
+
+    [Fact]
+    public async Task BulkCreate_WhenValidateOnly_ShouldNotCreateAnything()
+    {
+        // Arrange
+        var command = new BulkCreateEmployeesCommand([Row("Jane Smith", "jane@example.com")], ValidateOnly: true);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Committed.ShouldBeFalse();
+        result.Value.Count.ShouldBe(1);
+        _added.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public async Task BulkCreate_WhenSupervisorsFormCycle_ShouldRejectEveryRowInCycle()
+    {
+        // Arrange
+        var command = new BulkCreateEmployeesCommand(
+        [
+            Row("John Doe", "john@example.com", supervisorEmail: "jane@example.com"),
+            Row("Jane Smith", "jane@example.com", supervisorEmail: "john@example.com"),
+            Row("Ann Lee", "ann@example.com"),
+        ]);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.Errors.Select(e => e.Code).ShouldBe(new[] { "Employees[0]", "Employees[1]" }, ignoreOrder: true);
+        _added.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public async Task BulkCreate_WhenRowsAreInvalid_ShouldReportEachRowAndCreateNothing()
+    {
+        // Arrange
+        var command = new BulkCreateEmployeesCommand(
+        [
+            Row("Jane Smith", "jane@example.com"),
+            Row("John Doe", "not-an-email"),
+            Row("Ann Lee", "ann@example.com", department: ""),
+            Row("Bob Chen", "bob@example.com", supervisorEmail: "nobody@example.com"),
+            Row("Jane Smith", "jane2@example.com"),
+        ]);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.Errors.ShouldAllBe(e => e.Type == ErrorType.Validation);
+        result.Errors.Select(e => e.Code).ShouldBe(
+            new[] { "Employees[1]", "Employees[2]", "Employees[3]", "Employees[4]" },
+            ignoreOrder: true);
+        _added.ShouldBeEmpty();
+        await _mockUnitOfWork.DidNotReceive().SaveChangesAsync(Arg.Any<CancellationToken>());
+        await _mockUnitOfWork.DidNotReceive().BeginTransactionAsync(Arg.Any<CancellationToken>());
+    }
+
+    private static BulkCreateEmployeeItem Row(
+        string name,
+        string email,
+        string department = "Engineering",
+        string? supervisorEmail = null) =>
+        new(name, email, department, "Engineer", new DateTime(2024, 1, 15), supervisorEmail);
+}
@@ -0,0 +1,129 @@
+using Weda.Template.Application.Employees.Commands.ChangeEmployeeStatus;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.TestCommon.Employees;
+
+namespace Weda.Template.Application.UnitTests.Employees.Commands;
+
+public class ChangeEmployeeStatusCommandHandlerTests
+{
+    private readonly IEmployeeRepository _mockEmployeeRepository;
+    private readonly Dictionary<int, Employee> _employees = [];
+    private readonly ChangeEmployeeStatusCommandHandler _handler;
+
+    public ChangeEmployeeStatusCommandHandlerTests()
+    {
+        _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+        _mockEmployeeRepository.GetByIdAsync(Arg.Any<int>(), Arg.Any<CancellationToken>())
+            .Returns(call => _employees.GetValueOrDefault(call.Arg<int>()));
+        _mockEmployeeRepository.GetBySupervisorIdAsync(Arg.Any<int>(), Arg.Any<CancellationToken>())
+            .Returns(call => _employees.Values.Where(e => e.SupervisorId == call.Arg<int>()).ToList());
+
+        _handler = new ChangeEmployeeStatusCommandHandler(
+            _mockEmployeeRepository,
+            new EmployeeHierarchyManager(_mockEmployeeRepository));
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenSupervisorBecomesInactive_ShouldMoveReportsToOwnManager()
+    {
+        // Arrange
+        AddEmployee(1, "Ann Lee");
+        var supervisor = AddEmployee(2, "Jane Smith", supervisorId: 1);
+        var report = AddEmployee(3, "John Doe", supervisorId: 2);
+        var command = new ChangeEmployeeStatusCommand(2, EmployeeStatus.Inactive, "Resigned", null, null);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        supervisor.Status.ShouldBe(EmployeeStatus.Inactive);
+        report.SupervisorId.ShouldBe(1);
+        await _mockEmployeeRepository.Received(1).UpdateAsync(report, Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenReassignmentTargetIsReport_ShouldChangeNothing()
+    {
+        // Arrange
+        var supervisor = AddEmployee(2, "Jane Smith");
+        var report = AddEmployee(3, "John Doe", supervisorId: 2);
+        var command = new ChangeEmployeeStatusCommand(2, EmployeeStatus.Inactive, "Resigned", null, ReassignSubordinatesTo: 3);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.InvalidReassignmentTarget);
+        supervisor.Status.ShouldBe(EmployeeStatus.Active);
+        report.SupervisorId.ShouldBe(2);
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenReasonIsMissing_ShouldLeaveReportsInPlace()
+    {
+        // Arrange
+        AddEmployee(1, "Ann Lee");
+        AddEmployee(2, "Jane Smith", supervisorId: 1);
+        var report = AddEmployee(3, "John Doe", supervisorId: 2);
+        var command = new ChangeEmployeeStatusCommand(2, EmployeeStatus.Inactive, " ", null, null);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.StatusReasonRequired);
+        report.SupervisorId.ShouldBe(2);
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenEffectiveDateIsInFuture_ShouldReturnValidationError()
+    {
+        // Arrange
+        AddEmployee(2, "Jane Smith");
+        var command = new ChangeEmployeeStatusCommand(
+            2, EmployeeStatus.OnLeave, "Parental leave", DateTime.UtcNow.Date.AddDays(1), null);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.EffectiveDateInFuture);
+    }
+
+    [Fact]
+    public async Task ChangeStatus_WhenEmployeeChangedSinceExpectedVersion_ShouldReturnConflictAndChangeNothing()
+    {
+        // Arrange
+        var employee = AddEmployee(2, "Jane Smith");
+        var staleVersion = EmployeeDto.VersionOf(employee.Version);
+        employee.UpdatePosition("Team Lead");
+        var command = new ChangeEmployeeStatusCommand(
+            2, EmployeeStatus.OnLeave, "Parental leave", null, null, ExpectedVersion: staleVersion);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.ConcurrencyConflict);
+        employee.Status.ShouldBe(EmployeeStatus.Active);
+    }
+
+    // Adds a saved employee to the fake repository
+    private Employee AddEmployee(int id, string name, int? supervisorId = null)
+    {
+        var employee = EmployeeFactory.CreateSavedEmployee(id, name, supervisorId: supervisorId);
+        _employees[id] = employee;
+        return employee;
+    }
+}
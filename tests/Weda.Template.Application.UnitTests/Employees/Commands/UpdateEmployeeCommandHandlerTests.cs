@@ -0,0 +1,110 @@
+using Weda.Template.Application.Employees.Commands.UpdateEmployee;
+using Weda.Template.Contracts.Employees.Commands;
+using Weda.Template.Contracts.Employees.Dtos;
+using Weda.Template.Domain.Employees.DomainServices;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Errors;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.TestCommon.Employees;
+
+namespace Weda.Template.Application.UnitTests.Employees.Commands;
+
+public class UpdateEmployeeCommandHandlerTests
+{
+    private readonly IEmployeeRepository _mockEmployeeRepository;
+    private readonly Employee _employee;
+    private readonly UpdateEmployeeCommandHandler _handler;
+
+    public UpdateEmployeeCommandHandlerTests()
+    {
+        _employee = EmployeeFactory.CreateSavedEmployee(42);
+
+        _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+        _mockEmployeeRepository.GetByIdAsync(42, Arg.Any<CancellationToken>()).Returns(_employee);
+
+        _handler = new UpdateEmployeeCommandHandler(
+            _mockEmployeeRepository,
+            new EmployeeHierarchyManager(_mockEmployeeRepository));
+    }
+
+    [Fact]
+    public async Task Update_WhenExpectedVersionIsCurrent_ShouldUpdateEmployee()
+    {
+        // Arrange
+        var version = EmployeeDto.VersionOf(_employee.Version);
+        var command = UpdateCommand("Team Lead", version);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Position.ShouldBe("Team Lead");
+        result.Value.Version.ShouldNotBe(version);
+    }
+
+    [Fact]
+    public async Task Update_WhenEmployeeChangedSinceExpectedVersion_ShouldReturnConflictAndChangeNothing()
+    {
+        // Arrange
+        var staleVersion = EmployeeDto.VersionOf(_employee.Version);
+        _employee.UpdatePosition("Staff Engineer");
+        var command = UpdateCommand("Team Lead", staleVersion);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.ConcurrencyConflict);
+        _employee.Position.ShouldBe("Staff Engineer");
+    }
+
+    [Fact]
+    public async Task Update_WhenSupervisorIsUnknown_ShouldReturnErrorAndChangeNothing()
+    {
+        // Arrange
+        var command = UpdateCommand("Team Lead", null, supervisorId: 99);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.SupervisorNotFound);
+        _employee.SupervisorId.ShouldBeNull();
+        _employee.Position.ShouldBe("Software Engineer");
+    }
+
+    [Fact]
+    public async Task Update_WhenStatusChanges_ShouldRejectAndChangeNothing()
+    {
+        // Arrange
+        var command = UpdateCommand("Team Lead", null, EmployeeStatus.Inactive);
+
+        // Act
+        var result = await _handler.Handle(command, default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(EmployeeErrors.StatusChangeRequiresWorkflow);
+        _employee.Status.ShouldBe(EmployeeStatus.Active);
+        _employee.Position.ShouldBe("Software Engineer");
+        await _mockEmployeeRepository.DidNotReceive().UpdateAsync(Arg.Any<Employee>(), Arg.Any<CancellationToken>());
+    }
+
+    private static UpdateEmployeeCommand UpdateCommand(
+        string position,
+        string? expectedVersion,
+        EmployeeStatus status = EmployeeStatus.Active,
+        int? supervisorId = null) => new(
+        42,
+        "John Doe",
+        "john@example.com",
+        "engineering",
+        position,
+        status,
+        supervisorId,
+        expectedVersion);
+}
@@ -0,0 +1,75 @@
+using Weda.Core.Domain;
+using Weda.Template.Application.Employees.Queries.ListAllEmployees;
+using Weda.Template.Contracts.Employees.Queries;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.Application.UnitTests.Employees.Queries;
+
+public class ListAllEmployeesQueryHandlerTests
+{
+    private const int PageSize = ListEmployeesQuery.MaxPageSize;
+
+    private readonly IEmployeeRepository _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+    private readonly ListAllEmployeesQueryHandler _handler;
+
+    public ListAllEmployeesQueryHandlerTests()
+    {
+        _mockEmployeeRepository
+            .GetSubordinateCountsAsync(Arg.Any<IEnumerable<int>>(), Arg.Any<CancellationToken>())
+            .Returns(new Dictionary<int, int>());
+
+        _handler = new ListAllEmployeesQueryHandler(_mockEmployeeRepository);
+    }
+
+    [Fact]
+    public async Task ListAll_WhenMoreEmployeesThanOnePage_ShouldReadEveryPage()
+    {
+        // Arrange
+        var totalCount = PageSize + 1;
+        ReturnPage(1, "Alice Smith", totalCount);
+        ReturnPage(2, "Bob Jones", totalCount);
+
+        // Act
+        var result = await _handler.Handle(new ListAllEmployeesQuery(), default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Select(e => e.Name).ShouldBe(new[] { "Alice Smith", "Bob Jones" });
+        await _mockEmployeeRepository.DidNotReceive().ListAsync(
+            Arg.Any<EmployeeListFilter>(), 3, Arg.Any<int>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task ListAll_ShouldSortByIdForStablePages()
+    {
+        // Arrange
+        ReturnPage(1, "Alice Smith", totalCount: 1);
+
+        // Act
+        await _handler.Handle(new ListAllEmployeesQuery(), default);
+
+        // Assert
+        await _mockEmployeeRepository.Received(1).ListAsync(
+            Arg.Is<EmployeeListFilter>(f => f.SortBy == EmployeeSortField.Id && f.Search == null),
+            1,
+            PageSize,
+            Arg.Any<CancellationToken>());
+    }
+
+    private void ReturnPage(int page, string name, int totalCount)
+    {
+        var employee = Employee.Create(
+            name,
+            $"{name.Replace(' ', '.').ToLowerInvariant()}@example.com",
+            Department.Create("engineering").Value,
+            "Software Engineer",
+            new DateTime(2024, 1, 15, 0, 0, 0, DateTimeKind.Utc)).Value;
+
+        _mockEmployeeRepository
+            .ListAsync(Arg.Any<EmployeeListFilter>(), page, PageSize, Arg.Any<CancellationToken>())
+            .Returns(new PagedResult<Employee>([employee], page, PageSize, totalCount));
+    }
+}
@@ -0,0 +1,82 @@
+using Weda.Core.Domain;
+using Weda.Template.Application.Employees.Queries.ListEmployees;
+using Weda.Template.Contracts.Employees.Queries;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.Application.UnitTests.Employees.Queries;
+
+public class ListEmployeesQueryHandlerTests
+{
+    private readonly IEmployeeRepository _mockEmployeeRepository = Substitute.For<IEmployeeRepository>();
+    private readonly ListEmployeesQueryHandler _handler;
+
+    public ListEmployeesQueryHandlerTests()
+    {
+        _mockEmployeeRepository
+            .GetSubordinateCountsAsync(Arg.Any<IEnumerable<int>>(), Arg.Any<CancellationToken>())
+            .Returns(new Dictionary<int, int>());
+
+        _handler = new ListEmployeesQueryHandler(_mockEmployeeRepository);
+    }
+
+    [Fact]
+    public async Task List_ShouldPassFilterAndPagingToRepositoryAndKeepTotalCount()
+    {
+        // Arrange
+        var employee = Employee.Create(
+            "Alice Smith",
+            "alice@example.com",
+            Department.Create("engineering").Value,
+            "Software Engineer",
+            new DateTime(2024, 1, 15, 0, 0, 0, DateTimeKind.Utc)).Value;
+        _mockEmployeeRepository
+            .ListAsync(Arg.Any<EmployeeListFilter>(), 3, 10, Arg.Any<CancellationToken>())
+            .Returns(new PagedResult<Employee>([employee], 3, 10, 21));
+        var query = new ListEmployeesQuery(
+            Page: 3,
+            PageSize: 10,
+            Search: "  alice ",
+            Department: "Engineering",
+            Status: EmployeeStatus.Active,
+            SortBy: EmployeeSortField.HireDate,
+            Descending: true);
+
+        // Act
+        var result = await _handler.Handle(query, default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        result.Value.Items.Count.ShouldBe(1);
+        result.Value.TotalCount.ShouldBe(21);
+        result.Value.TotalPages.ShouldBe(3);
+        await _mockEmployeeRepository.Received(1).ListAsync(
+            new EmployeeListFilter(
+                "alice",
+                Department.Create("engineering").Value,
+                EmployeeStatus.Active,
+                SortBy: EmployeeSortField.HireDate,
+                Descending: true),
+            3,
+            10,
+            Arg.Any<CancellationToken>());
+    }
+
+    [Theory]
+    [InlineData(0, 10)]
+    [InlineData(1, 0)]
+    [InlineData(1, ListEmployeesQuery.MaxPageSize + 1)]
+    public async Task List_WithInvalidPaging_ShouldReturnValidationError(int page, int pageSize)
+    {
+        // Act
+        var result = await _handler.Handle(new ListEmployeesQuery(page, pageSize), default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.Type.ShouldBe(ErrorType.Validation);
+        await _mockEmployeeRepository.DidNotReceive().ListAsync(
+            Arg.Any<EmployeeListFilter>(), Arg.Any<int>(), Arg.Any<int>(), Arg.Any<CancellationToken>());
+    }
+}
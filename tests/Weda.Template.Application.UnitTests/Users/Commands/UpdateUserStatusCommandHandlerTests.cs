@@ -0,0 +1,95 @@
+using Weda.Core.Application.Security.Models;
+using Weda.Template.Application.Users.Commands.UpdateUserStatus;
+using Weda.Template.Contracts.Users.Commands;
+using Weda.Template.Domain.Users.Entities;
+using Weda.Template.Domain.Users.Enums;
+using Weda.Template.Domain.Users.Errors;
+using Weda.Template.Domain.Users.Repositories;
+
+namespace Weda.Template.Application.UnitTests.Users.Commands;
+
+public class UpdateUserStatusCommandHandlerTests
+{
+    private readonly IUserRepository _mockUserRepository;
+    private readonly TestCurrentUserProvider _currentUserProvider = new();
+    private readonly UpdateUserStatusCommandHandler _handler;
+
+    public UpdateUserStatusCommandHandlerTests()
+    {
+        _mockUserRepository = Substitute.For<IUserRepository>();
+
+        _handler = new UpdateUserStatusCommandHandler(_mockUserRepository, _currentUserProvider);
+    }
+
+    [Fact]
+    public async Task UpdateStatus_ByAdmin_ShouldUpdateStatus()
+    {
+        // Arrange
+        var user = AddUser("jane@example.com", "Jane Smith", Role.User);
+        _currentUserProvider.Returns(CurrentUserFactory.CreateCurrentUser(roles: [Role.Admin]));
+
+        // Act
+        var result = await _handler.Handle(new UpdateUserStatusCommand(user.Id, UserStatus.Inactive), default);
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        user.Status.ShouldBe(UserStatus.Inactive);
+        await _mockUserRepository.Received(1).UpdateAsync(user, Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task UpdateStatus_OfOwnAccount_ShouldReturnErrorAndKeepStatus()
+    {
+        // Arrange
+        var user = AddUser("john@example.com", "John Doe", Role.Admin);
+        _currentUserProvider.Returns(CurrentUserFactory.CreateCurrentUser(id: user.Id, roles: [Role.Admin]));
+
+        // Act
+        var result = await _handler.Handle(new UpdateUserStatusCommand(user.Id, UserStatus.Inactive), default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(UserErrors.CannotChangeOwnStatus);
+        user.Status.ShouldBe(UserStatus.Active);
+        await _mockUserRepository.DidNotReceive().UpdateAsync(Arg.Any<User>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task UpdateStatus_OfSuperAdminByAdmin_ShouldReturnErrorAndKeepStatus()
+    {
+        // Arrange
+        var user = AddUser("root@example.com", "Root Admin", Role.SuperAdmin);
+        _currentUserProvider.Returns(CurrentUserFactory.CreateCurrentUser(roles: [Role.Admin]));
+
+        // Act
+        var result = await _handler.Handle(new UpdateUserStatusCommand(user.Id, UserStatus.Locked), default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(UserErrors.CannotChangeSuperAdminStatus);
+        user.Status.ShouldBe(UserStatus.Active);
+        await _mockUserRepository.DidNotReceive().UpdateAsync(Arg.Any<User>(), Arg.Any<CancellationToken>());
+    }
+
+    [Fact]
+    public async Task UpdateStatus_WhenUserDoesNotExist_ShouldReturnNotFound()
+    {
+        // Arrange
+        _currentUserProvider.Returns(CurrentUserFactory.CreateCurrentUser(roles: [Role.SuperAdmin]));
+
+        // Act
+        var result = await _handler.Handle(new UpdateUserStatusCommand(Guid.NewGuid(), UserStatus.Inactive), default);
+
+        // Assert
+        result.IsError.ShouldBeTrue();
+        result.FirstError.ShouldBe(UserErrors.NotFound);
+    }
+
+    // Creates a user the fake repository returns by its ID
+    private User AddUser(string email, string name, string role)
+    {
+        var user = User.Create(email, "hash", name, roles: [role]).Value;
+        _mockUserRepository.GetByIdAsync(user.Id, Arg.Any<CancellationToken>()).Returns(user);
+        return user;
+    }
+}
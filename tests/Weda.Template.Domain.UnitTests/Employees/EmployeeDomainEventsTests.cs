@@ -0,0 +1,126 @@
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Events;
+using Weda.Template.TestCommon.Employees;
+
+namespace Weda.Template.Domain.UnitTests.Employees;
+
+public class EmployeeDomainEventsTests
+{
+    [Fact]
+    public void Create_WhenSupervisorAssignedBeforeSave_ShouldOnlyRaiseCreatedEvent()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateEmployee();
+
+        // Act
+        employee.AssignSupervisor(7);
+        employee.SetOnLeave();
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        events.Count.ShouldBe(1);
+        events[0].ShouldBeOfType<EmployeeCreatedEvent>();
+    }
+
+    [Fact]
+    public void Update_WhenSeveralFieldsChange_ShouldRaiseOneUpdatedEvent()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42);
+
+        // Act
+        employee.UpdateName("Jane Smith");
+        employee.UpdateEmail("jane@example.com");
+        employee.UpdatePosition("Team Lead");
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        events.Count.ShouldBe(1);
+        events[0].ShouldBeOfType<EmployeeUpdatedEvent>().Employee.ShouldBeSameAs(employee);
+    }
+
+    [Fact]
+    public void Update_WhenValuesAreUnchanged_ShouldNotRaiseEvents()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42);
+
+        // Act
+        employee.UpdateName("John Doe");
+        employee.UpdatePosition(" Software Engineer ");
+        employee.UpdateStatus(EmployeeStatus.Active);
+        employee.AssignSupervisor(null);
+
+        // Assert
+        employee.PopDomainEvents().ShouldBeEmpty();
+    }
+
+    [Fact]
+    public void AssignSupervisor_WhenSupervisorChanges_ShouldRaiseReparentedEventWithPreviousSupervisor()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42, supervisorId: 3);
+
+        // Act
+        employee.AssignSupervisor(5);
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        var reparented = events.ShouldHaveSingleItem().ShouldBeOfType<EmployeeReparentedEvent>();
+        reparented.PreviousSupervisorId.ShouldBe(3);
+        reparented.Employee.SupervisorId.ShouldBe(5);
+    }
+
+    [Fact]
+    public void Deactivate_ShouldRaiseStatusChangedEventWithPreviousStatus()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42);
+        employee.SetOnLeave();
+        employee.PopDomainEvents();
+
+        // Act
+        employee.Deactivate();
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        var statusChanged = events.ShouldHaveSingleItem().ShouldBeOfType<EmployeeStatusChangedEvent>();
+        statusChanged.PreviousStatus.ShouldBe(EmployeeStatus.OnLeave);
+        statusChanged.Employee.Status.ShouldBe(EmployeeStatus.Inactive);
+    }
+
+    [Fact]
+    public void ChangeStatus_ShouldRaiseStatusChangedEventWithReasonAndEffectiveDate()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42);
+        var effectiveDate = new DateTime(2024, 6, 1, 9, 30, 0, DateTimeKind.Utc);
+
+        // Act
+        var result = employee.ChangeStatus(EmployeeStatus.OnLeave, "  Parental leave ", effectiveDate);
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        result.IsError.ShouldBeFalse();
+        var statusChanged = events.ShouldHaveSingleItem().ShouldBeOfType<EmployeeStatusChangedEvent>();
+        statusChanged.PreviousStatus.ShouldBe(EmployeeStatus.Active);
+        statusChanged.Reason.ShouldBe("Parental leave");
+        statusChanged.EffectiveDate.ShouldBe(effectiveDate.Date);
+    }
+
+    [Fact]
+    public void Delete_ShouldRaiseDeletedEventWithIdAndSupervisor()
+    {
+        // Arrange
+        var employee = EmployeeFactory.CreateSavedEmployee(42, supervisorId: 3);
+
+        // Act
+        employee.Delete();
+        var events = employee.PopDomainEvents();
+
+        // Assert
+        var deleted = events.ShouldHaveSingleItem().ShouldBeOfType<EmployeeDeletedEvent>();
+        deleted.EmployeeId.ShouldBe(employee.Id);
+        deleted.SupervisorId.ShouldBe(3);
+    }
+}
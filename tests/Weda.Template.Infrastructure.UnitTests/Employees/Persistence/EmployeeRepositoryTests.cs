@@ -0,0 +1,236 @@
+using Mediator;
+
+using Microsoft.AspNetCore.Http;
+using Microsoft.EntityFrameworkCore;
+
+using NSubstitute;
+
+using Shouldly;
+
+using Weda.Core.Application.Exceptions;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.Enums;
+using Weda.Template.Domain.Employees.Repositories;
+using Weda.Template.Domain.Employees.ValueObjects;
+using Weda.Template.Infrastructure.Common.Persistence;
+using Weda.Template.Infrastructure.Employees.Persistence;
+
+using Xunit;
+
+namespace Weda.Template.Infrastructure.UnitTests.Employees.Persistence;
+
+public class EmployeeRepositoryTests : IDisposable
+{
+    private readonly DbContextOptions<AppDbContext> _options;
+    private readonly AppDbContext _dbContext;
+    private readonly EmployeeRepository _repository;
+
+    public EmployeeRepositoryTests()
+    {
+        _options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseInMemoryDatabase(Guid.NewGuid().ToString())
+            .Options;
+        _dbContext = CreateDbContext();
+        _repository = new EmployeeRepository(_dbContext);
+    }
+
+    public void Dispose() => _dbContext.Dispose();
+
+    [Fact]
+    public async Task ListAsync_ShouldReturnRequestedPageAndTotalCount()
+    {
+        // Arrange
+        var ids = await AddEmployeesAsync(5);
+
+        // Act
+        var page = await _repository.ListAsync(new EmployeeListFilter(SortBy: EmployeeSortField.Id), page: 2, pageSize: 2);
+
+        // Assert
+        page.Items.Select(e => e.Id).ShouldBe(ids.Skip(2).Take(2));
+        page.TotalCount.ShouldBe(5);
+        page.HasNextPage.ShouldBeTrue();
+    }
+
+    [Fact]
+    public async Task ListAsync_PastLastPage_ShouldReturnNoItemsButTotalCount()
+    {
+        // Arrange
+        await AddEmployeesAsync(3);
+
+        // Act
+        var page = await _repository.ListAsync(new EmployeeListFilter(SortBy: EmployeeSortField.Id), page: 3, pageSize: 2);
+
+        // Assert
+        page.Items.ShouldBeEmpty();
+        page.TotalCount.ShouldBe(3);
+        page.HasNextPage.ShouldBeFalse();
+    }
+
+    [Fact]
+    public async Task ListAsync_Descending_ShouldReverseOrder()
+    {
+        // Arrange
+        var ids = await AddEmployeesAsync(3);
+
+        // Act
+        var page = await _repository.ListAsync(
+            new EmployeeListFilter(SortBy: EmployeeSortField.Id, Descending: true),
+            page: 1,
+            pageSize: 10);
+
+        // Assert
+        page.Items.Select(e => e.Id).ShouldBe(ids.AsEnumerable().Reverse());
+    }
+
+    [Fact]
+    public async Task ListAsync_WithFilters_ShouldCountOnlyMatches()
+    {
+        // Arrange
+        await AddEmployeesAsync(3, "engineering");
+        await AddEmployeesAsync(2, "sales");
+
+        // Act
+        var page = await _repository.ListAsync(
+            new EmployeeListFilter(Department: Department.Create("sales").Value, SortBy: EmployeeSortField.Id),
+            page: 1,
+            pageSize: 1);
+
+        // Assert
+        page.Items.Count.ShouldBe(1);
+        page.Items[0].Department.Value.ShouldBe("sales");
+        page.TotalCount.ShouldBe(2);
+    }
+
+    [Theory]
+    [InlineData("ALICE")]
+    [InlineData("smith@exa")]
+    [InlineData("Product Manager")]
+    [InlineData("SaLeS")]
+    public async Task ListAsync_WithSearch_ShouldMatchAnyFieldIgnoringCase(string search)
+    {
+        // Arrange
+        var alice = await AddEmployeeAsync("Alice Smith", "alice.smith@example.com", "sales", "Product Manager");
+        await AddEmployeeAsync("Bob Jones", "bob.jones@example.com", "engineering", "Software Engineer");
+
+        // Act
+        var page = await _repository.ListAsync(new EmployeeListFilter(Search: search), page: 1, pageSize: 10);
+
+        // Assert
+        page.Items.Select(e => e.Id).ShouldBe(new[] { alice.Id });
+        page.TotalCount.ShouldBe(1);
+    }
+
+    [Fact]
+    public async Task ListAsync_WithSearch_ShouldNotMatchAcrossFields()
+    {
+        // Arrange
+        await AddEmployeeAsync("Alice Smith", "alice.smith@example.com", "sales", "Product Manager");
+
+        // Act
+        var page = await _repository.ListAsync(new EmployeeListFilter(Search: "example.com product"), page: 1, pageSize: 10);
+
+        // Assert
+        page.Items.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public async Task ListAsync_WithSearch_AfterUpdate_ShouldMatchNewValues()
+    {
+        // Arrange
+        var employee = await AddEmployeeAsync("Alice Smith", "alice.smith@example.com", "sales", "Product Manager");
+        employee.UpdateName("Alice Brown");
+        employee.UpdatePosition("Head of Sales");
+        await _dbContext.SaveChangesAsync();
+
+        // Act
+        var byNewName = await _repository.ListAsync(new EmployeeListFilter(Search: "brown"), page: 1, pageSize: 10);
+        var byOldPosition = await _repository.ListAsync(new EmployeeListFilter(Search: "product"), page: 1, pageSize: 10);
+
+        // Assert
+        byNewName.Items.Select(e => e.Id).ShouldBe(new[] { employee.Id });
+        byOldPosition.Items.ShouldBeEmpty();
+    }
+
+    [Fact]
+    public async Task SaveChangesAsync_WhenEmployeeChangedSinceRead_ShouldThrowConcurrencyConflict()
+    {
+        // Arrange
+        var employee = await AddEmployeeAsync("Jane Smith", "jane@example.com", "engineering", "Software Engineer");
+        await using (var otherDbContext = CreateDbContext())
+        {
+            var sameEmployee = await new EmployeeRepository(otherDbContext).GetByIdAsync(employee.Id);
+            sameEmployee!.UpdatePosition("Team Lead");
+            await otherDbContext.SaveChangesAsync();
+        }
+
+        employee.UpdatePosition("Staff Engineer");
+
+        // Act & Assert
+        await Should.ThrowAsync<ConcurrencyConflictException>(() => _dbContext.SaveChangesAsync());
+    }
+
+    [Fact]
+    public async Task GetByIdAsync_AfterConcurrencyConflict_ShouldReturnStoredEmployee()
+    {
+        // Arrange
+        var employee = await AddEmployeeAsync("Jane Smith", "jane@example.com", "engineering", "Software Engineer");
+        int storedVersion;
+        await using (var otherDbContext = CreateDbContext())
+        {
+            var sameEmployee = await new EmployeeRepository(otherDbContext).GetByIdAsync(employee.Id);
+            sameEmployee!.UpdatePosition("Team Lead");
+            await otherDbContext.SaveChangesAsync();
+            storedVersion = sameEmployee.Version;
+        }
+
+        employee.UpdatePosition("Staff Engineer");
+        await Should.ThrowAsync<ConcurrencyConflictException>(() => _dbContext.SaveChangesAsync());
+
+        // Act
+        var current = await _repository.GetByIdAsync(employee.Id);
+
+        // Assert
+        current.ShouldNotBeNull();
+        current.ShouldNotBeSameAs(employee);
+        current.Position.ShouldBe("Team Lead");
+        current.Version.ShouldBe(storedVersion);
+    }
+
+    // Contexts share the in-memory database, so a second one acts like a concurrent request
+    private AppDbContext CreateDbContext() =>
+        new(_options, Substitute.For<IHttpContextAccessor>(), Substitute.For<IPublisher>());
+
+    private async Task<Employee> AddEmployeeAsync(string name, string email, string department, string position)
+    {
+        var employee = Employee.Create(
+            name,
+            email,
+            Department.Create(department).Value,
+            position,
+            new DateTime(2024, 1, 15, 0, 0, 0, DateTimeKind.Utc)).Value;
+
+        await _repository.AddAsync(employee);
+        await _dbContext.SaveChangesAsync();
+        return employee;
+    }
+
+    private async Task<List<int>> AddEmployeesAsync(int count, string department = "engineering")
+    {
+        var employees = Enumerable.Range(1, count)
+            .Select(i => Employee.Create(
+                $"Employee {department} {i}",
+                $"employee.{department}.{i}@example.com",
+                Department.Create(department).Value,
+                "Software Engineer",
+                new DateTime(2024, 1, 15, 0, 0, 0, DateTimeKind.Utc)).Value)
+            .ToList();
+
+        foreach (var employee in employees)
+        {
+            await _repository.AddAsync(employee);
+        }
+
+        await _dbContext.SaveChangesAsync();
+        return employees.Select(e => e.Id).ToList();
+    }
+}
@@ -0,0 +1,72 @@
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Options;
+
+using Shouldly;
+
+using Weda.Template.Infrastructure.Security;
+using Weda.Template.Infrastructure.Security.TokenValidation;
+
+using Xunit;
+
+namespace Weda.Template.Infrastructure.UnitTests.Security;
+
+public class JwtBearerTokenValidationConfigurationTests
+{
+    private readonly JwtBearerOptions _options = new();
+
+    public JwtBearerTokenValidationConfigurationTests()
+    {
+        var settings = new JwtSettings
+        {
+            Secret = "a-very-super-secret-key-that-is-long-enough",
+            Issuer = "WedaTemplate",
+            Audience = "WedaTemplate"
+        };
+        new JwtBearerTokenValidationConfiguration(Options.Create(settings)).Configure(_options);
+    }
+
+    [Theory]
+    [InlineData("/api/v1/wedally/subscribe")]
+    [InlineData("/api/v1/employees/events")]
+    public async Task OnMessageReceived_OnEventStreamPath_ShouldReadTokenFromQuery(string path)
+    {
+        // Arrange
+        var context = MessageReceivedContext("GET", path);
+
+        // Act
+        await _options.Events.OnMessageReceived(context);
+
+        // Assert
+        context.Token.ShouldBe("token");
+    }
+
+    [Theory]
+    [InlineData("GET", "/api/v1/employees")]
+    [InlineData("GET", "/api/v1/users")]
+    [InlineData("POST", "/api/v1/employees/events")]
+    public async Task OnMessageReceived_OnOtherRequest_ShouldIgnoreTokenInQuery(string method, string path)
+    {
+        // Arrange
+        var context = MessageReceivedContext(method, path);
+
+        // Act
+        await _options.Events.OnMessageReceived(context);
+
+        // Assert
+        context.Token.ShouldBeNull();
+    }
+
+    private MessageReceivedContext MessageReceivedContext(string method, string path)
+    {
+        var httpContext = new DefaultHttpContext();
+        httpContext.Request.Method = method;
+        httpContext.Request.Path = path;
+        httpContext.Request.QueryString = new QueryString($"?{JwtBearerTokenValidationConfiguration.AccessTokenQueryParameter}=token");
+        httpContext.Request.Headers.Accept = "text/event-stream";
+
+        var scheme = new AuthenticationScheme(JwtBearerDefaults.AuthenticationScheme, null, typeof(JwtBearerHandler));
+        return new MessageReceivedContext(httpContext, scheme, _options);
+    }
+}
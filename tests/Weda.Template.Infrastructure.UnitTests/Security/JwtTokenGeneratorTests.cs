@@ -0,0 +1,82 @@
+using System.IdentityModel.Tokens.Jwt;
+using System.Text;
+
+using Microsoft.Extensions.Options;
+using Microsoft.IdentityModel.Tokens;
+
+using Shouldly;
+
+using Weda.Core.Application.Security;
+using Weda.Template.Infrastructure.Security;
+
+using Xunit;
+
+namespace Weda.Template.Infrastructure.UnitTests.Security;
+
+public class JwtTokenGeneratorTests
+{
+    private static readonly JwtSettings Settings = new()
+    {
+        Secret = "a-very-super-secret-key-that-is-long-enough",
+        Issuer = "WedaTemplate",
+        Audience = "WedaTemplate",
+        TokenExpirationInMinutes = 15,
+        RefreshTokenExpirationInMinutes = 60
+    };
+
+    private readonly JwtTokenGenerator _generator = new(Options.Create(Settings));
+
+    [Fact]
+    public void ValidateRefreshToken_WithGeneratedToken_ShouldReturnItsClaims()
+    {
+        // Arrange
+        var claims = new RefreshTokenClaims(Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid());
+        var refreshToken = _generator.GenerateRefreshToken(claims.UserId, claims.FamilyId, claims.TokenId);
+
+        // Act
+        var result = _generator.ValidateRefreshToken(refreshToken);
+
+        // Assert
+        result.ShouldBe(claims);
+    }
+
+    [Fact]
+    public void ValidateRefreshToken_WithAccessToken_ShouldReturnNull()
+    {
+        // Arrange
+        var accessToken = _generator.GenerateToken(Guid.NewGuid(), "John Doe", "john.doe@example.com", [], ["User"]);
+
+        // Act
+        var result = _generator.ValidateRefreshToken(accessToken);
+
+        // Assert
+        result.ShouldBeNull();
+    }
+
+    [Fact]
+    public void ValidateRefreshToken_WithMalformedToken_ShouldReturnNull()
+    {
+        // Act
+        var result = _generator.ValidateRefreshToken("not-a-jwt");
+
+        // Assert
+        result.ShouldBeNull();
+    }
+
+    [Fact]
+    public void GenerateRefreshToken_ShouldNotBeAcceptedAsAccessToken()
+    {
+        // Arrange
+        var refreshToken = _generator.GenerateRefreshToken(Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid());
+        var accessTokenParameters = new TokenValidationParameters
+        {
+            ValidIssuer = Settings.Issuer,
+            ValidAudience = Settings.Audience,
+            IssuerSigningKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(Settings.Secret))
+        };
+
+        // Act & Assert
+        Should.Throw<SecurityTokenInvalidAudienceException>(() =>
+            new JwtSecurityTokenHandler().ValidateToken(refreshToken, accessTokenParameters, out _));
+    }
+}
@@ -0,0 +1,163 @@
+using System.Text.Json.Nodes;
+
+using Shouldly;
+
+using Weda.Core.Presentation.Wedally.AsyncApi;
+using Weda.Core.Presentation.Wedally.Contracts;
+
+using Xunit;
+
+namespace Weda.Template.Infrastructure.UnitTests.Wedally;
+
+public class AsyncApiDocumentBuilderTests
+{
+    private static NatsSpecDto CreateSpec() => new()
+    {
+        Info = new NatsApiInfoDto { Title = "Weda NATS API", Version = "1.0.0" },
+        Servers = [new NatsServerDto { Name = "default" }],
+        Paths = new()
+        {
+            ["Employee"] =
+            [
+                new NatsEndpointSpecDto
+                {
+                    OperationId = "EmployeeEventController_GetEmployee",
+                    Method = "GetEmployee",
+                    Action = "Request",
+                    Subject = "employee.v1.{id}.get",
+                    ResolvedSubject = "employee.v1.*.get",
+                    Version = "v1",
+                    Connection = "default",
+                    Tag = "Employee",
+                    Parameters = [new NatsParameterDto { Name = "id", In = "subject", Type = "string", Required = true }],
+                    Response = new NatsSchemaRefDto { Ref = "#/definitions/GetEmployeeResponse", Schema = "GetEmployeeResponse" }
+                },
+                new NatsEndpointSpecDto
+                {
+                    OperationId = "EmployeeEventController_OnCreated",
+                    Method = "OnCreated",
+                    Action = "Consume",
+                    Subject = "employee.v1.created",
+                    ResolvedSubject = "employee.v1.created",
+                    Version = "v1",
+                    Connection = "default",
+                    Tag = "Employee",
+                    Stream = "EMPLOYEE",
+                    Consumer = "employee-created",
+                    RequestBody = new NatsSchemaRefDto { Ref = "#/definitions/EmployeeCreatedEvent", Schema = "EmployeeCreatedEvent" }
+                }
+            ]
+        },
+        Definitions = new()
+        {
+            ["GetEmployeeResponse"] = new TypeDefinitionDto
+            {
+                Name = "GetEmployeeResponse",
+                Kind = "object",
+                Properties =
+                [
+                    new TypePropertyDto { Name = "id", Type = "int", Required = true },
+                    new TypePropertyDto { Name = "status", Type = "EmployeeStatus?", Nullable = true }
+                ]
+            },
+            ["EmployeeStatus"] = new TypeDefinitionDto
+            {
+                Name = "EmployeeStatus",
+                Kind = "enum",
+                EnumValues = ["Active", "OnLeave", "Inactive"]
+            }
+        }
+    };
+
+    [Fact]
+    public void Build_ShouldMapSubjectParametersToChannelAddress()
+    {
+        // Act
+        var document = AsyncApiDocumentBuilder.Build(CreateSpec());
+
+        // Assert
+        document["asyncapi"]!.GetValue<string>().ShouldBe("3.0.0");
+        var channel = document["channels"]!["EmployeeEventController_GetEmployee"]!;
+        channel["address"]!.GetValue<string>().ShouldBe("employee.v1.{id}.get");
+        channel["parameters"]!.AsObject().ContainsKey("id").ShouldBeTrue();
+    }
+
+    [Fact]
+    public void Build_RequestEndpoint_ShouldDeclareReply()
+    {
+        // Act
+        var document = AsyncApiDocumentBuilder.Build(CreateSpec());
+
+        // Assert
+        var operation = document["operations"]!["EmployeeEventController_GetEmployee"]!;
+        operation["action"]!.GetValue<string>().ShouldBe("receive");
+        operation["reply"]!["channel"]!["$ref"]!.GetValue<string>()
+            .ShouldBe("#/channels/EmployeeEventController_GetEmployeeReply");
+        document["components"]!["messages"]!.AsObject().ContainsKey("GetEmployeeResponse").ShouldBeTrue();
+    }
+
+    [Fact]
+    public void Build_JetStreamEndpoint_ShouldIncludeStreamAndConsumer()
+    {
+        // Act
+        var document = AsyncApiDocumentBuilder.Build(CreateSpec());
+
+        // Assert
+        var jetStream = document["operations"]!["EmployeeEventController_OnCreated"]!["x-jetstream"]!;
+        jetStream["stream"]!.GetValue<string>().ShouldBe("EMPLOYEE");
+        jetStream["consumer"]!.GetValue<string>().ShouldBe("employee-created");
+    }
+
+    [Fact]
+    public void Build_ShouldMapDefinitionsToComponentSchemas()
+    {
+        // Act
+        var document = AsyncApiDocumentBuilder.Build(CreateSpec());
+
+        // Assert
+        var schemas = document["components"]!["schemas"]!;
+        schemas["EmployeeStatus"]!["enum"]!.AsArray().Count.ShouldBe(3);
+
+        var response = schemas["GetEmployeeResponse"]!;
+        response["properties"]!["id"]!["type"]!.GetValue<string>().ShouldBe("integer");
+        response["properties"]!["status"]!["oneOf"]![0]!["$ref"]!.GetValue<string>()
+            .ShouldBe("#/components/schemas/EmployeeStatus");
+        response["required"]!.AsArray().Select(r => r!.GetValue<string>()).ShouldBe(["id"]);
+    }
+
+    [Theory]
+    [InlineData("PagedResult<EmployeeDto>", "PagedResult_EmployeeDto")]
+    [InlineData("EmployeeDto[]", "EmployeeDtoArray")]
+    [InlineData("GetEmployeeResponse", "GetEmployeeResponse")]
+    public void ComponentKey_ShouldProduceValidKeys(string name, string expected)
+    {
+        AsyncApiDocumentBuilder.ComponentKey(name).ShouldBe(expected);
+    }
+
+    [Fact]
+    public void YamlWriter_ShouldQuoteAmbiguousScalars()
+    {
+        // Arrange
+        var node = new JsonObject
+        {
+            ["plain"] = "employee.v1.created",
+            ["colon"] = "a: b",
+            ["boolean"] = "true",
+            ["ref"] = "#/components/schemas/Employee",
+            ["list"] = new JsonArray("a", "b")
+        };
+
+        // Act
+        var yaml = YamlWriter.Write(node);
+
+        // Assert
+        yaml.ShouldBe(
+            "plain: employee.v1.created\n" +
+            "colon: \"a: b\"\n" +
+            "boolean: \"true\"\n" +
+            "ref: \"#/components/schemas/Employee\"\n" +
+            "list:\n" +
+            "  - a\n" +
+            "  - b\n");
+    }
+}
@@ -0,0 +1,52 @@
+using Weda.Core.Domain;
+using Weda.Template.Domain.Employees.Entities;
+using Weda.Template.Domain.Employees.ValueObjects;
+
+namespace Weda.Template.TestCommon.Employees;
+
+public static class EmployeeFactory
+{
+    /// <summary>
+    /// Creates a new, unsaved employee. The email defaults to the lower-cased first name at example.com.
+    /// </summary>
+    public static Employee CreateEmployee(
+        string name = "John Doe",
+        string? email = null,
+        string department = "engineering",
+        string position = "Software Engineer",
+        int? supervisorId = null)
+    {
+        return Employee.Create(
+            name,
+            email ?? $"{name.Split(' ')[0].ToLowerInvariant()}@example.com",
+            Department.Create(department).Value,
+            position,
+            new DateTime(2024, 1, 15, 0, 0, 0, DateTimeKind.Utc),
+            supervisorId).Value;
+    }
+
+    /// <summary>
+    /// Creates an employee as it is after a save: the ID is assigned and the creation event dispatched.
+    /// </summary>
+    public static Employee CreateSavedEmployee(
+        int id,
+        string name = "John Doe",
+        string? email = null,
+        string department = "engineering",
+        string position = "Software Engineer",
+        int? supervisorId = null)
+    {
+        var employee = CreateEmployee(name, email, department, position, supervisorId);
+        AssignId(employee, id);
+        employee.PopDomainEvents();
+        return employee;
+    }
+
+    /// <summary>
+    /// Sets the ID the database generates on save.
+    /// </summary>
+    public static void AssignId(Employee employee, int id)
+    {
+        typeof(Entity<int>).GetProperty(nameof(Entity<int>.Id))!.SetValue(employee, id);
+    }
+}